@@ -0,0 +1,540 @@
+#!/usr/bin/env node
+/**
+ * Local image indexer for the Virtual Museum
+ *
+ * Scans an image folder (subfolders become themes), reads each image's
+ * dimensions and its EXIF / IPTC / PNG text metadata (title, artist, date,
+ * description, keywords) and writes a manifest.json that ImageSource loads
+ * when Config.content.preferredArtSource is 'local' or 'mixed'.
+ *
+ * For inspecting a work up close, an image can come with a Deep Zoom tile
+ * pyramid beside it (<name>.dzi and its <name>_files folder) or a <name>.iiif
+ * text file holding the URL of an IIIF Image API service for it.
+ *
+ * Usage:
+ *   node scripts/index-images.mjs [imagesDir] [--out path] [--base-url url] [--exclude a,b]
+ *
+ * Defaults: imagesDir = images, --out = <imagesDir>/manifest.json,
+ *           --base-url = images/, --exclude = placeholders,textures
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+export const MANIFEST_VERSION = 1;
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// ---------------------------------------------------------------------------
+// Command line
+// ---------------------------------------------------------------------------
+
+function parseArguments(argv) {
+    const options = {
+        imagesDir: 'images',
+        out: null,
+        baseUrl: 'images/',
+        exclude: ['placeholders', 'textures']
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--out':
+                options.out = argv[++i];
+                break;
+            case '--base-url':
+                options.baseUrl = argv[++i];
+                break;
+            case '--exclude':
+                options.exclude = argv[++i].split(',').map(name => name.trim()).filter(Boolean);
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                options.imagesDir = arg;
+        }
+    }
+    
+    if (!options.baseUrl.endsWith('/')) {
+        options.baseUrl += '/';
+    }
+    options.out = options.out || path.join(options.imagesDir, 'manifest.json');
+    
+    return options;
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    
+    if (options.help) {
+        console.log('Usage: node scripts/index-images.mjs [imagesDir] [--out path] [--base-url url] [--exclude a,b]');
+        return;
+    }
+    
+    if (!fs.existsSync(options.imagesDir)) {
+        console.error(`Image folder not found: ${options.imagesDir}`);
+        process.exitCode = 1;
+        return;
+    }
+    
+    const manifest = buildManifest(options.imagesDir, options);
+    fs.writeFileSync(options.out, JSON.stringify(manifest, null, 2) + '\n');
+    
+    const themeSummary = Object.entries(manifest.themes)
+        .map(([theme, count]) => `${theme} (${count})`)
+        .join(', ');
+    console.log(`Indexed ${manifest.images.length} images into ${options.out}`);
+    if (themeSummary) {
+        console.log(`Themes: ${themeSummary}`);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Manifest
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the manifest object for an image folder
+ * @param {string} imagesDir Folder to scan
+ * @param {Object} options { baseUrl, exclude }
+ * @returns {Object} Manifest
+ */
+export function buildManifest(imagesDir, options = {}) {
+    const baseUrl = options.baseUrl || 'images/';
+    const exclude = options.exclude || [];
+    
+    const images = [];
+    const themes = {};
+    const usedIds = new Set();
+    
+    for (const relativePath of findImages(imagesDir, exclude)) {
+        const filePath = path.join(imagesDir, relativePath);
+        let info;
+        
+        try {
+            info = readImageInfo(fs.readFileSync(filePath));
+        } catch (error) {
+            console.warn(`Skipping ${relativePath}: ${error.message}`);
+            continue;
+        }
+        
+        if (!info) {
+            console.warn(`Skipping ${relativePath}: unrecognised image data`);
+            continue;
+        }
+        
+        const segments = relativePath.split(path.sep);
+        const theme = segments.length > 1 ? segments[0] : 'general';
+        const meta = info.metadata;
+        
+        // Names differing only in punctuation or extension share a slug
+        const slug = `local_${slugify(segments.join('_').replace(/\.[^.]+$/, ''))}`;
+        const id = uniqueId(slug, usedIds);
+        if (id !== slug) {
+            console.warn(`${relativePath}: id ${slug} is already taken, using ${id}`);
+        }
+        
+        images.push({
+            id,
+            theme,
+            title: meta.title || titleFromFileName(segments[segments.length - 1]),
+            artist: meta.artist || 'Unknown Artist',
+            year: meta.date ? meta.date.slice(0, 4) : undefined,
+            date: meta.date || undefined,
+            description: meta.description || undefined,
+            tags: meta.keywords && meta.keywords.length ? meta.keywords : undefined,
+            copyright: meta.copyright || undefined,
+            source: 'Local Repository',
+            url: baseUrl + segments.map(encodeURIComponent).join('/'),
+            width: info.width,
+            height: info.height,
+            tileSource: findTileSource(imagesDir, relativePath, baseUrl)
+        });
+        
+        themes[theme] = (themes[theme] || 0) + 1;
+    }
+    
+    return {
+        version: MANIFEST_VERSION,
+        generatedAt: new Date().toISOString(),
+        themes,
+        images
+    };
+}
+
+// Recursively list image files (relative paths, sorted for stable output)
+function findImages(root, exclude, relativeDir = '') {
+    const results = [];
+    const entries = fs.readdirSync(path.join(root, relativeDir), { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+    
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const relativePath = path.join(relativeDir, entry.name);
+        
+        if (entry.isDirectory()) {
+            // Excluded folders only apply at the top level
+            if (relativeDir === '' && exclude.includes(entry.name)) continue;
+            
+            // Tiles of a Deep Zoom image are not images of their own
+            if (entry.name.endsWith('_files') &&
+                fs.existsSync(path.join(root, relativeDir, entry.name.replace(/_files$/, '.dzi')))) continue;
+            
+            results.push(...findImages(root, exclude, relativePath));
+        } else if (IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            results.push(relativePath);
+        }
+    }
+    
+    return results;
+}
+
+// Tiles of an image for inspecting it up close (see the header), or undefined
+function findTileSource(imagesDir, relativePath, baseUrl) {
+    const base = relativePath.replace(/\.[^.]+$/, '');
+    
+    if (fs.existsSync(path.join(imagesDir, `${base}.dzi`))) {
+        return { type: 'dzi', url: baseUrl + `${base}.dzi`.split(path.sep).map(encodeURIComponent).join('/') };
+    }
+    
+    const iiifFile = path.join(imagesDir, `${base}.iiif`);
+    if (fs.existsSync(iiifFile)) {
+        const url = fs.readFileSync(iiifFile, 'utf8').trim();
+        if (url) {
+            return { type: 'iiif', url };
+        }
+    }
+    
+    return undefined;
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// First of id, id_2, id_3, ... not in usedIds (which it is then added to)
+function uniqueId(id, usedIds) {
+    let candidate = id;
+    for (let n = 2; usedIds.has(candidate); n++) {
+        candidate = `${id}_${n}`;
+    }
+    usedIds.add(candidate);
+    return candidate;
+}
+
+// "harbour_view-1972.jpg" -> "Harbour view 1972"
+function titleFromFileName(fileName) {
+    const base = fileName.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+    return base.charAt(0).toUpperCase() + base.slice(1);
+}
+
+// ---------------------------------------------------------------------------
+// Image parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Read dimensions and metadata from an image buffer
+ * @param {Buffer} buffer File contents
+ * @returns {Object|null} { format, width, height, metadata } or null if unsupported
+ */
+export function readImageInfo(buffer) {
+    if (buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        return readJpeg(buffer);
+    }
+    if (buffer.length > 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        return readPng(buffer);
+    }
+    if (buffer.length > 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return {
+            format: 'gif',
+            width: buffer.readUInt16LE(6),
+            height: buffer.readUInt16LE(8),
+            metadata: {}
+        };
+    }
+    if (buffer.length > 30 && buffer.toString('ascii', 0, 4) === 'RIFF' &&
+        buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return readWebp(buffer);
+    }
+    return null;
+}
+
+function readJpeg(buffer) {
+    let width = 0;
+    let height = 0;
+    let exif = {};
+    let iptc = {};
+    let offset = 2;
+    
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+        
+        const marker = buffer[offset + 1];
+        if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0xFF) {
+            offset += marker === 0xFF ? 1 : 2;
+            continue;
+        }
+        if (marker === 0xDA || marker === 0xD9) break; // Image data starts / end of image
+        
+        const length = buffer.readUInt16BE(offset + 2);
+        const segmentStart = offset + 4;
+        const segmentEnd = Math.min(offset + 2 + length, buffer.length);
+        
+        const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF &&
+            marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+        
+        if (isStartOfFrame) {
+            height = buffer.readUInt16BE(segmentStart + 1);
+            width = buffer.readUInt16BE(segmentStart + 3);
+        } else if (marker === 0xE1 && buffer.toString('ascii', segmentStart, segmentStart + 4) === 'Exif') {
+            exif = readExif(buffer.subarray(segmentStart + 6, segmentEnd));
+        } else if (marker === 0xED && buffer.toString('ascii', segmentStart, segmentStart + 13) === 'Photoshop 3.0') {
+            iptc = readPhotoshopIptc(buffer.subarray(segmentStart + 14, segmentEnd));
+        }
+        
+        offset = offset + 2 + length;
+    }
+    
+    if (!width || !height) return null;
+    
+    // EXIF orientations 5-8 are rotated by 90 degrees when displayed
+    if (exif.orientation >= 5 && exif.orientation <= 8) {
+        [width, height] = [height, width];
+    }
+    
+    return {
+        format: 'jpeg',
+        width,
+        height,
+        metadata: {
+            title: iptc.title || exif.xpTitle || null,
+            artist: iptc.artist || exif.artist || exif.xpAuthor || null,
+            date: iptc.date || exif.dateTimeOriginal || exif.dateTime || null,
+            description: iptc.caption || exif.imageDescription || exif.xpComment || null,
+            keywords: iptc.keywords || (exif.xpKeywords ? exif.xpKeywords.split(/[;,]\s*/).filter(Boolean) : []),
+            copyright: iptc.copyright || exif.copyright || null
+        }
+    };
+}
+
+// EXIF tags we read (IFD0 and the Exif sub-IFD)
+const EXIF_TAGS = {
+    0x010E: 'imageDescription',
+    0x013B: 'artist',
+    0x0132: 'dateTime',
+    0x0112: 'orientation',
+    0x8298: 'copyright',
+    0x9003: 'dateTimeOriginal',
+    0x9C9B: 'xpTitle',
+    0x9C9C: 'xpComment',
+    0x9C9D: 'xpAuthor',
+    0x9C9E: 'xpKeywords'
+};
+
+const EXIF_SUB_IFD = 0x8769;
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Read the tags we care about from a TIFF structure (EXIF payload)
+ */
+function readExif(tiff) {
+    const result = {};
+    if (tiff.length < 8) return result;
+    
+    const littleEndian = tiff.toString('ascii', 0, 2) === 'II';
+    const u16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const u32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+    
+    const readIfd = (ifdOffset, depth) => {
+        if (ifdOffset + 2 > tiff.length || depth > 2) return;
+        const count = u16(ifdOffset);
+        
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            if (entry + 12 > tiff.length) return;
+            
+            const tag = u16(entry);
+            const type = u16(entry + 2);
+            const valueCount = u32(entry + 4);
+            const size = (TYPE_SIZES[type] || 1) * valueCount;
+            const valueOffset = size > 4 ? u32(entry + 8) : entry + 8;
+            if (valueOffset + size > tiff.length) continue;
+            
+            if (tag === EXIF_SUB_IFD) {
+                readIfd(u32(entry + 8), depth + 1);
+                continue;
+            }
+            
+            const name = EXIF_TAGS[tag];
+            if (!name) continue;
+            
+            if (tag === 0x0112) {
+                result[name] = u16(valueOffset);
+            } else if (name.startsWith('xp')) {
+                // Windows XP tags are UCS-2 little endian stored as bytes
+                result[name] = cleanText(tiff.toString('utf16le', valueOffset, valueOffset + size));
+            } else {
+                result[name] = cleanText(tiff.toString('utf8', valueOffset, valueOffset + size));
+            }
+        }
+    };
+    
+    readIfd(u32(4), 0);
+    
+    // "2021:06:14 10:22:01" -> "2021-06-14"
+    ['dateTime', 'dateTimeOriginal'].forEach(key => {
+        if (result[key]) {
+            const match = result[key].match(/^(\d{4}):(\d{2}):(\d{2})/);
+            result[key] = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+        }
+    });
+    
+    return result;
+}
+
+/**
+ * Extract IPTC-IIM fields from Photoshop image resource blocks (APP13)
+ */
+function readPhotoshopIptc(data) {
+    let offset = 0;
+    
+    while (offset + 12 <= data.length && data.toString('ascii', offset, offset + 4) === '8BIM') {
+        const resourceId = data.readUInt16BE(offset + 4);
+        const nameLength = data[offset + 6];
+        let cursor = offset + 7 + nameLength;
+        if ((nameLength + 1) % 2 !== 0) cursor++; // Pascal string padded to even length
+        
+        const size = data.readUInt32BE(cursor);
+        cursor += 4;
+        
+        if (resourceId === 0x0404) {
+            return readIptc(data.subarray(cursor, cursor + size));
+        }
+        
+        offset = cursor + size + (size % 2);
+    }
+    
+    return {};
+}
+
+function readIptc(data) {
+    const result = { keywords: [] };
+    let offset = 0;
+    
+    while (offset + 5 <= data.length && data[offset] === 0x1C) {
+        const record = data[offset + 1];
+        const dataset = data[offset + 2];
+        const length = data.readUInt16BE(offset + 3);
+        const value = cleanText(data.toString('utf8', offset + 5, offset + 5 + length));
+        
+        if (record === 2) {
+            switch (dataset) {
+                case 5: result.title = value; break;
+                case 80: result.artist = value; break;
+                case 120: result.caption = value; break;
+                case 116: result.copyright = value; break;
+                case 25: result.keywords.push(value); break;
+                case 55: {
+                    // YYYYMMDD -> YYYY-MM-DD
+                    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+                    if (match) result.date = `${match[1]}-${match[2]}-${match[3]}`;
+                    break;
+                }
+            }
+        }
+        
+        offset += 5 + length;
+    }
+    
+    if (result.keywords.length === 0) delete result.keywords;
+    return result;
+}
+
+function readPng(buffer) {
+    const text = {};
+    let offset = 8;
+    
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        
+        try {
+            if (type === 'tEXt') {
+                const separator = data.indexOf(0);
+                text[data.toString('latin1', 0, separator)] = data.toString('latin1', separator + 1);
+            } else if (type === 'zTXt') {
+                const separator = data.indexOf(0);
+                text[data.toString('latin1', 0, separator)] =
+                    zlib.inflateSync(data.subarray(separator + 2)).toString('latin1');
+            } else if (type === 'iTXt') {
+                const keywordEnd = data.indexOf(0);
+                const compressed = data[keywordEnd + 1] === 1;
+                const languageEnd = data.indexOf(0, keywordEnd + 3);
+                const translatedEnd = data.indexOf(0, languageEnd + 1);
+                const payload = data.subarray(translatedEnd + 1);
+                text[data.toString('latin1', 0, keywordEnd)] =
+                    (compressed ? zlib.inflateSync(payload) : payload).toString('utf8');
+            }
+        } catch (error) {
+            // Ignore malformed text chunks
+        }
+        
+        if (type === 'IEND') break;
+        offset += 12 + length;
+    }
+    
+    const date = text['Creation Time'] && text['Creation Time'].match(/\d{4}(-\d{2}-\d{2})?/);
+    
+    return {
+        format: 'png',
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20),
+        metadata: {
+            title: cleanText(text.Title || '') || null,
+            artist: cleanText(text.Author || '') || null,
+            date: date ? date[0] : null,
+            description: cleanText(text.Description || text.Comment || '') || null,
+            keywords: [],
+            copyright: cleanText(text.Copyright || '') || null
+        }
+    };
+}
+
+function readWebp(buffer) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    let width = 0;
+    let height = 0;
+    
+    if (chunk === 'VP8X') {
+        width = 1 + buffer.readUIntLE(24, 3);
+        height = 1 + buffer.readUIntLE(27, 3);
+    } else if (chunk === 'VP8 ') {
+        width = buffer.readUInt16LE(26) & 0x3FFF;
+        height = buffer.readUInt16LE(28) & 0x3FFF;
+    } else if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        width = 1 + (bits & 0x3FFF);
+        height = 1 + ((bits >> 14) & 0x3FFF);
+    }
+    
+    return width && height ? { format: 'webp', width, height, metadata: {} } : null;
+}
+
+// Trim NUL padding and whitespace from metadata strings
+function cleanText(text) {
+    return text.replace(/\0/g, '').trim();
+}
+
+// Run when invoked directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
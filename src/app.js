@@ -2,13 +2,23 @@ import { SceneManager } from './core/SceneManager.js';
 import { Renderer } from './core/Renderer.js';
 import { CameraControls } from './core/CameraControls.js';
 import { Lighting } from './core/Lighting.js';
+import { FixedStepLoop } from './core/FixedStepLoop.js';
+import { QualityGovernor } from './core/QualityGovernor.js';
 import { MuseumLayout } from './procedural/MuseumLayout.js';
 import { UserInterface } from './ui/UserInterface.js';
 import { ImageSource } from './data/ImageSource.js';
+import { MuseumStorage } from './data/MuseumStorage.js';
+import { isTourData } from './data/Tour.js';
+import { Config, applyConfigFromURL } from './data/Config.js';
+import { SeededRandom, resolveSeed } from './utils/Random.js';
 import Stats from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/libs/stats.module.js';
 
 class VirtualMuseumApp {
     constructor() {
+        // Apply configuration overrides from the URL before any subsystem reads Config
+        // (query parameters apply immediately, unless a ?config= file has to load first)
+        this.configLoaded = applyConfigFromURL();
+        
         this.container = document.getElementById('container');
         this.loadingScreen = document.getElementById('loading-screen');
         
@@ -22,13 +32,26 @@ class VirtualMuseumApp {
         this.sceneManager = new SceneManager();
         this.cameraControls = new CameraControls(this.sceneManager.getCamera(), this.container);
         this.sceneManager.getScene().add(this.cameraControls.yawObject);
+        this.cameraControls.setCollisionWorld(this.sceneManager.getCollisionWorld());
         this.lighting = new Lighting(this.sceneManager.getScene());
         
-        // Initialize procedural generation
+        // Initialize procedural generation (seeded once configuration has loaded, see init)
         this.museumLayout = new MuseumLayout(this.sceneManager);
+        this.museumLayout.setLighting(this.lighting);
+        this.museumStorage = new MuseumStorage(this.museumLayout);
         
         // Initialize UI
         this.userInterface = new UserInterface(this.cameraControls);
+        this.userInterface.setLayout(this.museumLayout);
+        this.userInterface.setSceneAndRenderer(this.sceneManager.getScene(), this.renderer.renderer);
+        
+        // Lower or raise the quality preset to hold the target frame rate
+        this.qualityGovernor = new QualityGovernor(this.userInterface.hud);
+        
+        // Movement and jumping run in fixed steps, whatever the frame rate
+        this.clock = new THREE.Clock();
+        this.simulation = new FixedStepLoop();
+        this.simulation.onStep(delta => this.step(delta));
         
         // Initialize image source
         this.imageSource = new ImageSource();
@@ -52,13 +75,29 @@ class VirtualMuseumApp {
         }
         // Load initial resources
         try {
+            // Wait for a configuration file (if any); it may change the seed
+            await this.configLoaded;
+            this.seed = resolveSeed(Config.museum.seed);
+            this.exposeSeedInURL();
+            this.museumLayout.setSeed(this.seed);
+            this.imageSource.random = new SeededRandom(this.seed).fork('preload');
+            console.log(`Museum seed: ${this.seed}`);
+            
             console.log("Starting image preloading...");
             await this.imageSource.preloadImages();
             console.log("Images preloaded successfully");
             
-            console.log("Generating initial layout...");
-            await this.museumLayout.generateInitialLayout();
-            console.log("Initial layout generated successfully");
+            // Restore a saved museum (?load=slot) or generate a new one
+            const saveSlot = new URLSearchParams(window.location.search).get('load');
+            if (saveSlot && this.museumStorage.hasLocalSave(saveSlot)) {
+                console.log(`Loading saved museum "${saveSlot}"...`);
+                const save = await this.museumStorage.loadFromLocalStorage(saveSlot);
+                this.applyLoadedSave(save);
+            } else {
+                console.log("Generating initial layout...");
+                await this.museumLayout.generateInitialLayout();
+                console.log("Initial layout generated successfully");
+            }
             
             // Hide loading screen
             this.loadingScreen.classList.add('hidden');
@@ -84,6 +123,12 @@ class VirtualMuseumApp {
             // Start animation loop
             this.animate();
             
+            // Start a guided tour (?tour=path.json)
+            const tourUrl = new URLSearchParams(window.location.search).get('tour');
+            if (tourUrl) {
+                this.userInterface.playTour(tourUrl);
+            }
+            
             console.log("Checking renderer...");
             try {
                 // Test render
@@ -111,6 +156,62 @@ class VirtualMuseumApp {
         }
     }
     
+    // Player state stored alongside a save
+    getPlayerState() {
+        return {
+            position: this.cameraControls.getPosition(),
+            yaw: this.cameraControls.yawObject.rotation.y
+        };
+    }
+    
+    // Take over seed and player position from a loaded save
+    applyLoadedSave(save) {
+        // A tour in progress led through the museum that was replaced
+        this.userInterface.tourPlayer.stop();
+        
+        this.seed = save.seed;
+        this.exposeSeedInURL();
+        
+        if (save.player) {
+            this.cameraControls.setPosition(new THREE.Vector3().fromArray(save.player.position));
+            this.cameraControls.setRotation(save.player.yaw, 0);
+        }
+    }
+    
+    async saveMuseum() {
+        try {
+            this.museumStorage.saveToLocalStorage('default', this.getPlayerState());
+            this.userInterface.showNotification('Museum saved');
+        } catch (error) {
+            console.error('Error saving museum:', error);
+            this.userInterface.showNotification(`Could not save museum: ${error.message}`);
+        }
+    }
+    
+    async loadMuseum(loader) {
+        try {
+            const save = await loader();
+            if (!save) {
+                this.userInterface.showNotification('No saved museum found');
+                return;
+            }
+            this.applyLoadedSave(save);
+            this.userInterface.showNotification(`Loaded museum (seed ${save.seed})`);
+        } catch (error) {
+            console.error('Error loading museum:', error);
+            this.userInterface.showNotification(`Could not load museum: ${error.message}`);
+        }
+    }
+    
+    // Write the seed into the address bar so the current museum can be shared
+    exposeSeedInURL() {
+        const url = new URL(window.location.href);
+        if (url.searchParams.get('seed') !== this.seed) {
+            url.searchParams.set('seed', this.seed);
+            window.history.replaceState(null, '', url);
+        }
+    }
+    
     setupEventListeners() {
         // Handle window resize
         window.addEventListener('resize', () => {
@@ -118,51 +219,77 @@ class VirtualMuseumApp {
             this.cameraControls.updateAspect(window.innerWidth / window.innerHeight);
         });
         
-        // Track user movement for procedural generation
+        // Save / load / export the museum
         document.addEventListener('keydown', (event) => {
-            // Get the direction of movement from key press
-            let direction = null;
             switch(event.code) {
-                case 'KeyW':
-                case 'ArrowUp':
-                    direction = 'forward';
+                case 'KeyK':
+                    this.saveMuseum();
                     break;
-                case 'KeyS':
-                case 'ArrowDown':
-                    direction = 'backward';
+                case 'KeyL':
+                    this.loadMuseum(() => this.museumStorage.loadFromLocalStorage('default'));
                     break;
-                case 'KeyA':
-                case 'ArrowLeft':
-                    direction = 'left';
-                    break;
-                case 'KeyD':
-                case 'ArrowRight':
-                    direction = 'right';
-                    break;
-                default:
+                case 'KeyX':
+                    this.museumStorage.exportToFile(null, this.getPlayerState());
                     break;
             }
-            
-            // If a movement key was pressed, check if we need to generate new rooms
-            if (direction) {
-                this.museumLayout.checkAndGenerateNewRooms(
-                    this.cameraControls.getPosition(),
-                    direction
-                );
+        });
+        
+        // Import a museum (or play a tour) by dropping its file onto the page
+        document.addEventListener('dragover', (event) => event.preventDefault());
+        document.addEventListener('drop', (event) => {
+            event.preventDefault();
+            const file = event.dataTransfer.files[0];
+            if (file) {
+                this.openDroppedFile(file);
             }
         });
     }
     
+    // A dropped file is either a guided tour (played at once) or a museum save
+    async openDroppedFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.userInterface.showNotification(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        if (isTourData(data)) {
+            this.userInterface.playTour(data);
+        } else {
+            this.loadMuseum(() => this.museumStorage.deserialize(data));
+        }
+    }
+    
+    // One simulation step (see FixedStepLoop)
+    step(delta) {
+        // Update controls
+        this.cameraControls.update(delta);
+    }
+    
     animate() {
-        console.log("Animation loop started");
         this.stats.begin();
         
-        // Update controls
-        this.cameraControls.update();
+        // Simulate the time since the last frame, then draw the camera between the last two steps
+        const delta = this.clock.getDelta();
+        const alpha = this.simulation.advance(delta);
+        this.cameraControls.interpolate(alpha);
         
-        // Update museum layout (LOD, unloading distant rooms, etc.)
+        // Update museum layout (generating nearby rooms, LOD, unloading distant rooms, etc.)
         this.museumLayout.update(this.cameraControls.getPosition());
         
+        // Hide rooms that cannot be seen through the doorways (before lighting, which
+        // then keeps their lights dark)
+        this.museumLayout.updateVisibility(this.sceneManager.getCamera());
+        
+        // Update lighting (ambient preset of the current room, nearest shadow casters)
+        this.lighting.update(this.cameraControls.getPosition(), this.sceneManager.getCurrentRoom());
+        
+        // Update UI (inspected artwork, compass, auto-closing info panel, minimap)
+        this.userInterface.update(delta);
+        this.userInterface.updateMinimap();
+        
         // Render the scene
         this.renderer.render(
             this.sceneManager.getScene(),
@@ -170,6 +297,7 @@ class VirtualMuseumApp {
         );
         
         this.stats.end();
+        this.qualityGovernor.update();
         
         // Continue animation loop
         requestAnimationFrame(this.animate.bind(this));
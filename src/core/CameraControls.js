@@ -1,18 +1,30 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
 export class CameraControls {
     constructor(camera, domElement) {
         this.camera = camera;
         this.domElement = domElement;
         
-        // Movement settings
-        this.moveSpeed = 0.1;
+        // Movement settings (read from Config.navigation in applyConfig)
+        this.moveSpeed = 6; // Units per second
         this.runMultiplier = 2.0;
         this.jumpHeight = 1.0;
+        this.enableJumping = true;
         
-        // Physics and collision
-        this.gravity = 0.01;
+        // Physics and collision (gravity in units per second squared)
+        this.gravity = 20;
         this.playerHeight = 1.7;
-        this.isJumping = false;
-        this.verticalVelocity = 0;
+        this.playerRadius = 0.3;
+        this.maxStepHeight = 0.35;
+        this.collisionDetection = true;
+        this.collisionWorld = null; // Set with setCollisionWorld
+        this.isJumping = false; // Also true while falling off a ledge
+        this.verticalVelocity = 0; // Units per second
+        
+        // Simulated eye position after the last step and the one before; the camera
+        // is drawn between the two (see interpolate)
+        this.position = new THREE.Vector3();
+        this.previousPosition = new THREE.Vector3();
         
         // Keyboard state
         this.keys = {
@@ -30,6 +42,7 @@ export class CameraControls {
         this.yawObject = new THREE.Object3D();   // Horizontal rotation
         this.yawObject.add(this.pitchObject);
         this.pitchObject.add(this.camera);
+        this.camera.position.set(0, 0, 0); // Eye height is carried by yawObject
         
         // Lock vertical look angle
         this.pitchMin = -Math.PI / 2 + 0.1; // Slightly less than looking straight up
@@ -38,14 +51,47 @@ export class CameraControls {
         // Pointer lock variables
         this.isLocked = false;
         
+        // False while something else moves the camera (e.g. inspecting an artwork): clicks
+        // then do not lock the pointer and the player does not move
+        this.enabled = true;
+        
+        // Read navigation settings and follow later changes
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+        
         // Set up event listeners
         this.setupEventListeners();
     }
     
+    // Copy navigation settings from Config
+    applyConfig() {
+        const navigation = Config.navigation;
+        const previousHeight = this.playerHeight;
+        
+        this.moveSpeed = navigation.moveSpeed;
+        this.runMultiplier = navigation.runMultiplier;
+        this.mouseSensitivity = navigation.mouseSensitivity;
+        this.enableJumping = navigation.enableJumping;
+        this.jumpHeight = navigation.jumpHeight;
+        this.gravity = navigation.gravity;
+        this.playerHeight = navigation.playerHeight;
+        this.playerRadius = navigation.playerRadius;
+        this.maxStepHeight = navigation.maxStepHeight;
+        this.collisionDetection = navigation.collisionDetection;
+        
+        // Keep standing on the floor if the eye height changed
+        if (!this.isJumping && previousHeight !== this.playerHeight) {
+            const offset = this.playerHeight - previousHeight;
+            this.position.y += offset;
+            this.previousPosition.y += offset;
+            this.yawObject.position.y += offset;
+        }
+    }
+    
     setupEventListeners() {
         // Click to lock pointer
         this.domElement.addEventListener('click', () => {
-            if (!this.isLocked) {
+            if (!this.isLocked && this.enabled) {
                 this.domElement.requestPointerLock();
             }
         });
@@ -109,21 +155,29 @@ export class CameraControls {
                 this.keys.jump = isPressed;
                 
                 // Start jump if not already jumping
-                if (isPressed && !this.isJumping) {
+                if (isPressed && this.enableJumping && !this.isJumping) {
                     this.isJumping = true;
-                    this.verticalVelocity = this.jumpHeight;
+                    
+                    // Launch speed that gravity brings to a stop at jumpHeight
+                    this.verticalVelocity = Math.sqrt(2 * this.gravity * this.jumpHeight);
                 }
                 break;
         }
     }
     
-    update() {
-        if (!this.isLocked) return;
+    /**
+     * Advance movement, jumping and falling by one simulation step
+     * @param {number} delta Step length in seconds
+     */
+    update(delta) {
+        this.previousPosition.copy(this.position);
+        
+        if (!this.isLocked || !this.enabled) return;
         
         // Calculate movement speed based on run state
-        const speed = this.keys.run 
+        const speed = (this.keys.run 
             ? this.moveSpeed * this.runMultiplier 
-            : this.moveSpeed;
+            : this.moveSpeed) * delta;
         
         // Get camera direction for movement
         const direction = new THREE.Vector3();
@@ -151,26 +205,108 @@ export class CameraControls {
         // Rotate direction by camera yaw
         direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), rotation);
         
-        // Apply movement
-        this.yawObject.position.x += direction.x * speed;
-        this.yawObject.position.z += direction.z * speed;
+        // Apply movement (walls and the edge of the walkable area stop it)
+        if (direction.x !== 0 || direction.z !== 0) {
+            this.moveHorizontally(direction.x * speed, direction.z * speed);
+        }
+        
+        // Apply gravity, jumping and floor following
+        this.updateVertical(delta);
+    }
+    
+    /**
+     * Place the camera between the last two simulated positions
+     * @param {number} alpha How far the next step has progressed (0 to 1)
+     */
+    interpolate(alpha) {
+        this.yawObject.position.lerpVectors(this.previousPosition, this.position, alpha);
+    }
+    
+    // Use the scene's collision volumes for walls and floors
+    setCollisionWorld(collisionWorld) {
+        this.collisionWorld = collisionWorld;
+    }
+    
+    isCollisionEnabled() {
+        return this.collisionDetection && this.collisionWorld !== null;
+    }
+    
+    // Height of the floor under (x, z) that the player can stand on, or null if there is none
+    getGroundHeight(x, z) {
+        if (!this.isCollisionEnabled()) {
+            return 0; // Flat ground everywhere
+        }
+        
+        const feet = this.position.y - this.playerHeight;
+        return this.collisionWorld.getFloorHeight(x, z, feet + this.maxStepHeight);
+    }
+    
+    moveHorizontally(dx, dz) {
+        const position = this.position;
+        
+        if (!this.isCollisionEnabled()) {
+            position.x += dx;
+            position.z += dz;
+            return;
+        }
+        
+        // Push the proposed position out of walls and columns (this slides along them)
+        const feet = position.y - this.playerHeight;
+        const target = new THREE.Vector3(position.x + dx, position.y, position.z + dz);
+        this.collisionWorld.resolveCollisions(
+            target,
+            this.playerRadius,
+            feet + this.maxStepHeight, // Anything lower can be stepped over
+            position.y + 0.1           // Top of the head
+        );
+        
+        // Only move onto walkable floor; at the edge, slide along it one axis at a time
+        const candidates = [
+            [target.x, target.z],
+            [target.x, position.z],
+            [position.x, target.z]
+        ];
+        
+        for (const [x, z] of candidates) {
+            if (this.getGroundHeight(x, z) !== null) {
+                position.x = x;
+                position.z = z;
+                return;
+            }
+        }
+    }
+    
+    updateVertical(delta) {
+        const position = this.position;
+        const ground = this.getGroundHeight(position.x, position.z);
+        
+        // Without a floor underneath (e.g. teleported into the void) stay level
+        const groundHeight = ground !== null ? ground : position.y - this.playerHeight;
         
-        // Apply gravity and jumping
         if (this.isJumping) {
-            this.yawObject.position.y += this.verticalVelocity;
-            this.verticalVelocity -= this.gravity;
+            // Exact for constant gravity, so every jump peaks at jumpHeight
+            position.y += this.verticalVelocity * delta - 0.5 * this.gravity * delta * delta;
+            this.verticalVelocity -= this.gravity * delta;
             
             // Check if landed
-            if (this.yawObject.position.y <= this.playerHeight) {
-                this.yawObject.position.y = this.playerHeight;
+            if (position.y - this.playerHeight <= groundHeight) {
+                position.y = groundHeight + this.playerHeight;
                 this.isJumping = false;
                 this.verticalVelocity = 0;
             }
+        } else if (position.y - this.playerHeight - groundHeight > this.maxStepHeight) {
+            // Walked off a ledge - fall
+            this.isJumping = true;
+            this.verticalVelocity = 0;
+        } else {
+            // Follow the floor up and down steps
+            position.y = groundHeight + this.playerHeight;
         }
     }
     
+    // Simulated position (the camera itself may trail it by part of a step)
     getPosition() {
-        return this.yawObject.position;
+        return this.position;
     }
     
     getDirection() {
@@ -187,6 +323,8 @@ export class CameraControls {
     
     // Set camera position directly (e.g., for teleporting)
     setPosition(position) {
+        this.position.copy(position);
+        this.previousPosition.copy(position);
         this.yawObject.position.copy(position);
     }
     
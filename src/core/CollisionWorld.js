@@ -0,0 +1,219 @@
+/**
+ * Simple collision volumes for walking through the museum
+ *
+ * Generators tag meshes with userData.collider ('wall', 'floor' or 'column').
+ * When a room or hallway is added, its tagged meshes are reduced to cheap
+ * bounding volumes in world space:
+ *   - walls become vertical line segments (collided against as a circle)
+ *   - columns become vertical cylinders
+ *   - floors (and stair treads) become boxes whose top is the walkable height
+ */
+export class CollisionWorld {
+    constructor() {
+        // Colliders per registered object (room or hallway)
+        this.entries = new Map();
+        
+        // Tolerance used when testing whether a point lies on a floor
+        this.floorMargin = 0.05;
+    }
+    
+    /**
+     * Register the collision volumes of a room or hallway
+     */
+    addObject(object) {
+        object.updateMatrixWorld(true);
+        
+        const entry = {
+            walls: [],
+            columns: [],
+            floors: [],
+            bounds: new THREE.Box3()
+        };
+        
+        object.traverse(child => {
+            if (!child.isMesh || !child.userData.collider) return;
+            
+            switch (child.userData.collider) {
+                case 'wall':
+                    entry.walls.push(this.createWallSegment(child));
+                    break;
+                case 'column':
+                    entry.columns.push(this.createColumn(child));
+                    break;
+                case 'floor':
+                    entry.floors.push(new THREE.Box3().setFromObject(child));
+                    break;
+            }
+            
+            entry.bounds.expandByObject(child);
+        });
+        
+        if (entry.walls.length || entry.columns.length || entry.floors.length) {
+            this.entries.set(object, entry);
+        }
+    }
+    
+    /**
+     * Forget the collision volumes of a room or hallway
+     */
+    removeObject(object) {
+        this.entries.delete(object);
+    }
+    
+    /**
+     * Remove all registered volumes
+     */
+    clear() {
+        this.entries.clear();
+    }
+    
+    // Reduce a vertical plane mesh to a segment along its width
+    createWallSegment(mesh) {
+        const { width, height } = mesh.geometry.parameters;
+        const start = mesh.localToWorld(new THREE.Vector3(-width / 2, 0, 0));
+        const end = mesh.localToWorld(new THREE.Vector3(width / 2, 0, 0));
+        const bottom = mesh.localToWorld(new THREE.Vector3(0, -height / 2, 0)).y;
+        const top = mesh.localToWorld(new THREE.Vector3(0, height / 2, 0)).y;
+        
+        return {
+            ax: start.x,
+            az: start.z,
+            bx: end.x,
+            bz: end.z,
+            minY: Math.min(bottom, top),
+            maxY: Math.max(bottom, top)
+        };
+    }
+    
+    // Reduce a cylinder mesh to its centre line and radius
+    createColumn(mesh) {
+        const { radiusTop, radiusBottom, height } = mesh.geometry.parameters;
+        const center = mesh.localToWorld(new THREE.Vector3(0, 0, 0));
+        
+        return {
+            x: center.x,
+            z: center.z,
+            radius: Math.max(radiusTop, radiusBottom),
+            minY: center.y - height / 2,
+            maxY: center.y + height / 2
+        };
+    }
+    
+    // Registered entries whose bounds come within `reach` of a point
+    getNearbyEntries(x, z, reach) {
+        const nearby = [];
+        
+        this.entries.forEach(entry => {
+            const bounds = entry.bounds;
+            if (x >= bounds.min.x - reach && x <= bounds.max.x + reach &&
+                z >= bounds.min.z - reach && z <= bounds.max.z + reach) {
+                nearby.push(entry);
+            }
+        });
+        
+        return nearby;
+    }
+    
+    /**
+     * Height of the highest walkable surface under (x, z) that is not above maxHeight
+     * @returns {number|null} Floor height, or null if there is no floor here
+     */
+    getFloorHeight(x, z, maxHeight = Infinity) {
+        let height = null;
+        const margin = this.floorMargin;
+        
+        for (const entry of this.getNearbyEntries(x, z, margin)) {
+            for (const box of entry.floors) {
+                const top = box.max.y;
+                if (top > maxHeight || (height !== null && top <= height)) continue;
+                
+                if (x >= box.min.x - margin && x <= box.max.x + margin &&
+                    z >= box.min.z - margin && z <= box.max.z + margin) {
+                    height = top;
+                }
+            }
+        }
+        
+        return height;
+    }
+    
+    /**
+     * Push a circle (the player) out of walls and columns.
+     * Only the component of movement into an obstacle is removed, so the
+     * player slides along walls instead of stopping dead.
+     * @param {THREE.Vector3} position Proposed position (modified in place, x/z only)
+     * @param {number} radius Player radius
+     * @param {number} minY Lowest point of the player (feet)
+     * @param {number} maxY Highest point of the player (head)
+     * @returns {boolean} True if the position had to be corrected
+     */
+    resolveCollisions(position, radius, minY, maxY) {
+        let corrected = false;
+        const entries = this.getNearbyEntries(position.x, position.z, radius);
+        
+        // A few passes settle corners where two walls push against each other
+        for (let pass = 0; pass < 3; pass++) {
+            let pushed = false;
+            
+            for (const entry of entries) {
+                for (const wall of entry.walls) {
+                    if (wall.maxY <= minY || wall.minY >= maxY) continue;
+                    pushed = this.pushOutOfSegment(position, radius, wall) || pushed;
+                }
+                
+                for (const column of entry.columns) {
+                    if (column.maxY <= minY || column.minY >= maxY) continue;
+                    pushed = this.pushOutOfCircle(position, radius, column) || pushed;
+                }
+            }
+            
+            if (!pushed) break;
+            corrected = true;
+        }
+        
+        return corrected;
+    }
+    
+    // Push a circle out of a line segment
+    pushOutOfSegment(position, radius, wall) {
+        const dx = wall.bx - wall.ax;
+        const dz = wall.bz - wall.az;
+        const lengthSq = dx * dx + dz * dz;
+        
+        // Closest point on the segment
+        let t = lengthSq > 0
+            ? ((position.x - wall.ax) * dx + (position.z - wall.az) * dz) / lengthSq
+            : 0;
+        t = Math.max(0, Math.min(1, t));
+        
+        const closestX = wall.ax + dx * t;
+        const closestZ = wall.az + dz * t;
+        
+        return this.pushAwayFrom(position, radius, closestX, closestZ);
+    }
+    
+    // Push a circle out of another circle
+    pushOutOfCircle(position, radius, column) {
+        return this.pushAwayFrom(position, radius + column.radius, column.x, column.z);
+    }
+    
+    // Move position so it is at least `distance` away from (x, z)
+    pushAwayFrom(position, distance, x, z) {
+        const offsetX = position.x - x;
+        const offsetZ = position.z - z;
+        const currentDistance = Math.sqrt(offsetX * offsetX + offsetZ * offsetZ);
+        
+        if (currentDistance >= distance) return false;
+        
+        if (currentDistance < 1e-6) {
+            // Exactly on the obstacle - pick an arbitrary direction
+            position.x += distance;
+            return true;
+        }
+        
+        const push = (distance - currentDistance) / currentDistance;
+        position.x += offsetX * push;
+        position.z += offsetZ * push;
+        return true;
+    }
+}
@@ -0,0 +1,65 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
+/**
+ * Fixed-timestep simulation
+ *
+ * Frames take as long as they take, but the simulation (movement, jumping,
+ * animations) always advances in steps of the same length, so speeds and
+ * jump heights come out the same at any frame rate; room generation runs once
+ * per frame instead (see MuseumLayout.update). Each frame hands its duration
+ * to advance, which runs as many steps as fit and keeps the rest for the next
+ * frame. The share of a step left over is returned so the renderer can
+ * interpolate between the last two simulated states.
+ */
+export class FixedStepLoop {
+    constructor() {
+        // Step length and how many steps one frame may run (seconds, count)
+        this.stepDuration = 1 / 60;
+        this.maxStepsPerFrame = 5;
+        
+        // Time not yet simulated, and the total simulated time
+        this.accumulator = 0;
+        this.time = 0;
+        
+        // Called with the step length on every step
+        this.callbacks = new Set();
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy simulation settings from Config
+    applyConfig() {
+        this.stepDuration = 1 / Math.max(1, Config.performance.simulationRate);
+        this.maxStepsPerFrame = Math.max(1, Config.performance.maxSimulationSteps);
+    }
+    
+    /**
+     * Run a function on every simulation step
+     * @param {Function} callback Called with the step length in seconds
+     * @returns {Function} Function that removes the callback again
+     */
+    onStep(callback) {
+        this.callbacks.add(callback);
+        return () => this.callbacks.delete(callback);
+    }
+    
+    /**
+     * Simulate the time that passed since the last frame
+     * @param {number} delta Frame duration in seconds
+     * @returns {number} Share of a step not simulated yet (0 to 1), for interpolating
+     */
+    advance(delta) {
+        // After a long frame (or a hidden tab) the simulation slows down rather than
+        // trying to catch up with more steps than it can run
+        this.accumulator += Math.min(Math.max(delta, 0), this.stepDuration * this.maxStepsPerFrame);
+        
+        while (this.accumulator >= this.stepDuration) {
+            this.callbacks.forEach(callback => callback(this.stepDuration));
+            this.accumulator -= this.stepDuration;
+            this.time += this.stepDuration;
+        }
+        
+        return this.accumulator / this.stepDuration;
+    }
+}
@@ -1,13 +1,36 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
 export class Lighting {
     constructor(scene) {
         this.scene = scene;
         this.lights = [];
         
+        // Only the room lights closest to the player are switched on, and only the
+        // closest shadow-casting ones get shadows (every light costs in every shader)
+        this.maxActiveLights = 32;
+        this.maxShadowLights = 4;
+        this.activeUpdateDistance = 5; // Re-pick the active lights after moving this far
+        this.lastActivePosition = null;
+        this.activeLightsDirty = true;
+        
+        // Preset the ambient light currently follows (the style of the room the player is in)
+        this.ambientStyle = null;
+        
         // Initialize base lighting
         this.setupAmbientLight();
         
         // Create lighting presets
         this.createPresets();
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy lighting settings from Config
+    applyConfig() {
+        this.maxActiveLights = Config.performance.maxActiveLights;
+        this.maxShadowLights = Config.performance.enableShadows ? Config.performance.maxShadowLights : 0;
+        this.activeLightsDirty = true;
     }
     
     setupAmbientLight() {
@@ -38,7 +61,8 @@ export class Lighting {
     }
     
     // Add a new light to a specific room or area
-    addRoomLight(position, type = 'point', style = 'classical', intensity = 1.0) {
+    // Whether it is switched on and casts shadows (if `castShadow` allows) is up to updateActiveLights
+    addRoomLight(position, type = 'point', style = 'classical', intensity = 1.0, castShadow = true) {
         let light;
         const preset = this.presets[style] || this.presets.classical;
         
@@ -108,9 +132,32 @@ export class Lighting {
         // Add to scene
         this.scene.add(light);
         
-        // Store reference to the light
-        const lightRef = { type, light, style };
+        // Store reference to the light (with its intensity, which a culled light does not show)
+        const lightRef = { type, light, style, intensity: light.intensity, castsShadow: castShadow && light.castShadow, roomLight: true };
+        light.castShadow = false;
         this.lights.push(lightRef);
+        this.activeLightsDirty = true;
+        
+        return lightRef;
+    }
+    
+    // Aim a spotlight at a framed artwork from above and in front of it
+    // (`normal` is the direction the artwork faces, `size` its width and height)
+    addArtworkLight(artworkPosition, normal, size, style = 'classical') {
+        const position = artworkPosition.clone()
+            .addScaledVector(normal, 1.5)
+            .add(new THREE.Vector3(0, 1.2, 0));
+        
+        const lightRef = this.addRoomLight(position, 'spot', style, 0.8, false);
+        const light = lightRef.light;
+        
+        // Widen the cone just enough to cover the artwork
+        const halfSize = Math.max(size.width, size.height) / 2;
+        light.angle = Math.min(Math.atan(halfSize / position.distanceTo(artworkPosition)) + 0.1, Math.PI / 3);
+        light.distance = 6;
+        
+        light.target.position.copy(artworkPosition);
+        this.scene.add(light.target);
         
         return lightRef;
     }
@@ -162,26 +209,28 @@ export class Lighting {
             switch(lightRef.type) {
                 case 'ambient':
                     light.color.set(preset.ambient.color);
-                    light.intensity = preset.ambient.intensity;
+                    lightRef.intensity = preset.ambient.intensity;
                     break;
                     
                 case 'directional':
                 case 'spot':
                     light.color.set(preset.directional.color);
-                    light.intensity = preset.directional.intensity;
+                    lightRef.intensity = preset.directional.intensity;
                     break;
                     
                 case 'point':
                     light.color.set(preset.point.color);
-                    light.intensity = preset.point.intensity;
+                    lightRef.intensity = preset.point.intensity;
                     break;
                     
                 case 'hemisphere':
                     light.skyColor.set(preset.ambient.color);
-                    light.intensity = preset.ambient.intensity;
+                    lightRef.intensity = preset.ambient.intensity;
                     break;
             }
             
+            light.intensity = lightRef.culled ? 0 : lightRef.intensity;
+            
             // Update the style reference
             lightRef.style = style;
         });
@@ -208,11 +257,73 @@ export class Lighting {
     // Dispose of lights that are no longer needed
     disposeLights(lightsToRemove) {
         lightsToRemove.forEach(lightRef => {
-            this.scene.remove(lightRef.light);
+            const light = lightRef.light;
+            this.scene.remove(light);
+            if (light.target && light.target.parent === this.scene) {
+                this.scene.remove(light.target);
+            }
+            if (light.shadow && light.shadow.map) {
+                light.shadow.map.dispose();
+                light.shadow.map = null;
+            }
+            
             const index = this.lights.indexOf(lightRef);
             if (index !== -1) {
                 this.lights.splice(index, 1);
             }
         });
+        
+        this.activeLightsDirty = true;
+    }
+    
+    // Darken the lights of spaces that cannot be seen (see PortalCulling), or light them
+    // again. Culled lights give up their slots to lights that can be seen, but fill the
+    // slots left over, so the number of lights switched on (and the compiled materials)
+    // stays the same as the view turns (see updateActiveLights)
+    setLightsCulled(lightRefs, culled) {
+        lightRefs.forEach(lightRef => {
+            if (Boolean(lightRef.culled) === culled) return;
+            
+            lightRef.culled = culled;
+            lightRef.light.intensity = culled ? 0 : lightRef.intensity;
+            this.activeLightsDirty = true;
+        });
+    }
+    
+    // Follow the player: the ambient light takes the preset of the current room and
+    // the nearest room lights are switched on
+    update(playerPosition, currentRoom = null) {
+        const style = currentRoom && this.presets[currentRoom.userData.style] ? currentRoom.userData.style : null;
+        if (style && style !== this.ambientStyle) {
+            this.applyLightingStyle(this.lights.filter(lightRef => lightRef.type === 'ambient'), style);
+            this.ambientStyle = style;
+        }
+        
+        // Switching lights or shadows recompiles materials, so only re-pick after moving some distance
+        if (this.activeLightsDirty || !this.lastActivePosition ||
+            playerPosition.distanceTo(this.lastActivePosition) > this.activeUpdateDistance) {
+            this.updateActiveLights(playerPosition);
+        }
+    }
+    
+    // Switch on the maxActiveLights room lights closest to a position, culled ones only
+    // for slots no other light takes, and give shadows to the closest maxShadowLights
+    // of them that may cast one and are not culled
+    updateActiveLights(position) {
+        const candidates = this.lights
+            .filter(lightRef => lightRef.roomLight)
+            .map(lightRef => ({ lightRef, distance: lightRef.light.position.distanceToSquared(position) }))
+            .sort((a, b) => Boolean(a.lightRef.culled) - Boolean(b.lightRef.culled) || a.distance - b.distance);
+        
+        let shadows = 0;
+        candidates.forEach(({ lightRef }, index) => {
+            const light = lightRef.light;
+            light.visible = index < this.maxActiveLights;
+            light.castShadow = light.visible && lightRef.castsShadow && !lightRef.culled && shadows < this.maxShadowLights;
+            if (light.castShadow) shadows++;
+        });
+        
+        this.lastActivePosition = position.clone();
+        this.activeLightsDirty = false;
     }
 }
\ No newline at end of file
@@ -0,0 +1,209 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
+// Outward normal of each room wall (rooms are never rotated)
+const SIDE_NORMALS = {
+    front: { x: 0, z: 1 },
+    back: { x: 0, z: -1 },
+    right: { x: 1, z: 0 },
+    left: { x: -1, z: 0 }
+};
+
+/**
+ * Portal visibility between rooms and hallways
+ *
+ * The museum is made of cells (rooms and hallways from the LayoutGraph) that
+ * only see each other through the doorways between them. Starting from the
+ * cell the camera is in, each doorway is projected to the screen and clipped
+ * against the screen area it is seen through; a neighbour is visible if some
+ * of its doorway remains, and the search continues from there through the
+ * smaller area. Everything not reached is hidden by the caller.
+ */
+export class PortalCulling {
+    /**
+     * @param {SceneManager} sceneManager Scene (spatial index and which spaces are loaded)
+     * @param {LayoutGraph} graph Rooms, hallways and their connections
+     * @param {Object} doorwaySize Size of the doorway cut where spaces connect ({ width, height })
+     */
+    constructor(sceneManager, graph, doorwaySize) {
+        this.sceneManager = sceneManager;
+        this.graph = graph;
+        this.doorwaySize = doorwaySize;
+        
+        // How many doorways deep to look, and how far from the camera to look for the cell it is in
+        this.maxDepth = 8;
+        this.searchRadius = 22;
+        
+        // Scratch objects for projecting doorways
+        this.viewProjection = new THREE.Matrix4();
+        this.corner = new THREE.Vector3();
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy culling settings from Config
+    applyConfig() {
+        // Rooms fit within a cell of the grid, so the one containing the camera lies within a spacing
+        this.searchRadius = Config.museum.roomSpacing;
+    }
+    
+    /**
+     * Rooms and hallways visible from a camera
+     * @param {THREE.Camera} camera Camera (its matrices must be up to date)
+     * @returns {Set<string>|null} IDs of the visible spaces, or null if the camera is not
+     *                             inside any space (nothing can be culled then)
+     */
+    computeVisible(camera) {
+        const position = camera.getWorldPosition(new THREE.Vector3());
+        const start = this.findContainingSpace(position);
+        if (!start) return null;
+        
+        this.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        
+        // The whole screen, in normalised device coordinates
+        const screen = { minX: -1, minY: -1, maxX: 1, maxY: 1 };
+        
+        const visible = new Set();
+        this.visit(start.userData.id, screen, new Set([start.userData.id]), 0, visible);
+        return visible;
+    }
+    
+    // Depth-first through the doorways, narrowing the visible screen area as it goes
+    // (`path` holds the spaces on the way here, so the search does not go round in circles)
+    visit(id, area, path, depth, visible) {
+        visible.add(id);
+        if (depth >= this.maxDepth) return;
+        
+        for (const { node } of this.graph.getNeighbors(id)) {
+            if (path.has(node.id) || !this.sceneManager.isLoaded(node.object)) continue;
+            
+            const portal = this.getPortal(id, node.id);
+            if (!portal) continue;
+            
+            const seenThrough = this.clipPortal(portal, area);
+            if (!seenThrough) continue;
+            
+            path.add(node.id);
+            this.visit(node.id, seenThrough, path, depth + 1, visible);
+            path.delete(node.id);
+        }
+    }
+    
+    /**
+     * The room or hallway containing a position
+     * @param {THREE.Vector3} position World position
+     * @returns {THREE.Object3D|null} Space, or null if the position is in none
+     */
+    findContainingSpace(position) {
+        const spatialIndex = this.sceneManager.getSpatialIndex();
+        
+        // Rooms first: where a hallway meets a room the position counts as in the room
+        const candidates = [
+            ...spatialIndex.queryRadius(position, this.searchRadius, 'room'),
+            ...spatialIndex.queryRadius(position, this.searchRadius, 'hallway')
+        ];
+        
+        return candidates.find(object => this.sceneManager.isLoaded(object) && this.contains(object, position)) || null;
+    }
+    
+    // Whether a position lies inside the box of a room or hallway
+    contains(object, position) {
+        const size = object.userData.size;
+        if (!size) return false;
+        
+        // Hallways are rotated and run along their local z axis; stairs climb within them
+        const local = position.clone().sub(object.position).applyAxisAngle(THREE.Object3D.DefaultUp, -object.rotation.y);
+        const depth = size.depth !== undefined ? size.depth : size.length;
+        const height = size.height + (object.userData.elevationChange || 0);
+        
+        return Math.abs(local.x) <= size.width / 2 &&
+            Math.abs(local.z) <= depth / 2 &&
+            local.y >= -0.5 && local.y <= height + 0.5;
+    }
+    
+    /**
+     * Corners of the doorway between two connected spaces
+     * @returns {Array<THREE.Vector3>|null} Corners in world space, or null if neither space
+     *                                      is a room (such connections have no doorway to look through)
+     */
+    getPortal(idA, idB) {
+        // Doorways are cut into room walls; the connection records which wall
+        let room = this.graph.getNode(idA);
+        let side = this.graph.edges.get(idA).get(idB);
+        
+        if (room.kind !== 'room' || !side) {
+            room = this.graph.getNode(idB);
+            side = this.graph.edges.get(idB).get(idA);
+        }
+        
+        if (room.kind !== 'room' || !side) return null;
+        
+        const object = room.object;
+        const size = object.userData.size;
+        const normal = SIDE_NORMALS[side];
+        const halfExtent = normal.x !== 0 ? size.width / 2 : size.depth / 2;
+        const halfWidth = this.doorwaySize.width / 2;
+        const height = Math.min(this.doorwaySize.height, size.height);
+        
+        // Middle of the doorway's sill, and the direction along the wall
+        const x = object.position.x + normal.x * halfExtent;
+        const z = object.position.z + normal.z * halfExtent;
+        const y = object.position.y;
+        const alongX = -normal.z;
+        const alongZ = normal.x;
+        
+        return [
+            new THREE.Vector3(x - alongX * halfWidth, y, z - alongZ * halfWidth),
+            new THREE.Vector3(x + alongX * halfWidth, y, z + alongZ * halfWidth),
+            new THREE.Vector3(x + alongX * halfWidth, y + height, z + alongZ * halfWidth),
+            new THREE.Vector3(x - alongX * halfWidth, y + height, z - alongZ * halfWidth)
+        ];
+    }
+    
+    /**
+     * Screen area of a doorway that shows through a given area
+     * @param {Array<THREE.Vector3>} portal Doorway corners
+     * @param {Object} area Screen rectangle in normalised device coordinates
+     * @returns {Object|null} The part of `area` covered by the doorway, or null if none
+     */
+    clipPortal(portal, area) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        let behind = 0;
+        
+        for (const point of portal) {
+            this.corner.copy(point).applyMatrix4(this.viewProjection);
+            
+            // applyMatrix4 divides by w; a corner behind the camera flips and cannot be bounded
+            const w = this.getClipW(point);
+            if (w <= 0) {
+                behind++;
+                continue;
+            }
+            
+            minX = Math.min(minX, this.corner.x);
+            minY = Math.min(minY, this.corner.y);
+            maxX = Math.max(maxX, this.corner.x);
+            maxY = Math.max(maxY, this.corner.y);
+        }
+        
+        if (behind === portal.length) return null;
+        
+        // A doorway partly behind the camera (the player stands in it) can cover anything
+        if (behind > 0) return area;
+        
+        const clipped = {
+            minX: Math.max(minX, area.minX),
+            minY: Math.max(minY, area.minY),
+            maxX: Math.min(maxX, area.maxX),
+            maxY: Math.min(maxY, area.maxY)
+        };
+        
+        return clipped.minX < clipped.maxX && clipped.minY < clipped.maxY ? clipped : null;
+    }
+    
+    // Homogeneous w of a world point after projection (positive in front of the camera)
+    getClipW(point) {
+        const e = this.viewProjection.elements;
+        return e[3] * point.x + e[7] * point.y + e[11] * point.z + e[15];
+    }
+}
@@ -0,0 +1,138 @@
+import { Config, onConfigChange, applyUserConfig } from '../data/Config.js';
+
+// Quality presets from cheapest to best
+const PRESETS = ['low', 'medium', 'high'];
+
+/**
+ * Adaptive quality to hold Config.performance.targetFPS
+ *
+ * Frame times are averaged over short windows. When several windows in a row
+ * fall clearly below the target, Config.performance.qualityPreset is lowered
+ * a step; after a longer run at the target it is raised again. Every
+ * subsystem follows the preset through onConfigChange (pixel ratio and
+ * shadows, LOD distances, how far rooms stay loaded, artwork resolution).
+ * A preset that turned out too slow right after being raised is not retried
+ * for a while, and the wait doubles each time, so quality does not flip back
+ * and forth. Changes are announced through the HUD.
+ */
+export class QualityGovernor {
+    constructor(hud = null) {
+        this.hud = hud;
+        
+        this.enabled = true;
+        this.targetFPS = 60;
+        
+        // Measurement windows (seconds) and the frames counted in the current one
+        this.sampleDuration = 2;
+        this.elapsed = 0;
+        this.frameCount = 0;
+        this.lastTime = null;
+        
+        // Hysteresis: share of the target below which quality drops, and at which it may rise,
+        // and how many windows in a row that takes
+        this.lowerBelow = 0.85;
+        this.raiseAbove = 0.97;
+        this.windowsToLower = 2;
+        this.windowsToRaise = 5;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        
+        // Seconds of measured time; raising is blocked until raiseBlockedUntil
+        this.clock = 0;
+        this.lastRaise = -Infinity;
+        this.raiseBlockedUntil = 0;
+        this.raiseBackoff = 30;
+        this.baseRaiseBackoff = 30;
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy governor settings from Config
+    applyConfig() {
+        this.enabled = Config.performance.adaptiveQuality;
+        this.targetFPS = Config.performance.targetFPS;
+    }
+    
+    /**
+     * Count a frame; call once per rendered frame
+     * @param {number} now Current time in milliseconds
+     */
+    update(now = performance.now()) {
+        if (!this.enabled) {
+            this.lastTime = null;
+            return;
+        }
+        
+        if (this.lastTime === null) {
+            this.lastTime = now;
+            return;
+        }
+        
+        const delta = (now - this.lastTime) / 1000;
+        this.lastTime = now;
+        
+        // Pauses (hidden tab, loading) say nothing about rendering speed
+        if (delta > 0.5) return;
+        
+        this.clock += delta;
+        this.elapsed += delta;
+        this.frameCount++;
+        
+        if (this.elapsed >= this.sampleDuration) {
+            const fps = this.frameCount / this.elapsed;
+            this.elapsed = 0;
+            this.frameCount = 0;
+            this.evaluate(fps);
+        }
+    }
+    
+    // Decide on a measured window
+    evaluate(fps) {
+        if (fps < this.targetFPS * this.lowerBelow) {
+            this.slowWindows++;
+            this.fastWindows = 0;
+        } else if (fps >= this.targetFPS * this.raiseAbove) {
+            this.fastWindows++;
+            this.slowWindows = 0;
+        } else {
+            this.slowWindows = 0;
+            this.fastWindows = 0;
+        }
+        
+        const index = PRESETS.indexOf(Config.performance.qualityPreset);
+        
+        if (this.slowWindows >= this.windowsToLower && index > 0) {
+            this.lower(PRESETS[index - 1], fps);
+        } else if (this.fastWindows >= this.windowsToRaise && index !== -1 && index < PRESETS.length - 1 &&
+                   this.clock >= this.raiseBlockedUntil) {
+            this.raise(PRESETS[index + 1]);
+        }
+    }
+    
+    lower(preset, fps) {
+        // Too slow soon after raising: that preset is out of reach for longer each time
+        const justRaised = this.clock - this.lastRaise < this.sampleDuration * (this.windowsToRaise + this.windowsToLower);
+        this.raiseBackoff = justRaised ? this.raiseBackoff * 2 : this.baseRaiseBackoff;
+        this.raiseBlockedUntil = this.clock + this.raiseBackoff;
+        this.lastRaise = -Infinity;
+        
+        this.setPreset(preset, `Quality lowered to ${preset} (${Math.round(fps)} FPS, target ${this.targetFPS})`);
+    }
+    
+    raise(preset) {
+        this.lastRaise = this.clock;
+        this.setPreset(preset, `Quality raised to ${preset}`);
+    }
+    
+    setPreset(preset, message) {
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        
+        applyUserConfig({ performance: { qualityPreset: preset } });
+        
+        if (this.hud) {
+            this.hud.showNotification(message);
+        }
+    }
+}
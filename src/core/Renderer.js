@@ -1,3 +1,5 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
 export class Renderer {
     constructor(container) {
         this.container = container;
@@ -20,6 +22,22 @@ export class Renderer {
         
         // Set up post-processing if needed
         this.setupPostProcessing();
+        
+        // Apply the configured quality preset and follow later changes
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy rendering settings from Config
+    applyConfig() {
+        const performance = Config.performance;
+        
+        this.setRenderQuality(performance.qualityPreset);
+        
+        // Shadows can be switched off independently of the preset
+        if (!performance.enableShadows) {
+            this.renderer.shadowMap.enabled = false;
+        }
     }
     
     setupPostProcessing() {
@@ -1,3 +1,8 @@
+import { Config, onConfigChange } from '../data/Config.js';
+import { CollisionWorld } from './CollisionWorld.js';
+import { SpatialIndex } from './SpatialIndex.js';
+import { disposeObject } from '../utils/Utils.js';
+
 export class SceneManager {
     constructor() {
         this.scene = new THREE.Scene();
@@ -18,6 +23,7 @@ export class SceneManager {
         this.rooms = new THREE.Group();
         this.hallways = new THREE.Group();
         this.artworks = new THREE.Group();
+        this.artworks.name = 'artworks'; // Picked by the UI's raycasts
         this.decorations = new THREE.Group();
         
         // Add groups to scene
@@ -26,8 +32,36 @@ export class SceneManager {
         this.scene.add(this.artworks);
         this.scene.add(this.decorations);
         
+        // Collision volumes of all rooms and hallways in the scene
+        this.collisionWorld = new CollisionWorld();
+        
+        // Grid index of every generated room and hallway (loaded or not),
+        // shared with MuseumLayout and the minimap. Rooms sit on every other cell,
+        // each floor is a level of its own.
+        this.spatialIndex = new SpatialIndex(Config.museum.roomSpacing / 2, Config.museum.floorHeight);
+        
+        // Where the last unload check ran (see clearDistantObjects)
+        this.lastUnloadPosition = null;
+        this.lastUnloadDistance = 0;
+        this.unloadSweepNeeded = true;
+        
         // Reference to current room
         this.currentRoom = null;
+        
+        // Match fog and eye level to the configuration and follow later changes
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy scene settings from Config
+    applyConfig() {
+        // Fog thickens with distance so rooms fade out before they are unloaded
+        // (0.015 at the default 50-unit render distance)
+        this.scene.fog.density = 0.75 / Config.performance.maxRenderDistance;
+        
+        // Far plane just beyond the unload distance
+        this.camera.far = Math.max(Config.performance.maxRenderDistance * 2, 100);
+        this.camera.updateProjectionMatrix();
     }
     
     getScene() {
@@ -38,10 +72,21 @@ export class SceneManager {
         return this.camera;
     }
     
+    getCollisionWorld() {
+        return this.collisionWorld;
+    }
+    
+    getSpatialIndex() {
+        return this.spatialIndex;
+    }
+    
     // Add a room to the scene
     addRoom(room, position) {
         room.position.copy(position);
         this.rooms.add(room);
+        this.collisionWorld.addObject(room);
+        this.spatialIndex.insert(room, 'room');
+        this.unloadSweepNeeded = true;
         return room;
     }
     
@@ -49,6 +94,9 @@ export class SceneManager {
     addHallway(hallway, position) {
         hallway.position.copy(position);
         this.hallways.add(hallway);
+        this.collisionWorld.addObject(hallway);
+        this.spatialIndex.insert(hallway, 'hallway');
+        this.unloadSweepNeeded = true;
         return hallway;
     }
     
@@ -64,54 +112,94 @@ export class SceneManager {
     
     // Set current room (for UI updates and procedural generation)
     setCurrentRoom(room) {
+        // The previous room was exempt from unloading - check it again
+        this.unloadSweepNeeded = true;
         this.currentRoom = room;
         // Update HUD with current location
         if (room.userData.name) {
             document.getElementById('location-indicator').textContent = 
-                `Gallery: ${room.userData.name}`;
+                `Gallery: ${room.userData.name} · ${this.getFloorName(room.position.y)}`;
         }
     }
     
+    // Display name of the floor at a height
+    getFloorName(height) {
+        const floor = Math.round(height / Config.museum.floorHeight);
+        
+        if (floor === 0) return 'Ground Floor';
+        return floor > 0 ? `Floor ${floor}` : `Basement ${-floor}`;
+    }
+    
     // Get current room
     getCurrentRoom() {
         return this.currentRoom;
     }
     
+    // Remove and dispose every room, hallway and artwork (e.g. before loading a saved museum)
+    clearMuseum() {
+        [this.rooms, this.hallways, this.artworks].forEach(group => {
+            [...group.children].forEach(object => disposeObject(object));
+        });
+        
+        this.collisionWorld.clear();
+        this.spatialIndex.clear();
+        this.currentRoom = null;
+    }
+    
     // Clear distant objects (performance optimization)
+    // Every loaded object was within maxDistance at the last check, so after moving d units
+    // only objects within maxDistance + d can have left the range - just that part of the
+    // index is searched. Adding objects, changing rooms or the distance checks everything again.
     clearDistantObjects(cameraPosition, maxDistance) {
-        const objectsToRemove = [];
+        let candidates;
         
-        // Check rooms
-        this.rooms.children.forEach(room => {
-            if (room !== this.currentRoom && 
-                room.position.distanceTo(cameraPosition) > maxDistance) {
-                objectsToRemove.push({ group: this.rooms, object: room });
+        if (this.unloadSweepNeeded || !this.lastUnloadPosition || maxDistance !== this.lastUnloadDistance) {
+            candidates = [...this.rooms.children, ...this.hallways.children];
+            this.lastUnloadPosition = cameraPosition.clone();
+            this.unloadSweepNeeded = false;
+        } else {
+            const moved = cameraPosition.distanceTo(this.lastUnloadPosition);
+            if (moved === 0) {
+                return [];
             }
-        });
+            
+            candidates = this.spatialIndex
+                .queryRadius(cameraPosition, maxDistance + moved + 0.01)
+                .filter(object => object.parent === this.rooms || object.parent === this.hallways);
+            this.lastUnloadPosition.copy(cameraPosition);
+        }
         
-        // Check hallways
-        this.hallways.children.forEach(hallway => {
-            if (hallway.position.distanceTo(cameraPosition) > maxDistance) {
-                objectsToRemove.push({ group: this.hallways, object: hallway });
-            }
-        });
+        this.lastUnloadDistance = maxDistance;
         
-        // Remove objects
-        objectsToRemove.forEach(item => {
-            item.group.remove(item.object);
-            // Dispose geometries and materials to free memory
-            if (item.object.geometry) {
-                item.object.geometry.dispose();
-            }
-            if (item.object.material) {
-                if (Array.isArray(item.object.material)) {
-                    item.object.material.forEach(material => material.dispose());
-                } else {
-                    item.object.material.dispose();
-                }
-            }
-        });
+        const objectsToRemove = candidates.filter(object =>
+            object !== this.currentRoom &&
+            object.position.distanceTo(cameraPosition) > maxDistance
+        );
         
-        return objectsToRemove.length; // Return number of removed objects
+        // Unload objects (they stay in the spatial index as part of the layout)
+        objectsToRemove.forEach(object => this.unloadObject(object));
+        
+        return objectsToRemove; // Return the removed objects
+    }
+    
+    // Whether a room or hallway is currently in the scene
+    isLoaded(object) {
+        return object.parent === this.rooms || object.parent === this.hallways;
+    }
+    
+    // Take a room or hallway out of the scene and free everything it uses: the meshes
+    // below it with their geometries, materials and textures, and the framed artworks
+    // hung in it (listed in userData.artworkFrames). The emptied group itself is kept,
+    // its position and userData describe the space so MuseumLayout can rebuild it.
+    unloadObject(object) {
+        (object.userData.artworkFrames || []).forEach(frame => disposeObject(frame));
+        object.userData.artworkFrames = [];
+        
+        [...object.children].forEach(child => disposeObject(child));
+        
+        if (object.parent) {
+            object.parent.remove(object);
+        }
+        this.collisionWorld.removeObject(object);
     }
 }
\ No newline at end of file
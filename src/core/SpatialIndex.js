@@ -0,0 +1,298 @@
+/**
+ * Uniform grid index of the museum's rooms and hallways
+ *
+ * Space is divided into square cells (cellSize on x/z) stacked in levels
+ * (levelHeight on y). Each generated room and hallway is stored in the cell
+ * that contains its centre, keyed by integer cell coordinates, so lookups by
+ * position, radius or neighbourhood only touch nearby cells no matter how
+ * large the museum grows. Spaces stay indexed after their meshes have been
+ * unloaded; the index records the layout, not what is currently in the scene.
+ */
+
+// Cell coordinates are packed into one number: 21 bits each for x and z, 10 for the level
+const AXIS_OFFSET = 1 << 20;
+const AXIS_RANGE = 1 << 21;
+const LEVEL_OFFSET = 1 << 9;
+const LEVEL_RANGE = 1 << 10;
+
+export class SpatialIndex {
+    constructor(cellSize = 7.5, levelHeight = cellSize) {
+        this.cellSize = cellSize;
+        this.levelHeight = levelHeight;
+        
+        // Cell key -> Set of indexed objects
+        this.cells = new Map();
+        
+        // Indexed object -> { kind, cell: { x, y, z }, key }
+        this.entries = new Map();
+        
+        // Extent of the occupied cells (bounds how far a nearest search has to look)
+        this.bounds = null;
+    }
+    
+    get size() {
+        return this.entries.size;
+    }
+    
+    /**
+     * Integer cell coordinates containing a world position
+     * @param {THREE.Vector3} position World position
+     * @returns {{x: number, y: number, z: number}} Cell coordinates
+     */
+    getCellCoords(position) {
+        return {
+            x: Math.round(position.x / this.cellSize),
+            y: Math.round(position.y / this.levelHeight),
+            z: Math.round(position.z / this.cellSize)
+        };
+    }
+    
+    getCellKey(x, y, z) {
+        return ((x + AXIS_OFFSET) * AXIS_RANGE + (z + AXIS_OFFSET)) * LEVEL_RANGE + (y + LEVEL_OFFSET);
+    }
+    
+    /**
+     * Add (or move) an object
+     * @param {THREE.Object3D} object Room or hallway
+     * @param {string} kind 'room' or 'hallway'
+     * @param {THREE.Vector3} position Position to index it at (defaults to the object's position)
+     */
+    insert(object, kind, position = object.position) {
+        if (this.entries.has(object)) {
+            this.remove(object);
+        }
+        
+        const cell = this.getCellCoords(position);
+        const key = this.getCellKey(cell.x, cell.y, cell.z);
+        
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(object);
+        this.entries.set(object, { kind, cell, key });
+        
+        this.expandBounds(cell);
+    }
+    
+    /**
+     * Remove an object
+     */
+    remove(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+        
+        const cell = this.cells.get(entry.key);
+        cell.delete(object);
+        if (cell.size === 0) {
+            this.cells.delete(entry.key);
+        }
+        
+        this.entries.delete(object);
+    }
+    
+    /**
+     * Remove every object
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.bounds = null;
+    }
+    
+    has(object) {
+        return this.entries.has(object);
+    }
+    
+    getKind(object) {
+        const entry = this.entries.get(object);
+        return entry ? entry.kind : null;
+    }
+    
+    /**
+     * Objects in a single cell
+     * @returns {Array} Objects (empty if the cell is free)
+     */
+    getCell(x, y, z, kind = null) {
+        const cell = this.cells.get(this.getCellKey(x, y, z));
+        return cell ? this.filterKind(cell, kind) : [];
+    }
+    
+    /**
+     * First object whose position lies within `tolerance` of a position
+     * (used to test whether a grid position is already occupied)
+     * @returns {THREE.Object3D|null} Object, or null if the position is free
+     */
+    getAt(position, kind = null, tolerance = 0.5) {
+        const found = this.queryRadius(position, tolerance, kind);
+        return found.length > 0 ? found[0] : null;
+    }
+    
+    /**
+     * Objects in the cells around the one containing a position (same level, not the cell itself)
+     * @param {THREE.Vector3} position World position
+     * @param {string|null} kind Only return objects of this kind
+     * @param {number} range How many cells out to look
+     * @returns {Array} Objects
+     */
+    getNeighbors(position, kind = null, range = 1) {
+        const center = this.getCellCoords(position);
+        const neighbors = [];
+        
+        for (let x = center.x - range; x <= center.x + range; x++) {
+            for (let z = center.z - range; z <= center.z + range; z++) {
+                if (x === center.x && z === center.z) continue;
+                neighbors.push(...this.getCell(x, center.y, z, kind));
+            }
+        }
+        
+        return neighbors;
+    }
+    
+    /**
+     * Objects whose position lies within `radius` of a position
+     * @param {THREE.Vector3} position World position
+     * @param {number} radius Search radius
+     * @param {string|null} kind Only return objects of this kind
+     * @returns {Array} Objects
+     */
+    queryRadius(position, radius, kind = null) {
+        const results = [];
+        const radiusSq = radius * radius;
+        
+        if (!this.bounds) return results;
+        
+        // Cells covered by the search box, limited to the occupied extent
+        const bounds = this.bounds;
+        const low = this.getCellCoords({
+            x: position.x - radius,
+            y: position.y - radius,
+            z: position.z - radius
+        });
+        const high = this.getCellCoords({
+            x: position.x + radius,
+            y: position.y + radius,
+            z: position.z + radius
+        });
+        const min = {
+            x: Math.max(low.x, bounds.minX),
+            y: Math.max(low.y, bounds.minY),
+            z: Math.max(low.z, bounds.minZ)
+        };
+        const max = {
+            x: Math.min(high.x, bounds.maxX),
+            y: Math.min(high.y, bounds.maxY),
+            z: Math.min(high.z, bounds.maxZ)
+        };
+        
+        if (min.x > max.x || min.y > max.y || min.z > max.z) return results;
+        
+        const cellCount = (max.x - min.x + 1) * (max.y - min.y + 1) * (max.z - min.z + 1);
+        
+        // A huge radius covers more cells than there are objects - check the objects directly
+        if (cellCount > this.entries.size) {
+            this.entries.forEach((entry, object) => {
+                if ((!kind || entry.kind === kind) && object.position.distanceToSquared(position) <= radiusSq) {
+                    results.push(object);
+                }
+            });
+            return results;
+        }
+        
+        for (let x = min.x; x <= max.x; x++) {
+            for (let y = min.y; y <= max.y; y++) {
+                for (let z = min.z; z <= max.z; z++) {
+                    const cell = this.cells.get(this.getCellKey(x, y, z));
+                    if (!cell) continue;
+                    
+                    cell.forEach(object => {
+                        if ((!kind || this.entries.get(object).kind === kind) &&
+                            object.position.distanceToSquared(position) <= radiusSq) {
+                            results.push(object);
+                        }
+                    });
+                }
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Nearest object to a position, searching outwards ring by ring
+     * @param {THREE.Vector3} position World position
+     * @param {string|null} kind Only consider objects of this kind
+     * @param {number} maxDistance Ignore objects further away than this
+     * @returns {{object: THREE.Object3D, distance: number}|null} Nearest object, or null if none
+     */
+    findNearest(position, kind = null, maxDistance = Infinity) {
+        if (!this.bounds) return null;
+        
+        const center = this.getCellCoords(position);
+        const bounds = this.bounds;
+        
+        // No object lies further out than the occupied extent
+        const maxRing = Math.min(
+            Math.max(
+                Math.abs(center.x - bounds.minX), Math.abs(center.x - bounds.maxX),
+                Math.abs(center.z - bounds.minZ), Math.abs(center.z - bounds.maxZ)
+            ),
+            Math.ceil(maxDistance / this.cellSize) + 1
+        );
+        
+        let nearest = null;
+        let nearestDistance = maxDistance;
+        
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Everything in this ring is at least this far away horizontally
+            if (nearest && (ring - 1) * this.cellSize > nearestDistance) break;
+            
+            for (let x = center.x - ring; x <= center.x + ring; x++) {
+                for (let z = center.z - ring; z <= center.z + ring; z++) {
+                    // Only the outline of the square is new in this ring
+                    if (Math.abs(x - center.x) !== ring && Math.abs(z - center.z) !== ring) continue;
+                    
+                    for (let y = bounds.minY; y <= bounds.maxY; y++) {
+                        const cell = this.cells.get(this.getCellKey(x, y, z));
+                        if (!cell) continue;
+                        
+                        cell.forEach(object => {
+                            if (kind && this.entries.get(object).kind !== kind) return;
+                            
+                            const distance = object.position.distanceTo(position);
+                            if (distance <= nearestDistance) {
+                                nearest = object;
+                                nearestDistance = distance;
+                            }
+                        });
+                    }
+                }
+            }
+        }
+        
+        return nearest ? { object: nearest, distance: nearestDistance } : null;
+    }
+    
+    filterKind(cell, kind) {
+        const objects = [...cell];
+        return kind ? objects.filter(object => this.entries.get(object).kind === kind) : objects;
+    }
+    
+    expandBounds(cell) {
+        if (!this.bounds) {
+            this.bounds = {
+                minX: cell.x, maxX: cell.x,
+                minY: cell.y, maxY: cell.y,
+                minZ: cell.z, maxZ: cell.z
+            };
+            return;
+        }
+        
+        const bounds = this.bounds;
+        bounds.minX = Math.min(bounds.minX, cell.x);
+        bounds.maxX = Math.max(bounds.maxX, cell.x);
+        bounds.minY = Math.min(bounds.minY, cell.y);
+        bounds.maxY = Math.max(bounds.maxY, cell.y);
+        bounds.minZ = Math.min(bounds.minZ, cell.z);
+        bounds.maxZ = Math.max(bounds.maxZ, cell.z);
+    }
+}
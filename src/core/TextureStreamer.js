@@ -0,0 +1,237 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
+/**
+ * Shared streaming service for artwork textures
+ *
+ * Every request gets its texture object right away, so a frame can be built
+ * before its image has arrived. Images are loaded through one queue with a
+ * limit on concurrent downloads: low-res previews go first, then full
+ * images, nearest to the camera and in its view direction first. When the
+ * full image arrives it replaces the preview in the same texture. Both images
+ * are kept, so a texture can drop back to its preview while it is far away
+ * (see setResolution). Requests can be cancelled one by one or per owner
+ * (e.g. when a room unloads).
+ */
+export class TextureStreamer {
+    constructor(camera = null) {
+        // Priorities are measured from this camera (everything is equal without one)
+        this.camera = camera;
+        
+        this.maxConcurrent = 4;
+        this.loadPreviews = true;
+        
+        // Pending loads ({ handle, urls, isPreview, resolve }) and loads in progress
+        this.queue = [];
+        this.loading = new Set();
+        this.pumpScheduled = false;
+        
+        this.loader = new THREE.ImageLoader();
+        this.loader.setCrossOrigin('anonymous');
+        
+        // Scratch vectors for priorities
+        this.viewPosition = new THREE.Vector3();
+        this.viewDirection = new THREE.Vector3();
+        this.toTarget = new THREE.Vector3();
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy streaming settings from Config
+    applyConfig() {
+        this.maxConcurrent = Math.max(1, Config.content.maxConcurrentTextureLoads);
+        this.loadPreviews = Config.content.loadPlaceholdersFirst;
+        this.pump();
+    }
+    
+    /**
+     * Request a texture
+     * @param {string} url Full image
+     * @param {Object} options
+     * @param {*} options.owner Anything the request belongs to (see cancelOwner)
+     * @param {THREE.Vector3} options.position Where the texture is shown (for priority; can be updated on the handle)
+     * @param {string} options.previewUrl Low-res image shown until the full one arrives
+     * @param {string} options.fallbackUrl Image shown if the full one fails to load
+     * @returns {Object} Handle: { texture, position, preview, loaded, cancel() }. `preview` and
+     *                   `loaded` resolve to whether that image loaded.
+     */
+    request(url, { owner = null, position = null, previewUrl = null, fallbackUrl = null } = {}) {
+        const handle = {
+            texture: new THREE.Texture(),
+            owner,
+            position: position ? position.clone() : null,
+            cancelled: false,
+            complete: false,
+            
+            // Image the texture should show ('full' or 'preview') and the loaded images ({ image, format })
+            resolution: 'full',
+            previewImage: null,
+            fullImage: null
+        };
+        handle.cancel = () => this.cancel(handle);
+        
+        handle.preview = previewUrl && this.loadPreviews
+            ? this.enqueue(handle, [previewUrl], true)
+            : Promise.resolve(false);
+        handle.loaded = this.enqueue(handle, [url, fallbackUrl].filter(Boolean), false);
+        
+        return handle;
+    }
+    
+    /**
+     * Stop loading a texture (its texture object is left to the caller to dispose)
+     */
+    cancel(handle) {
+        handle.cancelled = true;
+        
+        this.queue = this.queue.filter(item => {
+            if (item.handle !== handle) return true;
+            item.resolve(false);
+            return false;
+        });
+    }
+    
+    /**
+     * Cancel every request of an owner
+     */
+    cancelOwner(owner) {
+        const handles = new Set();
+        this.queue.forEach(item => item.handle.owner === owner && handles.add(item.handle));
+        this.loading.forEach(item => item.handle.owner === owner && handles.add(item.handle));
+        
+        handles.forEach(handle => this.cancel(handle));
+    }
+    
+    /**
+     * Choose which image a texture shows
+     * @param {Object} handle Request handle
+     * @param {string} resolution 'full', or 'preview' for the low-res image (falls back to
+     *                            whichever image has loaded)
+     */
+    setResolution(handle, resolution) {
+        handle.resolution = resolution;
+        this.showImage(handle);
+    }
+    
+    get pendingCount() {
+        return this.queue.length + this.loading.size;
+    }
+    
+    enqueue(handle, urls, isPreview) {
+        return new Promise(resolve => {
+            this.queue.push({ handle, urls, isPreview, resolve });
+            this.schedulePump();
+        });
+    }
+    
+    // Start loads once the current batch of requests is queued, so it is prioritised as a whole
+    schedulePump() {
+        if (this.pumpScheduled) return;
+        
+        this.pumpScheduled = true;
+        Promise.resolve().then(() => {
+            this.pumpScheduled = false;
+            this.pump();
+        });
+    }
+    
+    // Start queued loads while there are free slots, most important first
+    pump() {
+        if (this.queue.length === 0 || this.loading.size >= this.maxConcurrent) return;
+        
+        if (this.camera) {
+            this.camera.getWorldPosition(this.viewPosition);
+            this.camera.getWorldDirection(this.viewDirection);
+        }
+        
+        while (this.queue.length > 0 && this.loading.size < this.maxConcurrent) {
+            let best = 0;
+            for (let i = 1; i < this.queue.length; i++) {
+                if (this.compare(this.queue[i], this.queue[best]) < 0) {
+                    best = i;
+                }
+            }
+            
+            const item = this.queue.splice(best, 1)[0];
+            this.loading.add(item);
+            
+            this.load(item).then(shown => {
+                this.loading.delete(item);
+                item.resolve(shown);
+                this.pump();
+            });
+        }
+    }
+    
+    // Previews before full images, then by priority
+    compare(a, b) {
+        if (a.isPreview !== b.isPreview) {
+            return a.isPreview ? -1 : 1;
+        }
+        return this.getPriority(a.handle) - this.getPriority(b.handle);
+    }
+    
+    // Lower is more urgent: the distance to the camera, counted up to twice as far
+    // for textures behind it
+    getPriority(handle) {
+        if (!this.camera || !handle.position) return 0;
+        
+        this.toTarget.subVectors(handle.position, this.viewPosition);
+        const distance = this.toTarget.length();
+        const facing = distance > 0 ? this.toTarget.dot(this.viewDirection) / distance : 1;
+        
+        return distance * (2 - facing);
+    }
+    
+    // Load the first of an item's URLs that works into its texture
+    async load(item) {
+        const handle = item.handle;
+        
+        for (const url of item.urls) {
+            if (handle.cancelled) return false;
+            
+            let image;
+            try {
+                image = await this.loadImage(url);
+            } catch (error) {
+                continue; // Try the next URL
+            }
+            
+            if (handle.cancelled) return false;
+            
+            const loaded = { image, format: /\.jpe?g($|\?)/i.test(url) ? THREE.RGBFormat : THREE.RGBAFormat };
+            if (item.isPreview) {
+                handle.previewImage = loaded;
+            } else {
+                handle.fullImage = loaded;
+                handle.complete = true;
+            }
+            
+            this.showImage(handle);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    // Put the image matching the handle's resolution into its texture, or the other one
+    // until that has loaded
+    showImage(handle) {
+        const shown = handle.resolution === 'preview'
+            ? handle.previewImage || handle.fullImage
+            : handle.fullImage || handle.previewImage;
+        
+        const texture = handle.texture;
+        if (!shown || texture.image === shown.image) return;
+        
+        texture.image = shown.image;
+        texture.format = shown.format;
+        texture.needsUpdate = true;
+    }
+    
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            this.loader.load(url, resolve, undefined, reject);
+        });
+    }
+}
@@ -0,0 +1,188 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
+/**
+ * High-resolution tiles over a framed picture
+ *
+ * Each update works out which part of the picture the camera sees and how many
+ * image pixels fall on a screen pixel, picks the matching scale of the tile
+ * source and requests the tiles covering that part through the texture
+ * streamer. Tiles are drawn just in front of the picture, finer scales in
+ * front of coarser ones, so the picture (or a coarser tile) shows until a
+ * tile has arrived. Only scales sharper than the picture's own texture are
+ * used, and tiles out of view are dropped, oldest first, once more than
+ * `inspect.maxTiles` are kept.
+ */
+export class TileLayer {
+    /**
+     * @param {THREE.Mesh} picture Picture plane (a PlaneGeometry facing +z)
+     * @param {TileSource} source Tiles of the picture's image
+     * @param {TextureStreamer} textureStreamer Loads the tiles
+     */
+    constructor(picture, source, textureStreamer) {
+        this.picture = picture;
+        this.source = source;
+        this.textureStreamer = textureStreamer;
+        
+        // Picture size in world units
+        this.width = picture.geometry.parameters.width;
+        this.height = picture.geometry.parameters.height;
+        
+        this.group = new THREE.Group();
+        this.group.name = 'tiles';
+        picture.add(this.group);
+        
+        // "scale/column/row" -> { mesh, handle, lastNeeded }
+        this.tiles = new Map();
+        this.updateCount = 0;
+        
+        // Scale factor of the tiles in view (null while the picture's texture is sharp enough)
+        this.scaleFactor = null;
+        
+        // Scratch vector for the camera position
+        this.cameraPosition = new THREE.Vector3();
+        
+        this.applyConfig();
+        this.removeConfigListener = onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy tile settings from Config
+    applyConfig() {
+        this.maxTiles = Config.inspect.maxTiles;
+    }
+    
+    /**
+     * Request the tiles for the camera's view of the picture (the camera is assumed to
+     * face the picture squarely)
+     * @param {THREE.PerspectiveCamera} camera Camera the picture is seen with
+     * @param {number} viewportHeight Height of the rendered image in pixels
+     */
+    update(camera, viewportHeight) {
+        this.updateCount++;
+        
+        // Camera position relative to the picture; the picture faces +z
+        camera.getWorldPosition(this.cameraPosition);
+        const eye = this.picture.worldToLocal(this.cameraPosition);
+        if (eye.z <= 0) return;
+        
+        const halfHeight = eye.z * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const halfWidth = halfHeight * camera.aspect;
+        
+        // Image pixels per screen pixel, and the scale that gives about one of each
+        const imagePixelsPerUnit = this.source.width / this.width;
+        const screenPixelsPerUnit = viewportHeight / (2 * halfHeight);
+        const scaleFactor = this.source.getScaleFactorFor(imagePixelsPerUnit / screenPixelsPerUnit);
+        
+        // Nothing to add where the picture's own texture is as sharp
+        const texture = this.picture.material.map;
+        const textureWidth = texture && texture.image ? texture.image.width : 0;
+        this.scaleFactor = this.source.width / scaleFactor > textureWidth ? scaleFactor : null;
+        
+        if (this.scaleFactor !== null) {
+            // Visible part of the picture in image pixels (image y runs downwards)
+            const left = (eye.x - halfWidth + this.width / 2) * imagePixelsPerUnit;
+            const right = (eye.x + halfWidth + this.width / 2) * imagePixelsPerUnit;
+            const top = (this.height / 2 - eye.y - halfHeight) * imagePixelsPerUnit;
+            const bottom = (this.height / 2 - eye.y + halfHeight) * imagePixelsPerUnit;
+            
+            const span = this.source.tileSize * scaleFactor;
+            const count = this.source.getTileCount(scaleFactor);
+            const firstColumn = Math.max(0, Math.floor(left / span));
+            const lastColumn = Math.min(count.columns - 1, Math.floor(right / span));
+            const firstRow = Math.max(0, Math.floor(top / span));
+            const lastRow = Math.min(count.rows - 1, Math.floor(bottom / span));
+            
+            for (let row = firstRow; row <= lastRow; row++) {
+                for (let column = firstColumn; column <= lastColumn; column++) {
+                    this.requestTile(scaleFactor, column, row).lastNeeded = this.updateCount;
+                }
+            }
+        }
+        
+        this.evictTiles();
+    }
+    
+    // Tile at a scale, created and requested the first time it is needed
+    requestTile(scaleFactor, column, row) {
+        const key = `${scaleFactor}/${column}/${row}`;
+        let tile = this.tiles.get(key);
+        if (tile) return tile;
+        
+        // Tile plane over its part of the picture; finer scales lie further in front
+        const region = this.source.getTileRegion(scaleFactor, column, row);
+        const unitsPerPixel = this.width / this.source.width;
+        const geometry = new THREE.PlaneGeometry(region.width * unitsPerPixel, region.height * unitsPerPixel);
+        const level = this.source.scaleFactors.length - this.source.scaleFactors.indexOf(scaleFactor);
+        
+        const position = new THREE.Vector3(
+            (region.x + region.width / 2) * unitsPerPixel - this.width / 2,
+            this.height / 2 - (region.y + region.height / 2) * unitsPerPixel,
+            0.0005 * level
+        );
+        
+        const handle = this.textureStreamer.request(this.source.getTileUrl(scaleFactor, column, row), {
+            owner: this,
+            position: this.picture.localToWorld(position.clone())
+        });
+        
+        // Lit like the picture underneath
+        const material = new THREE.MeshStandardMaterial({
+            map: handle.texture,
+            roughness: 0.5,
+            metalness: 0.0
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(position);
+        mesh.visible = false;
+        this.group.add(mesh);
+        
+        handle.loaded.then(loaded => {
+            mesh.visible = loaded;
+        });
+        
+        tile = { mesh, handle, lastNeeded: this.updateCount };
+        this.tiles.set(key, tile);
+        return tile;
+    }
+    
+    // Drop the tiles out of view longest once there are too many
+    evictTiles() {
+        if (this.tiles.size <= this.maxTiles) return;
+        
+        const unused = [...this.tiles]
+            .filter(([, tile]) => tile.lastNeeded < this.updateCount)
+            .sort((a, b) => a[1].lastNeeded - b[1].lastNeeded);
+        
+        for (const [key, tile] of unused.slice(0, this.tiles.size - this.maxTiles)) {
+            this.disposeTile(tile);
+            this.tiles.delete(key);
+        }
+    }
+    
+    disposeTile(tile) {
+        tile.handle.cancel();
+        tile.handle.texture.dispose();
+        tile.mesh.geometry.dispose();
+        tile.mesh.material.dispose();
+        this.group.remove(tile.mesh);
+    }
+    
+    // Number of tiles that have arrived
+    get loadedCount() {
+        let count = 0;
+        this.tiles.forEach(tile => {
+            if (tile.handle.complete) count++;
+        });
+        return count;
+    }
+    
+    /**
+     * Cancel pending tiles and remove every tile from the picture
+     */
+    dispose() {
+        this.tiles.forEach(tile => this.disposeTile(tile));
+        this.tiles.clear();
+        this.picture.remove(this.group);
+        this.removeConfigListener();
+    }
+}
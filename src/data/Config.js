@@ -4,42 +4,68 @@
 export const Config = {
     // Performance settings
     performance: {
-        maxRenderDistance: 50,      // Distance beyond which objects are unloaded
-        generationDistance: 30,      // Distance at which new rooms are generated
+        maxRenderDistance: 75,      // Distance beyond which objects are unloaded
+        generationDistance: 45,      // Rooms within this distance of the player are generated
+        generationBudget: 4,         // Milliseconds per frame spent generating rooms (at least one room per frame)
+        generationWorker: true,      // Plan rooms and build their geometry in a Web Worker (falls back to the main thread)
         targetFPS: 60,               // Target frames per second
         qualityPreset: 'medium',     // Options: 'low', 'medium', 'high'
         enableShadows: true,         // Enable/disable shadow rendering
+        maxActiveLights: 32,         // Room and picture lights closest to the player that are switched on
+        maxShadowLights: 4,          // Room lights closest to the player that cast shadows
+        lodDistances: {              // Distances at which rooms and artworks drop to medium and low detail, per qualityPreset
+            low: { medium: 10, low: 20 },
+            medium: { medium: 15, low: 30 },
+            high: { medium: 25, low: 40 }
+        },
+        enablePortalCulling: true,   // Hide rooms and hallways that cannot be seen through the doorways
+        adaptiveQuality: true,       // Lower or raise qualityPreset to hold targetFPS (see QualityGovernor)
+        // What else each qualityPreset changes: the share of maxRenderDistance rooms stay loaded within,
+        // and whether artworks up close load their full image or keep the preview
+        qualitySettings: {
+            low: { renderDistanceScale: 0.6, fullResolutionArtworks: false },
+            medium: { renderDistanceScale: 1, fullResolutionArtworks: true },
+            high: { renderDistanceScale: 1.2, fullResolutionArtworks: true }
+        },
+        simulationRate: 60,          // Simulation steps per second (movement and physics run at this fixed rate)
+        maxSimulationSteps: 5,       // Steps one frame may run to catch up; beyond that the simulation slows down
         enablePostProcessing: false, // Enable/disable post-processing effects
         maxArtworksPerRoom: 5        // Maximum number of artworks in a single room
     },
     
     // Navigation settings
     navigation: {
-        moveSpeed: 0.1,              // Base movement speed
+        moveSpeed: 6,                // Walking speed in units per second
         runMultiplier: 2.0,          // Speed multiplier when running
         mouseSensitivity: 0.002,     // Mouse look sensitivity
         enableJumping: true,         // Enable/disable jumping
-        jumpHeight: 1.0,             // Maximum jump height
+        jumpHeight: 1.0,             // Height a jump lifts the player, in units
+        gravity: 20,                 // Downward acceleration in units per second squared
         playerHeight: 1.7,           // Player eye level height
+        playerRadius: 0.3,           // Distance the player keeps from walls
+        maxStepHeight: 0.35,         // Highest ledge (e.g. a stair step) the player walks up
         collisionDetection: true     // Enable/disable collision detection
     },
     
     // Museum layout settings
     museum: {
-        roomSpacing: 15,             // Distance between room centers
+        roomSpacing: 22,             // Distance between room centers (fits the largest room template and a hallway)
         defaultRoomSize: {           // Default dimensions for a standard room
             width: 10,
             height: 5,
             depth: 10
         },
         regionTransitionDistance: 5, // Distance threshold for region transition effects
-        enableElevationChanges: true // Enable/disable multi-level architecture
+        enableElevationChanges: true, // Enable/disable multi-level architecture
+        floorHeight: 2.25,           // Height between floors (climbed by one flight of stairs)
+        seed: null                   // Layout seed (null = random per visit, ?seed= in the URL overrides)
     },
     
     // UI settings
     ui: {
         showHUD: true,               // Show/hide heads-up display
         showMinimap: false,          // Show/hide minimap
+        minimapRange: 40,            // World units from the player to the edge of the minimap
         showFPS: true,               // Show/hide FPS counter
         hudOpacity: 0.8,             // Opacity of HUD elements
         infoPanelWidth: 400,         // Width of artwork info panel in pixels
@@ -47,12 +73,45 @@ export const Config = {
         hudPosition: 'bottom-left',  // HUD position: 'top-left', 'top-right', 'bottom-left', 'bottom-right'
     },
     
+    // Close-up inspection of artworks
+    inspect: {
+        transitionTime: 0.8,         // Seconds the camera takes to move up to a picture and back
+        maxZoom: 16,                 // Closest zoom, as a multiple of the view that fits the whole picture
+        zoomSpeed: 1,                // Mouse wheel zoom sensitivity
+        maxTiles: 96                 // High-resolution tiles kept while inspecting (tiles out of view beyond this are dropped)
+    },
+    
+    // Guided tours
+    tours: {
+        walkingSpeed: 3,             // Units per second the camera moves between stops
+        turnSpeed: 4,                // How quickly the camera turns towards where it goes
+        stopDuration: 12,            // Seconds spent at a stop without audio or a duration of its own
+        narrationVolume: 1           // Volume of the narration audio (0.0 to 1.0)
+    },
+    
     // Content settings
     content: {
         preferredArtSource: 'wikimedia', // Options: 'wikimedia', 'local', 'mixed'
         loadPlaceholdersFirst: true,     // Load placeholder images first, then real content
+        maxConcurrentTextureLoads: 4,    // Artwork images downloaded at the same time
         preloadImages: true,             // Preload images on startup for smoother experience
         textureQuality: 'medium',        // Options: 'low', 'medium', 'high'
+        localManifestUrl: 'images/manifest.json', // Built by scripts/index-images.mjs, used for 'local' and 'mixed'
+        wikimediaApiEndpoint: 'https://commons.wikimedia.org/w/api.php', // MediaWiki API (point at a local stand-in for tests)
+        wikimediaImagesPerTheme: 24,     // Images fetched per theme category
+        apiCacheHours: 24,               // How long API responses are cached in localStorage
+        wikimediaCategories: {           // Commons category queried for each art theme
+            renaissance: 'Italian Renaissance paintings',
+            classical: 'Baroque paintings',
+            historical: 'History paintings',
+            modern: 'Impressionist paintings',
+            technological: 'Industry in art',
+            abstract: 'Abstract paintings',
+            surreal: 'Surrealist paintings',
+            contemporary: 'Contemporary art',
+            experimental: 'Cubist paintings',
+            general: 'Featured pictures of paintings'
+        },
         audioEnabled: false,             // Enable/disable ambient audio
         audioVolume: 0.5                 // Audio volume (0.0 to 1.0)
     },
@@ -67,6 +126,9 @@ export const Config = {
     }
 };
 
+// Subsystems listening for configuration changes
+const configListeners = new Set();
+
 /**
  * Apply user-defined configuration settings
  * @param {Object} userConfig User configuration object to merge with defaults
@@ -75,10 +137,140 @@ export function applyUserConfig(userConfig) {
     // Deep merge userConfig into Config
     mergeDeep(Config, userConfig);
     console.log('Applied user configuration settings');
+    
+    // Let every subsystem pick up the new values
+    configListeners.forEach(listener => listener(Config, userConfig));
+}
+
+/**
+ * Register a listener that runs whenever applyUserConfig changes the configuration
+ * @param {Function} listener Called with (Config, appliedOverrides)
+ * @returns {Function} Function that removes the listener again
+ */
+export function onConfigChange(listener) {
+    configListeners.add(listener);
+    return () => configListeners.delete(listener);
+}
+
+/**
+ * Load configuration overrides from a JSON file and apply them
+ * @param {string} url URL of the JSON file
+ * @returns {Promise<Object>} The overrides that were applied
+ */
+export async function loadConfigFromFile(url) {
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+        throw new Error(`Failed to load configuration file ${url}: ${response.status}`);
+    }
+    
+    const overrides = await response.json();
+    applyUserConfig(overrides);
+    return overrides;
+}
+
+/**
+ * Build configuration overrides from URL query parameters
+ * Parameters use dotted paths into Config, e.g. ?navigation.moveSpeed=8&ui.showMinimap=true
+ * Values are converted to the type of the existing setting; unknown settings are ignored.
+ * @param {string} search URL query string
+ * @returns {Object} Overrides object (empty if no parameter matched a setting)
+ */
+export function parseConfigFromQuery(search = window.location.search) {
+    const overrides = {};
+    const params = new URLSearchParams(search);
+    
+    params.forEach((rawValue, path) => {
+        const keys = path.split('.');
+        if (keys.length < 2) return; // Only dotted paths address settings
+        
+        // Walk Config to find the current value and its type
+        let current = Config;
+        for (const key of keys) {
+            if (!current || typeof current !== 'object' || !(key in current)) {
+                console.warn(`Ignoring unknown configuration parameter: ${path}`);
+                return;
+            }
+            current = current[key];
+        }
+        
+        const value = parseConfigValue(rawValue, current);
+        if (value === undefined) {
+            console.warn(`Ignoring invalid value for ${path}: ${rawValue}`);
+            return;
+        }
+        
+        // Create nested override object
+        let target = overrides;
+        keys.slice(0, -1).forEach(key => {
+            target[key] = target[key] || {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    });
+    
+    return overrides;
+}
+
+/**
+ * Apply configuration overrides from the URL query string
+ * A ?config=path.json parameter additionally loads overrides from a JSON file; the
+ * query parameters then apply once it has loaded, so they win over it. A file that
+ * cannot be loaded is skipped with a warning.
+ * @param {string} search URL query string
+ * @returns {Promise<void>} Resolves once all overrides are applied
+ */
+export async function applyConfigFromURL(search = window.location.search) {
+    const overrides = parseConfigFromQuery(search);
+    
+    const configFile = new URLSearchParams(search).get('config');
+    if (configFile) {
+        try {
+            await loadConfigFromFile(configFile);
+        } catch (error) {
+            console.warn(`Ignoring configuration file: ${error.message}`);
+        }
+    }
+    
+    // Applied once only: array settings are appended to rather than replaced
+    if (Object.keys(overrides).length > 0) {
+        applyUserConfig(overrides);
+    }
+}
+
+/**
+ * Convert a query string value to the type of the setting it overrides
+ * @param {string} rawValue Value from the URL
+ * @param {*} currentValue Current value of the setting
+ * @returns {*} Converted value, or undefined if it cannot be converted
+ */
+function parseConfigValue(rawValue, currentValue) {
+    if (typeof currentValue === 'boolean') {
+        if (rawValue === 'true' || rawValue === '1') return true;
+        if (rawValue === 'false' || rawValue === '0') return false;
+        return undefined;
+    }
+    
+    if (typeof currentValue === 'number') {
+        const number = parseFloat(rawValue);
+        return isNaN(number) ? undefined : number;
+    }
+    
+    if (currentValue && typeof currentValue === 'object') {
+        try {
+            return JSON.parse(rawValue);
+        } catch (error) {
+            return undefined;
+        }
+    }
+    
+    // Strings and unset (null) settings take the raw value
+    return rawValue;
 }
 
 /**
  * Utility function to deep merge objects
+ * Nested objects are merged in place so references to Config sections stay valid
  * @param {Object} target Target object
  * @param {Object} source Source object
  * @returns {Object} Merged object
@@ -97,11 +289,11 @@ function mergeDeep(target, source) {
         if (Array.isArray(targetValue) && Array.isArray(sourceValue)) {
             target[key] = targetValue.concat(sourceValue);
         } else if (isObject(targetValue) && isObject(sourceValue)) {
-            target[key] = mergeDeep(Object.assign({}, targetValue), sourceValue);
+            target[key] = mergeDeep(targetValue, sourceValue);
         } else {
             target[key] = sourceValue;
         }
     });
     
     return target;
-}
\ No newline at end of file
+}
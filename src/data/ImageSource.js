@@ -1,13 +1,42 @@
+import { SeededRandom } from '../utils/Random.js';
+import { Config, onConfigChange } from './Config.js';
+import { WikimediaClient } from './WikimediaClient.js';
+
+// Thumbnail width requested from Wikimedia for each texture quality (standard Commons widths)
+const TEXTURE_WIDTHS = { low: 500, medium: 960, high: 1920 };
+
 export class ImageSource {
-    constructor() {
+    constructor(random = new SeededRandom()) {
+        // Seeded random source for shuffling and fallback selection
+        this.random = random;
+        
         // Local images path
         this.localImagesPath = 'images/';
         
+        // Wikimedia Commons API client (endpoint from Config.content.wikimediaApiEndpoint)
+        this.wikimedia = new WikimediaClient(
+            Config.content.wikimediaApiEndpoint,
+            Config.content.apiCacheHours
+        );
+        onConfigChange(() => {
+            this.wikimedia.endpoint = Config.content.wikimediaApiEndpoint;
+            this.wikimedia.cacheHours = Config.content.apiCacheHours;
+            this.externalSources[0].apiEndpoint = Config.content.wikimediaApiEndpoint;
+        });
+        
+        // Themes whose Commons category has been requested (theme -> Promise)
+        this.wikimediaRequests = {};
+        
+        // Images indexed from the local folder (see scripts/index-images.mjs)
+        this.localImages = [];
+        this.localThemes = {};
+        this.localManifestRequest = null;
+        
         // External image source APIs
         this.externalSources = [
             {
                 name: 'Wikimedia Commons',
-                apiEndpoint: null, // Direct URLs used instead
+                apiEndpoint: Config.content.wikimediaApiEndpoint,
                 enabled: true
             },
             {
@@ -78,7 +107,7 @@ export class ImageSource {
      */
     async useFallbackImage(image) {
         // Generate a fallback URL using local placeholders
-        const fallbackIndex = Math.floor(Math.random() * 5) + 1;
+        const fallbackIndex = this.random.int(1, 5);
         const fallbackUrl = `${this.localImagesPath}placeholders/artwork_${fallbackIndex}.jpg`;
         
         // Store the fallback in the cache
@@ -112,29 +141,78 @@ export class ImageSource {
     
     /**
      * Get images for a list of themes
+     * Pass a forked random source to make the selection independent of call order
      */
-    async getImagesForThemes(themes = ['general'], count = 5) {
+    async getImagesForThemes(themes = ['general'], count = 5, random = this.random) {
+        const source = Config.content.preferredArtSource;
         let allImages = [];
         
-        // Gather images from all requested themes
-        for (const theme of themes) {
-            if (this.themeMap[theme]) {
-                allImages = allImages.concat(this.themeMap[theme]);
+        // Images from the local manifest
+        if (source === 'local' || source === 'mixed') {
+            allImages = allImages.concat(await this.getLocalImagesForThemes(themes));
+        }
+        
+        if (source !== 'local') {
+            // Make sure the themes' Commons categories have been fetched
+            await Promise.all(themes.concat('general').map(theme => this.loadWikimediaTheme(theme)));
+            
+            // Gather images from all requested themes
+            for (const theme of themes) {
+                if (this.themeMap[theme]) {
+                    allImages = allImages.concat(this.themeMap[theme]);
+                }
             }
         }
         
         // If no images found, use general theme
         if (allImages.length === 0) {
-            allImages = this.themeMap.general;
+            allImages = this.themeMap.general.slice();
         }
         
-        // Shuffle the images
-        this.shuffleArray(allImages);
+        // Shuffle the images (a copy, so the theme collections keep their order)
+        this.shuffleArray(allImages, random);
         
         // Return the requested number of images
         return allImages.slice(0, count);
     }
     
+    /**
+     * Every artwork rooms can show with the current art source, and the themes it
+     * belongs to. Fetches the Commons categories of all themes (or the local
+     * manifest) first, so the catalogue is complete.
+     * @returns {Promise<Array<Object>>} [{ image, themes }]
+     */
+    async getCatalog() {
+        const source = Config.content.preferredArtSource;
+        const entries = new Map();
+        
+        const add = (image, theme) => {
+            if (!entries.has(image.id)) {
+                entries.set(image.id, { image, themes: [] });
+            }
+            
+            const themes = entries.get(image.id).themes;
+            if (theme && !themes.includes(theme)) {
+                themes.push(theme);
+            }
+        };
+        
+        if (source === 'local' || source === 'mixed') {
+            await this.loadLocalManifest();
+            this.localImages.forEach(image => add(image, image.theme));
+        }
+        
+        if (source !== 'local') {
+            await Promise.all(Object.keys(this.themeMap).map(theme => this.loadWikimediaTheme(theme)));
+            
+            for (const theme in this.themeMap) {
+                this.themeMap[theme].forEach(image => add(image, theme));
+            }
+        }
+        
+        return [...entries.values()];
+    }
+    
     /**
      * Get a specific image by ID
      */
@@ -149,22 +227,86 @@ export class ImageSource {
             }
         }
         
+        // Local images (e.g. in a restored museum before any room asked for them)
+        if (id.startsWith('local_')) {
+            await this.loadLocalManifest();
+            const image = this.localImages.find(img => img.id === id);
+            if (image) {
+                return image;
+            }
+        }
+        
+        // Commons images from themes not loaded yet (e.g. in a restored museum)
+        if (id.startsWith('wikimedia_') && this.isWikimediaEnabled()) {
+            try {
+                return await this.wikimedia.fetchImageByPageId(id.slice('wikimedia_'.length), this.getTextureWidth());
+            } catch (error) {
+                console.warn(`Could not fetch ${id} from Wikimedia Commons: ${error.message}`);
+            }
+        }
+        
         return null;
     }
     
     /**
-     * Helper to shuffle an array (Fisher-Yates algorithm)
+     * Whether images should come from Wikimedia Commons
      */
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+    isWikimediaEnabled() {
+        return Config.content.preferredArtSource !== 'local' && this.externalSources[0].enabled;
+    }
+    
+    /**
+     * Thumbnail width matching Config.content.textureQuality
+     */
+    getTextureWidth() {
+        return TEXTURE_WIDTHS[Config.content.textureQuality] || TEXTURE_WIDTHS.medium;
+    }
+    
+    /**
+     * Fill a theme with images from its Commons category (once per theme).
+     * The curated Wikimedia entries are kept; placeholders are replaced.
+     * If the API is unreachable the existing collection stays in place.
+     */
+    loadWikimediaTheme(theme) {
+        const category = Config.content.wikimediaCategories[theme];
+        if (!category || !this.isWikimediaEnabled()) {
+            return Promise.resolve();
+        }
+        
+        if (!this.wikimediaRequests[theme]) {
+            this.wikimediaRequests[theme] = this.wikimedia
+                .fetchCategoryImages(category, Config.content.wikimediaImagesPerTheme, this.getTextureWidth())
+                .then(images => {
+                    if (images.length === 0) {
+                        console.warn(`No usable images in Commons category "${category}"`);
+                        return;
+                    }
+                    
+                    const curated = (this.themeMap[theme] || [])
+                        .filter(image => image.source === 'Wikimedia Commons');
+                    const curatedIds = new Set(curated.map(image => image.id));
+                    
+                    this.themeMap[theme] = curated.concat(images.filter(image => !curatedIds.has(image.id)));
+                })
+                .catch(error => {
+                    console.warn(`Could not load Commons category "${category}": ${error.message}`);
+                });
         }
+        
+        return this.wikimediaRequests[theme];
     }
     
     /**
-     * Create a collection of Wikimedia images for a theme
-     * This uses predefined URLs for demo purposes
+     * Helper to shuffle an array (Fisher-Yates algorithm)
+     */
+    shuffleArray(array, random = this.random) {
+        random.shuffle(array);
+    }
+    
+    /**
+     * Create the built-in collection for a theme
+     * A few well-known works use direct Wikimedia URLs; other themes start with
+     * placeholders until loadWikimediaTheme fetches their Commons category.
      */
     getWikimediaCollection(theme, count) {
         const collection = [];
@@ -283,24 +425,65 @@ export class ImageSource {
     }
     
     /**
-     * Get local images from the /images directory
+     * Load the local image manifest (once).
+     * The manifest is written by `node scripts/index-images.mjs`; each subfolder
+     * of images/ is a theme. If it is missing, no local images are available.
      */
-    async getLocalImages(theme, count) {
-        const localImages = [];
-        
-        // In a real application, this would scan the local directory
-        // For demo purposes, return placeholders
-        for (let i = 1; i <= count; i++) {
-            localImages.push({
-                id: `local_${theme}_${i}`,
-                title: `Local Artwork ${i}`,
-                artist: 'Local Artist',
-                description: 'A sample artwork from the local repository.',
-                source: 'Local Repository',
-                url: `${this.localImagesPath}placeholders/artwork_${i % 5 + 1}.jpg`
-            });
+    loadLocalManifest() {
+        if (!this.localManifestRequest) {
+            this.localManifestRequest = fetch(Config.content.localManifestUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${response.status} ${response.statusText}`);
+                    }
+                    return response.json();
+                })
+                .then(manifest => {
+                    this.localImages = manifest.images || [];
+                    this.localThemes = {};
+                    
+                    for (const image of this.localImages) {
+                        if (!this.localThemes[image.theme]) {
+                            this.localThemes[image.theme] = [];
+                        }
+                        this.localThemes[image.theme].push(image);
+                    }
+                    
+                    console.log(`Loaded ${this.localImages.length} local images from ${Config.content.localManifestUrl}`);
+                })
+                .catch(error => {
+                    console.warn(`Could not load local image manifest: ${error.message}`);
+                });
         }
         
-        return localImages;
+        return this.localManifestRequest;
+    }
+    
+    /**
+     * Local images for a list of themes.
+     * Folders named after an art theme fill rooms of that theme; when none of
+     * the themes has a folder, the whole local collection is used.
+     */
+    async getLocalImagesForThemes(themes) {
+        await this.loadLocalManifest();
+        
+        let images = [];
+        for (const theme of themes) {
+            if (this.localThemes[theme]) {
+                images = images.concat(this.localThemes[theme]);
+            }
+        }
+        
+        return images.length > 0 ? images : this.localImages.slice();
+    }
+    
+    /**
+     * Get local images for a theme from the indexed images/ folder
+     */
+    async getLocalImages(theme, count) {
+        const images = await this.getLocalImagesForThemes([theme]);
+        
+        this.shuffleArray(images);
+        return images.slice(0, count);
     }
-}
\ No newline at end of file
+}
@@ -1,7 +1,12 @@
+import { SearchIndex } from './SearchIndex.js';
+
 export class MetadataManager {
     constructor() {
         // Cache for metadata
         this.metadataCache = {};
+        
+        // Full-text index of the artwork catalogue (see indexArtworks)
+        this.searchIndex = new SearchIndex();
     }
     
     /**
@@ -31,6 +36,10 @@ export class MetadataManager {
             dimensions: artwork.userData?.dimensions || 'Unknown Dimensions',
             location: artwork.userData?.location || 'Virtual Museum',
             source: artwork.userData?.source || 'Unknown Source',
+            sourceUrl: artwork.userData?.sourceUrl || null,
+            license: artwork.userData?.license || null,
+            licenseUrl: artwork.userData?.licenseUrl || null,
+            attribution: artwork.userData?.attribution || null,
             url: artwork.userData?.url || null
         };
         
@@ -93,118 +102,100 @@ export class MetadataManager {
             formattedHTML += `<p><strong>Source:</strong> ${metadata.source}</p>`;
         }
         
+        // License and attribution (required for most Commons works)
+        if (metadata.license) {
+            formattedHTML += `<p><strong>License:</strong> ${metadata.license}</p>`;
+        }
+        
+        if (metadata.attribution) {
+            formattedHTML += `<p><strong>Credit:</strong> ${metadata.attribution}</p>`;
+        }
+        
         return formattedHTML;
     }
     
     /**
-     * Search for artworks based on metadata criteria
+     * Index artworks for searchArtworks (replacing what was indexed before)
+     * @param {Array<Object>} entries Catalogue entries ({ image, themes }, see ImageSource.getCatalog)
      */
-    searchArtworks(artworks, criteria) {
-        const results = [];
-        
-        for (const artwork of artworks) {
-            let match = true;
-            
-            // Check each search criterion
-            for (const key in criteria) {
-                if (criteria[key] && artwork.userData && artwork.userData[key]) {
-                    // Case-insensitive text search
-                    const criterionValue = criteria[key].toString().toLowerCase();
-                    const artworkValue = artwork.userData[key].toString().toLowerCase();
-                    
-                    if (!artworkValue.includes(criterionValue)) {
-                        match = false;
-                        break;
-                    }
-                }
-            }
-            
-            if (match) {
-                results.push(artwork);
-            }
+    indexArtworks(entries) {
+        this.searchIndex.clear();
+        
+        for (const entry of entries) {
+            const { image, themes } = entry;
+            this.searchIndex.add(image.id, {
+                title: image.title,
+                artist: image.artist,
+                year: image.year,
+                description: image.description,
+                tags: [...(image.tags || []), ...themes, image.category || '']
+            }, entry);
         }
-        
-        return results;
+    }
+    
+    /**
+     * Search the indexed artworks by title, artist, year, description and tags
+     * (words may be incomplete or slightly misspelt, see SearchIndex)
+     * @param {string} query Search words
+     * @param {number} limit Maximum number of results
+     * @returns {Array<Object>} Catalogue entries, best match first
+     */
+    searchArtworks(query, limit = 20) {
+        return this.searchIndex.search(query, limit).map(result => result.data);
     }
     
     /**
      * Generate related artworks based on metadata similarities
+     * @param {Object} artwork Artwork to match (a framed artwork, or its metadata)
+     * @param {Array<Object>} allArtworks Candidates (framed artworks, or metadata such as
+     *                                    catalogue images)
+     * @param {number} limit Maximum number of results
+     * @returns {Array<Object>} The most similar candidates, best first (unrelated ones are left out)
      */
     findRelatedArtworks(artwork, allArtworks, limit = 3) {
-        const results = [];
-        
-        // Skip if no metadata
-        if (!artwork.userData) {
-            return results;
-        }
+        const metadata = artwork.userData || artwork;
         
         // Calculate a similarity score for each artwork
         const scoredArtworks = [];
         
         for (const otherArtwork of allArtworks) {
-            // Skip the same artwork
-            if (otherArtwork === artwork || 
-                (artwork.userData.id && otherArtwork.userData && 
-                 artwork.userData.id === otherArtwork.userData.id)) {
-                continue;
-            }
+            const other = otherArtwork.userData || otherArtwork;
             
-            // Skip if no metadata
-            if (!otherArtwork.userData) {
+            // Skip the same artwork
+            if (otherArtwork === artwork || (metadata.id && metadata.id === other.id)) {
                 continue;
             }
             
             let score = 0;
             
             // Score based on same artist
-            if (artwork.userData.artist && otherArtwork.userData.artist && 
-                artwork.userData.artist === otherArtwork.userData.artist) {
+            if (metadata.artist && other.artist && metadata.artist === other.artist &&
+                metadata.artist !== 'Unknown Artist') {
                 score += 5;
             }
             
             // Score based on same period/year (within 20 years)
-            if (artwork.userData.year && otherArtwork.userData.year) {
-                const year1 = parseInt(artwork.userData.year.replace(/\D/g, ''));
-                const year2 = parseInt(otherArtwork.userData.year.replace(/\D/g, ''));
-                
-                if (!isNaN(year1) && !isNaN(year2) && Math.abs(year1 - year2) <= 20) {
-                    score += 3;
-                }
+            const year1 = this.parseYear(metadata.year);
+            const year2 = this.parseYear(other.year);
+            if (year1 !== null && year2 !== null && Math.abs(year1 - year2) <= 20) {
+                score += 3;
             }
             
             // Score based on same medium
-            if (artwork.userData.medium && otherArtwork.userData.medium && 
-                artwork.userData.medium === otherArtwork.userData.medium) {
+            if (metadata.medium && other.medium && metadata.medium === other.medium) {
                 score += 2;
             }
             
             // Score based on keyword matches in title or description
-            if (artwork.userData.title && otherArtwork.userData.title) {
-                const words1 = artwork.userData.title.toLowerCase().split(/\s+/);
-                const words2 = otherArtwork.userData.title.toLowerCase().split(/\s+/);
-                
-                for (const word of words1) {
-                    if (word.length > 3 && words2.includes(word)) {
-                        score += 1;
-                    }
-                }
-            }
+            score += this.countSharedWords(metadata.title, other.title);
+            score += this.countSharedWords(metadata.description, other.description) * 0.5;
             
-            if (artwork.userData.description && otherArtwork.userData.description) {
-                const words1 = artwork.userData.description.toLowerCase().split(/\s+/);
-                const words2 = otherArtwork.userData.description.toLowerCase().split(/\s+/);
-                
-                for (const word of words1) {
-                    if (word.length > 3 && words2.includes(word)) {
-                        score += 0.5;
-                    }
-                }
+            if (score > 0) {
+                scoredArtworks.push({
+                    artwork: otherArtwork,
+                    score
+                });
             }
-            
-            scoredArtworks.push({
-                artwork: otherArtwork,
-                score
-            });
         }
         
         // Sort by score (highest first)
@@ -213,4 +204,20 @@ export class MetadataManager {
         // Return the top matches
         return scoredArtworks.slice(0, limit).map(item => item.artwork);
     }
+    
+    // First year in a date ("1503-1519" -> 1503, "c. 1889" -> 1889), or null
+    parseYear(date) {
+        const match = String(date || '').match(/\d{3,4}/);
+        return match ? parseInt(match[0], 10) : null;
+    }
+    
+    // Words longer than three letters that two texts share
+    countSharedWords(text1, text2) {
+        if (!text1 || !text2) return 0;
+        
+        const words2 = text2.toLowerCase().split(/\s+/);
+        return text1.toLowerCase().split(/\s+/)
+            .filter(word => word.length > 3 && words2.includes(word))
+            .length;
+    }
 }
\ No newline at end of file
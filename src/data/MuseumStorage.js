@@ -0,0 +1,198 @@
+/**
+ * Saving and loading generated museums
+ *
+ * A save is a versioned JSON document describing every room and hallway
+ * (template, style, size, position, rotation, doorways), how they connect and
+ * the artworks hung in each room (with the themes they were picked from). Loading rebuilds the museum through RoomGenerator and
+ * HallwayGenerator, so a save stays small and independent of Three.js.
+ */
+
+// Bump when the save format changes; add a migration to MuseumStorage.migrate
+export const SAVE_FORMAT_VERSION = 2;
+
+const STORAGE_KEY_PREFIX = 'virtual-museum:save:';
+
+export class MuseumStorage {
+    constructor(museumLayout) {
+        this.museumLayout = museumLayout;
+    }
+    
+    /**
+     * Describe the current museum as a plain JSON-compatible object
+     * @param {Object} player Optional player state ({ position: THREE.Vector3, yaw: number })
+     */
+    serialize(player = null) {
+        const layout = this.museumLayout;
+        
+        const data = {
+            format: 'virtual-museum',
+            version: SAVE_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: layout.random.seed,
+            regions: layout.planner.describeRegions(),
+            // Unloaded rooms and hallways are described too (see MuseumLayout.describeRoom)
+            rooms: layout.rooms.map(room => layout.describeRoom(room)),
+            hallways: layout.hallways.map(hallway => layout.describeHallway(hallway)),
+            connections: layout.graph.getConnections()
+        };
+        
+        if (player) {
+            data.player = {
+                position: player.position.toArray(),
+                yaw: player.yaw
+            };
+        }
+        
+        return data;
+    }
+    
+    /**
+     * Replace the current museum with a saved one
+     * @param {Object} data Save data (as produced by serialize)
+     * @returns {Promise<Object>} The (migrated) save data
+     */
+    async deserialize(data) {
+        const save = this.migrate(data);
+        const layout = this.museumLayout;
+        
+        layout.clearLayout();
+        layout.setSeed(save.seed);
+        layout.setRegions(save.regions);
+        
+        save.hallways.forEach(descriptor => layout.buildHallwayFromDescriptor(descriptor));
+        
+        // Every room is in place before its artworks load, so rooms generated around
+        // the player in the meantime do not take a saved room's slot
+        const artworksPlaced = save.rooms.map(descriptor => layout.buildRoomFromDescriptor(descriptor));
+        
+        // Rooms and hallways keep their saved IDs, so connections can be restored as saved
+        for (const { a, b, sideA, sideB } of save.connections) {
+            if (layout.graph.hasNode(a) && layout.graph.hasNode(b)) {
+                layout.graph.connect(a, b, sideA, sideB);
+            }
+        }
+        
+        await Promise.all(artworksPlaced);
+        return save;
+    }
+    
+    /**
+     * Validate a save and upgrade it to the current format version
+     */
+    migrate(data) {
+        if (!data || data.format !== 'virtual-museum') {
+            throw new Error('Not a virtual museum save file');
+        }
+        
+        if (typeof data.version !== 'number' || data.version > SAVE_FORMAT_VERSION) {
+            throw new Error(`Unsupported save format version: ${data.version}`);
+        }
+        
+        let save = data;
+        
+        if (save.version === 1) {
+            save = addConnectionsToVersion1(save);
+        }
+        
+        return save;
+    }
+    
+    /**
+     * Save the current museum to localStorage
+     */
+    saveToLocalStorage(slot = 'default', player = null) {
+        const data = this.serialize(player);
+        localStorage.setItem(STORAGE_KEY_PREFIX + slot, JSON.stringify(data));
+        return data;
+    }
+    
+    /**
+     * Load a museum from localStorage
+     * @returns {Promise<Object|null>} The save data, or null if the slot is empty
+     */
+    async loadFromLocalStorage(slot = 'default') {
+        const json = localStorage.getItem(STORAGE_KEY_PREFIX + slot);
+        if (!json) {
+            return null;
+        }
+        
+        return this.deserialize(JSON.parse(json));
+    }
+    
+    /**
+     * Whether a save exists in the given localStorage slot
+     */
+    hasLocalSave(slot = 'default') {
+        return localStorage.getItem(STORAGE_KEY_PREFIX + slot) !== null;
+    }
+    
+    /**
+     * Download the current museum as a JSON file
+     */
+    exportToFile(filename = null, player = null) {
+        const data = this.serialize(player);
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename || `museum-${data.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        URL.revokeObjectURL(url);
+        return data;
+    }
+    
+    /**
+     * Load a museum from a File (e.g. dropped onto the page)
+     * @param {File} file JSON save file
+     */
+    async importFromFile(file) {
+        const text = await file.text();
+        return this.deserialize(JSON.parse(text));
+    }
+}
+
+/**
+ * Version 1 saves had no doorways or connections. Hallways ran straight between
+ * the rooms they joined, so both can be rebuilt from hallway positions: each
+ * hallway connects to the closest aligned room at either end.
+ */
+function addConnectionsToVersion1(data) {
+    const rooms = data.rooms.map(room => ({ ...room, doorways: [] }));
+    const connections = [];
+    
+    for (const hallway of data.hallways) {
+        const alongX = Math.abs(Math.sin(hallway.rotationY || 0)) > 0.5;
+        const [hallwayX, , hallwayZ] = hallway.position;
+        
+        for (const sign of [1, -1]) {
+            let closest = null;
+            let closestDistance = Infinity;
+            
+            for (const room of rooms) {
+                const [roomX, , roomZ] = room.position;
+                const along = (alongX ? roomX - hallwayX : roomZ - hallwayZ) * sign;
+                const across = Math.abs(alongX ? roomZ - hallwayZ : roomX - hallwayX);
+                
+                if (along > 0 && across < 0.5 && along < closestDistance) {
+                    closest = room;
+                    closestDistance = along;
+                }
+            }
+            
+            if (!closest) continue;
+            
+            // The wall of the room that faces the hallway
+            const side = alongX ? (sign > 0 ? 'left' : 'right') : (sign > 0 ? 'back' : 'front');
+            if (!closest.doorways.includes(side)) {
+                closest.doorways.push(side);
+            }
+            connections.push({ a: closest.id, b: hallway.id, sideA: side, sideB: null });
+        }
+    }
+    
+    return { ...data, version: 2, rooms, connections };
+}
@@ -0,0 +1,180 @@
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+    title: 3,
+    artist: 2.5,
+    tags: 1.5,
+    year: 1.5,
+    description: 1
+};
+
+// How much a term that only matches a query word approximately counts
+const PREFIX_MATCH = 0.7;
+const FUZZY_MATCH = 0.5;
+
+/**
+ * Split text into lower-case words without accents ("Dalí" -> "dali")
+ * @param {string} text Text to split
+ * @returns {Array<string>} Words
+ */
+export function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Edit distance between two words (swapping two neighbouring letters counts as one
+ * edit), or Infinity once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+    
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        
+        if (rowMin > max) return Infinity;
+        beforePrevious = previous;
+        previous = current;
+    }
+    
+    return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+/**
+ * Full-text index over artwork metadata
+ *
+ * Each document's title, artist, year, description and tags are split into
+ * words; every word points to the documents containing it with a weight for
+ * the field it appeared in. Query words match index words exactly, as the
+ * start of a word (for searching while typing), with a typo or two (longer
+ * words allow more) or when they extend it ("surrealism" finds "surreal"),
+ * and rare words count more than common ones.
+ * A document has to match every query word.
+ */
+export class SearchIndex {
+    constructor() {
+        // Document ID -> the data passed to add
+        this.documents = new Map();
+        
+        // Word -> Map(document ID -> field weight)
+        this.terms = new Map();
+    }
+    
+    /**
+     * Index a document
+     * @param {string} id Document ID (an ID already indexed is skipped)
+     * @param {Object} fields Text per field ({ title, artist, year, description, tags })
+     * @param {*} data Returned with the document's search results
+     */
+    add(id, fields, data) {
+        if (this.documents.has(id)) return;
+        this.documents.set(id, data);
+        
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            const value = Array.isArray(fields[field]) ? fields[field].join(' ') : fields[field];
+            
+            for (const word of tokenize(value)) {
+                if (!this.terms.has(word)) {
+                    this.terms.set(word, new Map());
+                }
+                
+                const postings = this.terms.get(word);
+                postings.set(id, Math.max(postings.get(id) || 0, weight));
+            }
+        }
+    }
+    
+    clear() {
+        this.documents.clear();
+        this.terms.clear();
+    }
+    
+    get size() {
+        return this.documents.size;
+    }
+    
+    /**
+     * Find documents matching a query
+     * @param {string} query Words to search for
+     * @param {number} limit Maximum number of results
+     * @returns {Array<Object>} [{ id, score, data }], best first
+     */
+    search(query, limit = 20) {
+        const words = tokenize(query);
+        if (words.length === 0) return [];
+        
+        let scores = null;
+        
+        for (const word of words) {
+            const wordScores = this.scoreWord(word);
+            
+            // Keep only documents that matched every word so far
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                for (const [id, score] of scores) {
+                    if (wordScores.has(id)) {
+                        scores.set(id, score + wordScores.get(id));
+                    } else {
+                        scores.delete(id);
+                    }
+                }
+            }
+        }
+        
+        return [...scores]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([id, score]) => ({ id, score, data: this.documents.get(id) }));
+    }
+    
+    // Score per document for one query word (best matching index word per document)
+    scoreWord(word) {
+        const scores = new Map();
+        const maxTypos = word.length >= 7 ? 2 : word.length >= 4 ? 1 : 0;
+        
+        for (const [term, postings] of this.terms) {
+            let match = 0;
+            
+            if (term === word) {
+                match = 1;
+            } else if (word.length >= 2 && term.startsWith(word)) {
+                match = PREFIX_MATCH;
+            } else if (maxTypos > 0 && editDistance(word, term, maxTypos) <= maxTypos) {
+                match = FUZZY_MATCH;
+            } else if (term.length >= 4 && word.startsWith(term)) {
+                // Another form of the word ("surrealism" for "surreal")
+                match = FUZZY_MATCH;
+            }
+            
+            if (match === 0) continue;
+            
+            // Words found in few documents say more about them
+            const rarity = Math.log(1 + this.documents.size / postings.size);
+            
+            for (const [id, weight] of postings) {
+                const score = match * weight * rarity;
+                scores.set(id, Math.max(scores.get(id) || 0, score));
+            }
+        }
+        
+        return scores;
+    }
+}
@@ -0,0 +1,251 @@
+import { getStandardThumbnailWidth } from './WikimediaClient.js';
+
+/**
+ * High-resolution images of an artwork, for inspecting it up close
+ *
+ * A tile source describes an image that is available at several scales, each
+ * cut into square tiles. Scales are given as factors: 1 is the full
+ * resolution, 2 half of it and so on (as in the IIIF Image API). Regions are
+ * in pixels of the full-resolution image.
+ */
+class TileSource {
+    /**
+     * @param {Object} options
+     * @param {number} options.width Full image width in pixels
+     * @param {number} options.height Full image height in pixels
+     * @param {number} options.tileSize Tile width and height in pixels of its scale
+     * @param {Array<number>} options.scaleFactors Available scale factors
+     * @param {number} options.overlap Pixels each tile repeats of its neighbours
+     */
+    constructor({ width, height, tileSize, scaleFactors, overlap = 0 }) {
+        this.width = width;
+        this.height = height;
+        this.tileSize = tileSize;
+        this.scaleFactors = scaleFactors.slice().sort((a, b) => a - b);
+        this.overlap = overlap;
+    }
+    
+    // Columns and rows of tiles at a scale
+    getTileCount(scaleFactor) {
+        const span = this.tileSize * scaleFactor;
+        return {
+            columns: Math.ceil(this.width / span),
+            rows: Math.ceil(this.height / span)
+        };
+    }
+    
+    /**
+     * Part of the full image a tile shows (including its overlap)
+     * @returns {Object} { x, y, width, height } in full-resolution pixels
+     */
+    getTileRegion(scaleFactor, column, row) {
+        const span = this.tileSize * scaleFactor;
+        const overlap = this.overlap * scaleFactor;
+        
+        const x = Math.max(0, column * span - overlap);
+        const y = Math.max(0, row * span - overlap);
+        return {
+            x,
+            y,
+            width: Math.min(this.width, (column + 1) * span + overlap) - x,
+            height: Math.min(this.height, (row + 1) * span + overlap) - y
+        };
+    }
+    
+    /**
+     * Coarsest scale with at least the resolution asked for
+     * @param {number} scaleFactor Wanted scale factor (need not be available)
+     * @returns {number} Available scale factor
+     */
+    getScaleFactorFor(scaleFactor) {
+        for (let i = this.scaleFactors.length - 1; i >= 0; i--) {
+            if (this.scaleFactors[i] <= scaleFactor) {
+                return this.scaleFactors[i];
+            }
+        }
+        return this.scaleFactors[0];
+    }
+    
+    getTileUrl(scaleFactor, column, row) {
+        throw new Error('getTileUrl is implemented by each kind of tile source');
+    }
+}
+
+// Scale factors 1, 2, 4, ... until the whole image fits into one tile
+function powersOfTwo(width, height, tileSize) {
+    const factors = [1];
+    while (Math.max(width, height) / factors[factors.length - 1] > tileSize) {
+        factors.push(factors[factors.length - 1] * 2);
+    }
+    return factors;
+}
+
+/**
+ * Tiles from an IIIF Image API service (version 2 or 3)
+ */
+export class IIIFTileSource extends TileSource {
+    /**
+     * @param {string} serviceUrl Base URL of the image on the service (without /info.json)
+     * @param {Object} info The service's info.json
+     */
+    constructor(serviceUrl, info) {
+        const tiles = (info.tiles && info.tiles[0]) || {};
+        const tileSize = tiles.width || 512;
+        
+        super({
+            width: info.width,
+            height: info.height,
+            tileSize,
+            scaleFactors: tiles.scaleFactors || powersOfTwo(info.width, info.height, tileSize)
+        });
+        
+        this.serviceUrl = (info.id || info['@id'] || serviceUrl).replace(/\/$/, '');
+    }
+    
+    static async load(serviceUrl) {
+        const response = await fetch(`${serviceUrl.replace(/\/$/, '')}/info.json`);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return new IIIFTileSource(serviceUrl, await response.json());
+    }
+    
+    getTileUrl(scaleFactor, column, row) {
+        const region = this.getTileRegion(scaleFactor, column, row);
+        const width = Math.ceil(region.width / scaleFactor);
+        return `${this.serviceUrl}/${region.x},${region.y},${region.width},${region.height}/${width},/0/default.jpg`;
+    }
+}
+
+/**
+ * Tiles from a Deep Zoom image (a .dzi file next to a <name>_files folder with
+ * one subfolder of <column>_<row> tiles per level, as written by common tiling tools)
+ */
+export class DeepZoomTileSource extends TileSource {
+    /**
+     * @param {string} url URL of the .dzi file
+     * @param {Object} descriptor { width, height, tileSize, overlap, format } from the file
+     */
+    constructor(url, descriptor) {
+        super({
+            width: descriptor.width,
+            height: descriptor.height,
+            tileSize: descriptor.tileSize,
+            overlap: descriptor.overlap,
+            scaleFactors: powersOfTwo(descriptor.width, descriptor.height, 1)
+        });
+        
+        this.tilesUrl = url.replace(/\.dzi$/i, '_files');
+        this.format = descriptor.format;
+        
+        // Level 0 is a single pixel, the last level the full image
+        this.maxLevel = Math.ceil(Math.log2(Math.max(descriptor.width, descriptor.height)));
+    }
+    
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return new DeepZoomTileSource(url, DeepZoomTileSource.parse(await response.text()));
+    }
+    
+    /**
+     * Read a .dzi file
+     * @param {string} xml File contents
+     * @returns {Object} { width, height, tileSize, overlap, format }
+     */
+    static parse(xml) {
+        const attribute = (name) => {
+            const match = xml.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`));
+            return match ? match[1] : null;
+        };
+        
+        const descriptor = {
+            width: parseInt(attribute('Width'), 10),
+            height: parseInt(attribute('Height'), 10),
+            tileSize: parseInt(attribute('TileSize'), 10),
+            overlap: parseInt(attribute('Overlap') || '0', 10),
+            format: attribute('Format') || 'jpg'
+        };
+        
+        if (!(descriptor.width > 0 && descriptor.height > 0 && descriptor.tileSize > 0)) {
+            throw new Error('Not a Deep Zoom image descriptor');
+        }
+        return descriptor;
+    }
+    
+    getTileUrl(scaleFactor, column, row) {
+        const level = this.maxLevel - Math.log2(scaleFactor);
+        return `${this.tilesUrl}/${level}/${column}_${row}.${this.format}`;
+    }
+}
+
+/**
+ * A whole image that can be had at any width (Wikimedia Commons thumbnails):
+ * every scale is a single tile
+ */
+export class ScaledImageSource extends TileSource {
+    /**
+     * @param {Object} options
+     * @param {number} options.width Full image width in pixels
+     * @param {number} options.height Full image height in pixels
+     * @param {Function} options.getUrl Returns the URL of the image at a width in pixels
+     * @param {number} options.minWidth Width of the coarsest scale offered
+     */
+    constructor({ width, height, getUrl, minWidth = 256 }) {
+        super({
+            width,
+            height,
+            tileSize: Math.max(width, height),
+            scaleFactors: powersOfTwo(width, height, minWidth)
+        });
+        
+        this.getUrl = getUrl;
+    }
+    
+    getTileUrl(scaleFactor) {
+        return this.getUrl(Math.ceil(this.width / scaleFactor));
+    }
+}
+
+// URL of the smallest standard Commons thumbnail at least `width` wide, or of the
+// original file if that is no wider (or there is none)
+function getCommonsThumbnailUrl(image, width) {
+    const step = getStandardThumbnailWidth(width);
+    
+    return step < width || step >= image.fullWidth ? image.fullUrl : image.url.replace(/\/\d+px-/, `/${step}px-`);
+}
+
+/**
+ * Tile source for an artwork, from what its metadata offers: a tile pyramid or
+ * IIIF service (`tileSource: { type: 'dzi' | 'iiif', url }`), or else larger
+ * Commons thumbnails up to the original file
+ * @param {Object} image Artwork metadata (image record or frame userData)
+ * @returns {Promise<TileSource|null>} Tile source, or null if there is nothing sharper
+ */
+export async function loadTileSource(image) {
+    const description = image.tileSource;
+    
+    try {
+        if (description && description.type === 'iiif') {
+            return await IIIFTileSource.load(description.url);
+        }
+        if (description && description.type === 'dzi') {
+            return await DeepZoomTileSource.load(description.url);
+        }
+    } catch (error) {
+        console.warn(`Could not load tiles for ${image.title || image.id}: ${error.message}`);
+    }
+    
+    // Commons thumbnail URLs carry their width ("/960px-"), so other widths can be asked for
+    if (image.fullUrl && image.fullWidth && image.fullHeight && /\/\d+px-/.test(image.url)) {
+        return new ScaledImageSource({
+            width: image.fullWidth,
+            height: image.fullHeight,
+            getUrl: width => getCommonsThumbnailUrl(image, width)
+        });
+    }
+    
+    return null;
+}
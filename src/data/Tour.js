@@ -0,0 +1,97 @@
+/**
+ * Guided tours
+ *
+ * A tour is a versioned JSON document with an ordered list of stops. A stop is
+ * an artwork, given by its ID (visited where it hangs nearest, or hung in a
+ * room generated for it), or a room, given by its grid cell ([0, 0] is the
+ * entrance hall, [1, 0] the room east of it). Neither depends on the seed, so
+ * a tour plays in any museum. Each stop may carry narration text, an audio
+ * file read out there and the seconds to stay:
+ *
+ *   {
+ *     "format": "virtual-museum-tour",
+ *     "version": 1,
+ *     "title": "Highlights",
+ *     "stops": [
+ *       { "room": [0, 0], "title": "Entrance hall", "narration": "Welcome..." },
+ *       { "artwork": "renaissance_2", "narration": "...", "audio": "tours/audio/mona-lisa.mp3" }
+ *     ]
+ *   }
+ */
+
+// Bump when the tour format changes
+export const TOUR_FORMAT_VERSION = 1;
+
+const TOUR_FORMAT = 'virtual-museum-tour';
+
+/**
+ * Whether some JSON data claims to be a tour (rather than, say, a museum save)
+ */
+export function isTourData(data) {
+    return Boolean(data) && data.format === TOUR_FORMAT;
+}
+
+/**
+ * Validate a tour and bring its stops into one shape
+ * @param {Object} data Tour document
+ * @returns {Object} { title, description, stops }, each stop { type: 'artwork' | 'room',
+ *                   artworkId, cell, title, narration, audio, duration } (unset fields null)
+ */
+export function parseTour(data) {
+    if (!isTourData(data)) {
+        throw new Error('Not a virtual museum tour');
+    }
+    
+    if (typeof data.version !== 'number' || data.version > TOUR_FORMAT_VERSION) {
+        throw new Error(`Unsupported tour format version: ${data.version}`);
+    }
+    
+    if (!Array.isArray(data.stops) || data.stops.length === 0) {
+        throw new Error('The tour has no stops');
+    }
+    
+    return {
+        title: data.title || 'Guided tour',
+        description: data.description || '',
+        stops: data.stops.map((stop, index) => parseStop(stop, index))
+    };
+}
+
+function parseStop(stop, index) {
+    const parsed = {
+        type: null,
+        artworkId: null,
+        cell: null,
+        title: typeof stop.title === 'string' ? stop.title : null,
+        narration: typeof stop.narration === 'string' ? stop.narration : null,
+        audio: typeof stop.audio === 'string' ? stop.audio : null,
+        duration: typeof stop.duration === 'number' && stop.duration >= 0 ? stop.duration : null
+    };
+    
+    if (typeof stop.artwork === 'string' && stop.artwork) {
+        parsed.type = 'artwork';
+        parsed.artworkId = stop.artwork;
+    } else if (Array.isArray(stop.room) && stop.room.length === 2 && stop.room.every(Number.isInteger)) {
+        parsed.type = 'room';
+        parsed.cell = { x: stop.room[0], z: stop.room[1] };
+    } else {
+        throw new Error(`Tour stop ${index + 1} needs an artwork ID or a room cell ([x, z])`);
+    }
+    
+    return parsed;
+}
+
+/**
+ * Load and validate a tour from a URL
+ * @param {string} url URL of the tour's JSON file
+ * @returns {Promise<Object>} The parsed tour (see parseTour)
+ */
+export async function loadTour(url) {
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+        throw new Error(`Failed to load tour ${url}: ${response.status}`);
+    }
+    
+    return parseTour(await response.json());
+}
@@ -0,0 +1,268 @@
+/**
+ * Minimal client for the Wikimedia Commons (MediaWiki) API
+ *
+ * Lists the files in a Commons category with their image info and turns
+ * them into the image records used by ImageSource, including license and
+ * attribution. Responses are cached in memory and in localStorage, where
+ * expired ones are pruned on the first write of a session and when it runs full.
+ * The endpoint is configurable so a local HTTP stand-in can replace the live API.
+ */
+
+const CACHE_KEY_PREFIX = 'virtual-museum:wikimedia:';
+
+// Image types a browser can use as a texture
+const SUPPORTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Thumbnail widths Commons keeps rendered; other widths are rendered on demand and throttled
+const STANDARD_THUMBNAIL_WIDTHS = [20, 40, 60, 120, 250, 330, 500, 960, 1280, 1920, 3840];
+
+// Width of the low-res thumbnail shown while the full texture loads (a standard Commons thumbnail step)
+const PREVIEW_WIDTH = 120;
+
+/**
+ * Smallest standard Commons thumbnail width at least as wide as a width
+ * (the widest standard width if none is)
+ * @param {number} width Width in pixels
+ * @returns {number} Standard thumbnail width
+ */
+export function getStandardThumbnailWidth(width) {
+    return STANDARD_THUMBNAIL_WIDTHS.find(standard => standard >= width) ||
+        STANDARD_THUMBNAIL_WIDTHS[STANDARD_THUMBNAIL_WIDTHS.length - 1];
+}
+
+export class WikimediaClient {
+    constructor(endpoint = 'https://commons.wikimedia.org/w/api.php', cacheHours = 24) {
+        this.endpoint = endpoint;
+        this.cacheHours = cacheHours;
+        
+        // In-memory response cache (key: request URL)
+        this.memoryCache = new Map();
+        
+        // Whether this session has pruned expired responses from localStorage yet
+        // (pruning reads every cached response, so it is not done on every write)
+        this.cachePruned = false;
+    }
+    
+    /**
+     * Fetch up to `limit` images from a Commons category, following API pagination
+     * @param {string} category Category name without the "Category:" prefix
+     * @param {number} limit Maximum number of images
+     * @param {number} thumbWidth Width of the thumbnail URL to request (rounded up to a standard width)
+     * @returns {Promise<Array>} Image records
+     */
+    async fetchCategoryImages(category, limit = 24, thumbWidth = 960) {
+        const images = [];
+        let continueParams = {};
+        
+        while (images.length < limit) {
+            const response = await this.request({
+                action: 'query',
+                generator: 'categorymembers',
+                gcmtitle: `Category:${category}`,
+                gcmtype: 'file',
+                gcmlimit: Math.min(50, limit * 2), // Ask for extra, unsupported files are skipped
+                prop: 'imageinfo',
+                iiprop: 'url|size|mime|extmetadata',
+                iiurlwidth: getStandardThumbnailWidth(thumbWidth),
+                ...continueParams
+            });
+            
+            const pages = response.query && response.query.pages
+                ? Object.values(response.query.pages)
+                : [];
+            
+            // Pages are keyed by page ID, so this order is stable between visits
+            for (const page of pages) {
+                const image = this.parseImagePage(page, category);
+                if (image) {
+                    images.push(image);
+                    if (images.length >= limit) break;
+                }
+            }
+            
+            if (!response.continue) break;
+            continueParams = response.continue;
+        }
+        
+        return images;
+    }
+    
+    /**
+     * Fetch a single image by its page ID (used when restoring saved museums)
+     * @returns {Promise<Object|null>} Image record, or null if not found
+     */
+    async fetchImageByPageId(pageId, thumbWidth = 960) {
+        const response = await this.request({
+            action: 'query',
+            pageids: pageId,
+            prop: 'imageinfo',
+            iiprop: 'url|size|mime|extmetadata',
+            iiurlwidth: getStandardThumbnailWidth(thumbWidth)
+        });
+        
+        const page = response.query && response.query.pages && response.query.pages[pageId];
+        return page ? this.parseImagePage(page) : null;
+    }
+    
+    /**
+     * Perform a (cached) API request
+     */
+    async request(params) {
+        const url = new URL(this.endpoint, window.location.href);
+        Object.entries({ ...params, format: 'json', formatversion: 1, origin: '*' })
+            .forEach(([key, value]) => url.searchParams.set(key, value));
+        
+        const cacheKey = url.toString();
+        const cached = this.readCache(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        
+        const response = await fetch(cacheKey);
+        if (!response.ok) {
+            throw new Error(`Wikimedia API request failed: ${response.status} ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(`Wikimedia API error: ${data.error.info || data.error.code}`);
+        }
+        
+        this.writeCache(cacheKey, data);
+        return data;
+    }
+    
+    readCache(key) {
+        if (this.memoryCache.has(key)) {
+            return this.memoryCache.get(key);
+        }
+        
+        try {
+            const stored = localStorage.getItem(CACHE_KEY_PREFIX + key);
+            if (!stored) return null;
+            
+            const { time, data } = JSON.parse(stored);
+            if (Date.now() - time > this.cacheHours * 3600 * 1000) {
+                localStorage.removeItem(CACHE_KEY_PREFIX + key);
+                return null;
+            }
+            
+            this.memoryCache.set(key, data);
+            return data;
+        } catch (error) {
+            return null; // Storage unavailable or corrupt entry
+        }
+    }
+    
+    writeCache(key, data) {
+        this.memoryCache.set(key, data);
+        
+        const entry = JSON.stringify({ time: Date.now(), data });
+        try {
+            if (!this.cachePruned) {
+                this.cachePruned = true;
+                this.pruneCache();
+            }
+            localStorage.setItem(CACHE_KEY_PREFIX + key, entry);
+        } catch (error) {
+            // Storage full: make room by dropping the older half of the cached responses
+            // and try once more (the memory cache still works if that fails too)
+            try {
+                this.pruneCache(0.5);
+                localStorage.setItem(CACHE_KEY_PREFIX + key, entry);
+            } catch (retryError) {
+                // Storage full or unavailable
+            }
+        }
+    }
+    
+    /**
+     * Remove expired responses from localStorage
+     * @param {number} dropShare Share of the remaining responses to drop as well, oldest first
+     */
+    pruneCache(dropShare = 0) {
+        const maxAge = this.cacheHours * 3600 * 1000;
+        const entries = [];
+        
+        for (let i = 0; i < localStorage.length; i++) {
+            const storageKey = localStorage.key(i);
+            if (!storageKey || !storageKey.startsWith(CACHE_KEY_PREFIX)) continue;
+            
+            let time = 0;
+            try {
+                time = JSON.parse(localStorage.getItem(storageKey)).time || 0;
+            } catch (error) {
+                // Corrupt entries count as expired
+            }
+            entries.push({ storageKey, time });
+        }
+        
+        const now = Date.now();
+        const kept = entries.filter(entry => now - entry.time <= maxAge).sort((a, b) => a.time - b.time);
+        const removed = entries.filter(entry => now - entry.time > maxAge)
+            .concat(kept.slice(0, Math.ceil(kept.length * dropShare)));
+        
+        removed.forEach(({ storageKey }) => localStorage.removeItem(storageKey));
+    }
+    
+    /**
+     * Turn an API page with imageinfo into an image record
+     * @returns {Object|null} Image record, or null if the file is not usable
+     */
+    parseImagePage(page, category = null) {
+        const info = page.imageinfo && page.imageinfo[0];
+        if (!info || !SUPPORTED_MIME_TYPES.includes(info.mime)) {
+            return null;
+        }
+        
+        const meta = info.extmetadata || {};
+        const field = (name) => (meta[name] ? stripHtml(String(meta[name].value)) : '');
+        
+        // Fall back to the file name when there is no object name
+        const fileTitle = (page.title || '').replace(/^File:/, '').replace(/\.[^.]+$/, '');
+        
+        return {
+            id: `wikimedia_${page.pageid}`,
+            title: field('ObjectName') || fileTitle || 'Untitled',
+            artist: field('Artist') || 'Unknown Artist',
+            description: truncate(field('ImageDescription'), 300) || 'No description available.',
+            year: field('DateTimeOriginal') || undefined,
+            source: 'Wikimedia Commons',
+            sourceUrl: info.descriptionurl,
+            license: field('LicenseShortName') || 'See source',
+            licenseUrl: field('LicenseUrl') || null,
+            attribution: field('Credit') || null,
+            attributionRequired: field('AttributionRequired') === 'true',
+            category,
+            url: info.thumburl || info.url,
+            previewUrl: info.thumburl ? info.thumburl.replace(/\/\d+px-/, `/${PREVIEW_WIDTH}px-`) : null,
+            fullUrl: info.url,
+            fullWidth: info.width,
+            fullHeight: info.height,
+            width: info.thumbwidth || info.width,
+            height: info.thumbheight || info.height
+        };
+    }
+}
+
+/**
+ * Convert an HTML fragment from extmetadata to plain text
+ * @param {string} html HTML fragment
+ * @returns {string} Plain text
+ */
+export function stripHtml(html) {
+    return html
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1).trim()}…` : text;
+}
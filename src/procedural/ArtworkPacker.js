@@ -0,0 +1,120 @@
+/**
+ * Wall packing for framed artworks
+ *
+ * Rooms describe their hanging space as wall spans (see RoomGenerator.setupArtworkWalls).
+ * Each artwork is scaled to fit its span's maximum size while keeping the
+ * image's natural aspect ratio, then works are packed along the spans in
+ * order with a fixed gap between frames and centred on a common hanging line.
+ * When a span is full the next work moves on to the next span; works that
+ * fit on no remaining span are left out. The ends of a span keep the same gap
+ * free, unless the span gives its own `margin` (e.g. an alcove made for one work).
+ */
+
+// Space kept free at each end of a span
+function getMargin(wall, gap) {
+    return wall.margin !== undefined ? wall.margin : gap;
+}
+
+/**
+ * Largest size with the given aspect ratio (width / height) that fits a box
+ * @param {number} aspect Width divided by height
+ * @param {number} maxWidth Maximum width
+ * @param {number} maxHeight Maximum height
+ * @returns {{width: number, height: number}} Fitted size
+ */
+export function fitToBox(aspect, maxWidth, maxHeight) {
+    if (!(aspect > 0) || !isFinite(aspect)) {
+        aspect = 1;
+    }
+    
+    let width = maxWidth;
+    let height = width / aspect;
+    
+    if (height > maxHeight) {
+        height = maxHeight;
+        width = height * aspect;
+    }
+    
+    return { width, height };
+}
+
+/**
+ * Rough number of works a set of spans can hold (assumes square works)
+ * Used to decide how many images to fetch before their aspect ratios are known.
+ * @param {Array} walls Wall spans
+ * @param {number} gap Space between frames and at the span ends
+ * @param {number} border Frame border added to each side of an artwork
+ * @returns {number} Estimated capacity
+ */
+export function estimateCapacity(walls, gap, border) {
+    return walls.reduce((total, wall) => {
+        const footprint = Math.min(wall.maxWidth, wall.maxHeight) + border * 2 + gap;
+        return total + Math.max(0, Math.floor((wall.length - getMargin(wall, gap) * 2 + gap) / footprint));
+    }, 0);
+}
+
+/**
+ * Pack artworks along wall spans
+ * @param {Array} walls Wall spans ({ wall, center, direction, length, rotation, maxWidth, maxHeight,
+ *                     and optionally margin })
+ * @param {Array<number>} aspects Aspect ratio of each artwork, in hanging order
+ * @param {number} gap Space between frames and at the span ends
+ * @param {number} border Frame border added to each side of an artwork
+ * @returns {Array} Placements ({ index, wall, position, rotation, size }) in room space;
+ *                  index refers to the artwork's position in `aspects`
+ */
+export function packArtworks(walls, aspects, gap, border) {
+    const rows = walls.map(() => []);
+    const used = walls.map(wall => getMargin(wall, gap));
+    let wallIndex = 0;
+    
+    for (let i = 0; i < aspects.length && wallIndex < walls.length; i++) {
+        while (wallIndex < walls.length) {
+            const wall = walls[wallIndex];
+            const margin = getMargin(wall, gap);
+            const size = fitToBox(
+                aspects[i],
+                Math.min(wall.maxWidth, wall.length - margin * 2 - border * 2),
+                wall.maxHeight
+            );
+            const footprint = size.width + border * 2;
+            
+            if (size.width > 0 && used[wallIndex] + footprint + margin <= wall.length + 1e-6) {
+                rows[wallIndex].push({ index: i, size });
+                used[wallIndex] += footprint + gap;
+                break;
+            }
+            
+            // Span full - continue on the next one
+            wallIndex++;
+        }
+    }
+    
+    // Centre each row on its span
+    const placements = [];
+    
+    rows.forEach((row, index) => {
+        const wall = walls[index];
+        const rowWidth = used[index] - getMargin(wall, gap) - gap; // Frames plus the gaps between them
+        let offset = -rowWidth / 2;
+        
+        for (const item of row) {
+            const footprint = item.size.width + border * 2;
+            const position = wall.center.clone()
+                .addScaledVector(wall.direction, offset + footprint / 2);
+            
+            placements.push({
+                index: item.index,
+                wall: wall.wall,
+                position,
+                rotation: wall.rotation.clone(),
+                size: item.size
+            });
+            
+            offset += footprint + gap;
+        }
+    });
+    
+    // Keep hanging order
+    return placements.sort((a, b) => a.index - b.index);
+}
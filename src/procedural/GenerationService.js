@@ -0,0 +1,134 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
+/**
+ * Room planning off the main thread
+ *
+ * Rooms are planned, and the geometry of a room and its hallways is built,
+ * in a Web Worker (GenerationWorker.js) that keeps its own copy of the
+ * layout state: configuration, seed and regions (see sync). Plans come back
+ * as plain data with the geometry as typed arrays (transferred, not copied),
+ * so the main thread only creates meshes and materials.
+ *
+ * Where workers are unavailable (or the worker fails to start) rooms are
+ * planned on the main thread instead; their geometry is then built by the
+ * generators as before.
+ */
+export class GenerationService {
+    /**
+     * @param {LayoutPlanner} planner Main-thread planner (its seed and regions are sent to the worker)
+     */
+    constructor(planner) {
+        this.planner = planner;
+        
+        this.worker = null;
+        this.workerFailed = false;
+        
+        // Requests sent to the worker: id -> { cell, resolve }
+        this.requests = new Map();
+        this.nextRequestId = 0;
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Start or stop the worker as configured, and pass new settings on to it
+    applyConfig() {
+        if (Config.performance.generationWorker && !this.worker && !this.workerFailed) {
+            this.startWorker();
+        } else if (!Config.performance.generationWorker && this.worker) {
+            this.stopWorker();
+        }
+        
+        this.sync();
+    }
+    
+    startWorker() {
+        if (typeof Worker === 'undefined') {
+            this.workerFailed = true;
+            return;
+        }
+        
+        try {
+            this.worker = new Worker(new URL('./GenerationWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            this.fallBack(error.message);
+            return;
+        }
+        
+        this.worker.addEventListener('message', event => this.onMessage(event.data));
+        
+        // Module workers not supported, three.js not loaded, or an error while planning
+        this.worker.addEventListener('error', event => {
+            event.preventDefault();
+            this.fallBack(event.message || 'worker error');
+        });
+    }
+    
+    // Stop the worker; requests still waiting for it are planned here (each one failing
+    // on its own if planning throws)
+    stopWorker() {
+        this.worker.terminate();
+        this.worker = null;
+        
+        this.requests.forEach(({ cell, resolve }) => resolve(this.planRoom(cell)));
+        this.requests.clear();
+    }
+    
+    fallBack(reason) {
+        console.warn(`Generation worker unavailable (${reason}); generating rooms on the main thread`);
+        this.workerFailed = true;
+        
+        if (this.worker) {
+            this.stopWorker();
+        }
+    }
+    
+    /**
+     * Send the worker what planning depends on; call whenever the seed or regions change
+     * (configuration changes are passed on automatically)
+     */
+    sync() {
+        if (!this.worker) return;
+        
+        this.worker.postMessage({
+            type: 'setup',
+            config: Config,
+            seed: this.planner.random.seed,
+            regions: this.planner.describeRegions()
+        });
+    }
+    
+    /**
+     * Plan the room of a grid cell
+     * @param {Object} cell Grid cell ({ x, z })
+     * @returns {Promise<Object>} Plan (see LayoutPlanner.planRoom) with `geometries`: geometry
+     *                            data for the shared cache (see geometryFromData), empty when
+     *                            planned on the main thread
+     */
+    planRoom(cell) {
+        if (!this.worker) {
+            // Errors while planning reject the promise rather than throw
+            return new Promise(resolve => resolve(this.planLocally(cell)));
+        }
+        
+        return new Promise(resolve => {
+            const id = this.nextRequestId++;
+            this.requests.set(id, { cell, resolve });
+            this.worker.postMessage({ type: 'planRoom', id, cell });
+        });
+    }
+    
+    planLocally(cell) {
+        return { ...this.planner.planRoom(cell), geometries: [] };
+    }
+    
+    onMessage(message) {
+        if (message.type !== 'plannedRoom') return;
+        
+        const request = this.requests.get(message.id);
+        if (request) {
+            this.requests.delete(message.id);
+            request.resolve(message.room);
+        }
+    }
+}
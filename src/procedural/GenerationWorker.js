@@ -0,0 +1,101 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { applyUserConfig } from '../data/Config.js';
+import { SeededRandom } from '../utils/Random.js';
+import { ResourceCache } from '../utils/ResourceCache.js';
+import { geometryToData } from '../utils/Utils.js';
+import { RoomGenerator } from './RoomGenerator.js';
+import { HallwayGenerator } from './HallwayGenerator.js';
+import { LayoutPlanner, SIDES } from './LayoutPlanner.js';
+
+/**
+ * Generation worker (started by GenerationService)
+ *
+ * Plans rooms with the same planner as the main thread and runs the room and
+ * hallway generators to build their geometry. The generated objects are
+ * thrown away; only the plan and the geometries, keyed as in the shared
+ * resource cache, are posted back.
+ *
+ * Messages in: { type: 'setup', config, seed, regions } and { type: 'planRoom', id, cell }
+ * Messages out: { type: 'plannedRoom', id, room }
+ */
+
+// The generators use THREE as a global, like on the main thread (index.html loads the same release)
+self.THREE = THREE;
+
+// Builds geometries and materials like the shared cache, but no textures (loading
+// images needs the DOM, and only the geometries are sent back)
+class GeometryRecorder extends ResourceCache {
+    getTexture() {
+        return null;
+    }
+}
+
+const recorder = new GeometryRecorder();
+
+const roomGenerator = new RoomGenerator();
+const hallwayGenerator = new HallwayGenerator();
+roomGenerator.resources = recorder;
+hallwayGenerator.resources = recorder;
+
+const planner = new LayoutPlanner(new SeededRandom(), roomGenerator, hallwayGenerator);
+
+// Plan a room and build the geometry of the room and of the hallways to its planned neighbours
+function planRoom(cell) {
+    const plan = planner.planRoom(cell);
+    const room = { position: new THREE.Vector3().fromArray(plan.position), size: plan.size };
+    
+    roomGenerator.generateRoom(plan.template, plan.style, plan.size, plan.doorways);
+    
+    // The main thread builds each hallway from the neighbour's side (see MuseumLayout.connectRooms)
+    for (const side of plan.doorways) {
+        const neighborCell = { x: cell.x + SIDES[side].x, z: cell.z + SIDES[side].z };
+        const neighbor = {
+            position: planner.getCellPosition(neighborCell),
+            size: planner.getPlannedRoom(neighborCell).size
+        };
+        
+        const hallway = planner.planHallway(neighbor, room, SIDES[side].opposite);
+        if (hallway) {
+            hallwayGenerator.generateHallway(hallway.template, hallway.style, hallway.size, hallway.startStyle, hallway.endStyle);
+        }
+    }
+    
+    const geometries = [];
+    recorder.entries.forEach(({ resource }, key) => {
+        if (resource.isBufferGeometry) {
+            geometries.push({ key, ...geometryToData(resource) });
+        }
+    });
+    recorder.clear();
+    
+    return { ...plan, geometries };
+}
+
+// Typed array buffers of the geometries (handed over to the main thread without copying)
+function getTransferList(geometries) {
+    const buffers = new Set();
+    
+    geometries.forEach(geometry => {
+        Object.values(geometry.attributes).forEach(attribute => buffers.add(attribute.array.buffer));
+        if (geometry.index) {
+            buffers.add(geometry.index.buffer);
+        }
+    });
+    
+    return [...buffers];
+}
+
+self.addEventListener('message', ({ data: message }) => {
+    switch (message.type) {
+        case 'setup':
+            applyUserConfig(message.config);
+            planner.setRandom(new SeededRandom(message.seed));
+            planner.setRegions(message.regions);
+            break;
+        case 'planRoom': {
+            const room = planRoom(message.cell);
+            self.postMessage({ type: 'plannedRoom', id: message.id, room }, getTransferList(room.geometries));
+            break;
+        }
+    }
+});
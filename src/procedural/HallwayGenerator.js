@@ -1,10 +1,18 @@
 import { ArchitecturalStyles } from './ArchitecturalStyles.js';
+import { SeededRandom } from '../utils/Random.js';
+import { resourceCache } from '../utils/ResourceCache.js';
 
 export class HallwayGenerator {
-    constructor() {
+    constructor(random = new SeededRandom()) {
         this.architecturalStyles = new ArchitecturalStyles();
         this.hallwayCounter = 0;
         
+        // Seeded random source - any variation in generated hallways must come from here
+        this.random = random;
+        
+        // Materials and geometries are shared between hallways of the same style and size
+        this.resources = resourceCache;
+        
         // Default hallway parameters
         this.defaultHallwaySize = {
             width: 4,   // Width of the hallway
@@ -12,6 +20,10 @@ export class HallwayGenerator {
             length: 10  // Length of the hallway
         };
         
+        // Stair steps (stairs hallways climb `size.elevation` with these, between two landings)
+        this.stairStep = { height: 0.25, depth: 0.5 };
+        this.minLandingLength = 0.25;
+        
         // Hallway templates
         this.hallwayTemplates = {
             straight: this.createStraightHallway.bind(this),
@@ -21,7 +33,8 @@ export class HallwayGenerator {
         };
     }
     
-    generateHallway(template = 'straight', style = 'classical', size = null, startStyle = null, endStyle = null) {
+    // `id` rebuilds a known hallway (a new ID is assigned otherwise)
+    generateHallway(template = 'straight', style = 'classical', size = null, startStyle = null, endStyle = null, id = null) {
         // Use template function or default to straight
         const templateFunction = this.hallwayTemplates[template] || this.hallwayTemplates.straight;
         
@@ -45,9 +58,11 @@ export class HallwayGenerator {
             endStyleConfig
         );
         
-        // Store hallway metadata
+        // Store hallway metadata WITHOUT overwriting what the template set
+        // (direction, elevationChange, ...)
         hallway.userData = {
-            id: `hallway_${this.hallwayCounter++}`,
+            ...hallway.userData,
+            id: id || `hallway_${this.hallwayCounter++}`,
             name: `${style.charAt(0).toUpperCase() + style.slice(1)} ${template.charAt(0).toUpperCase() + template.slice(1)}`,
             template,
             style,
@@ -60,87 +75,62 @@ export class HallwayGenerator {
         return hallway;
     }
     
+    // Shortest stairs hallway that climbs (or descends) `elevation`
+    getStairsLength(elevation) {
+        const numSteps = Math.round(Math.abs(elevation) / this.stairStep.height);
+        return numSteps * this.stairStep.depth + this.minLandingLength * 2;
+    }
+    
     createStraightHallway(styleConfig, customSize = null) {
         const size = customSize || this.defaultHallwaySize;
         const hallway = new THREE.Group();
         
-        // Floor
-        const floorGeometry = new THREE.PlaneGeometry(size.width, size.length);
-        const floorMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.floorColor,
-            roughness: styleConfig.floorRoughness,
-            metalness: styleConfig.floorMetalness
-        });
-        
-        if (styleConfig.floorTexture) {
-            const textureLoader = new THREE.TextureLoader();
-            const texture = textureLoader.load(styleConfig.floorTexture);
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            texture.repeat.set(size.width / 2, size.length / 2);
-            floorMaterial.map = texture;
-        }
+        // Textures repeat every 2 units
+        const repeat = { x: size.width / 2, y: size.length / 2 };
         
-        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        // Floor
+        const floor = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, size.length),
+            this.resources.getSurfaceMaterial(styleConfig, 'floor', repeat)
+        );
         floor.rotation.x = -Math.PI / 2;
         floor.position.y = 0;
         floor.receiveShadow = true;
+        floor.userData.collider = 'floor';
         hallway.add(floor);
         
         // Ceiling
-        const ceilingGeometry = new THREE.PlaneGeometry(size.width, size.length);
-        const ceilingMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.ceilingColor,
-            roughness: styleConfig.ceilingRoughness,
-            metalness: styleConfig.ceilingMetalness
-        });
-        
-        if (styleConfig.ceilingTexture) {
-            const textureLoader = new THREE.TextureLoader();
-            const texture = textureLoader.load(styleConfig.ceilingTexture);
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            texture.repeat.set(size.width / 2, size.length / 2);
-            ceilingMaterial.map = texture;
-        }
-        
-        const ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
+        const ceiling = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, size.length),
+            this.resources.getSurfaceMaterial(styleConfig, 'ceiling', repeat)
+        );
         ceiling.rotation.x = Math.PI / 2;
         ceiling.position.y = size.height;
         ceiling.receiveShadow = true;
         hallway.add(ceiling);
         
-        // Walls
-        const wallMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.wallColor,
-            roughness: styleConfig.wallRoughness,
-            metalness: styleConfig.wallMetalness
-        });
-        
-        if (styleConfig.wallTexture) {
-            const textureLoader = new THREE.TextureLoader();
-            const texture = textureLoader.load(styleConfig.wallTexture);
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            wallMaterial.map = texture;
-        }
-        
         // Left wall
-        const leftWallGeometry = new THREE.PlaneGeometry(size.length, size.height);
-        const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
+        const leftWall = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.length, size.height),
+            this.resources.getSurfaceMaterial(styleConfig, 'wall')
+        );
         leftWall.position.set(-size.width / 2, size.height / 2, 0);
         leftWall.rotation.y = Math.PI / 2;
         leftWall.castShadow = true;
         leftWall.receiveShadow = true;
+        leftWall.userData.collider = 'wall';
         hallway.add(leftWall);
         
         // Right wall
-        const rightWallGeometry = new THREE.PlaneGeometry(size.length, size.height);
-        const rightWall = new THREE.Mesh(rightWallGeometry, wallMaterial);
+        const rightWall = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.length, size.height),
+            this.resources.getSurfaceMaterial(styleConfig, 'wall')
+        );
         rightWall.position.set(size.width / 2, size.height / 2, 0);
         rightWall.rotation.y = -Math.PI / 2;
         rightWall.castShadow = true;
         rightWall.receiveShadow = true;
+        rightWall.userData.collider = 'wall';
         hallway.add(rightWall);
         
         // Store hallway direction (for connecting rooms)
@@ -194,40 +184,35 @@ export class HallwayGenerator {
         const size = customSize || this.defaultHallwaySize;
         const hallway = new THREE.Group();
         
-        // Create a series of steps with landings
-        const stepHeight = 0.25; // Each step height
-        const stepDepth = 0.5;  // Each step depth
-        const numSteps = Math.floor((size.height * 0.6) / stepHeight); // Use 60% of the hallway height for steps
+        // Create a series of steps with landings, climbing towards +z
+        const stepHeight = this.stairStep.height;
+        const stepDepth = this.stairStep.depth;
+        const numSteps = size.elevation
+            ? Math.round(size.elevation / stepHeight) // Climb exactly the requested height
+            : Math.floor((size.height * 0.6) / stepHeight); // Use 60% of the hallway height for steps
         const totalStepHeight = numSteps * stepHeight;
         
         // Floor (landing at start)
         const landingLength = (size.length - (numSteps * stepDepth)) / 2;
         
-        const floorMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.floorColor,
-            roughness: styleConfig.floorRoughness,
-            metalness: styleConfig.floorMetalness
-        });
-        
         // First landing
-        const startLandingGeometry = new THREE.PlaneGeometry(size.width, landingLength);
-        const startLanding = new THREE.Mesh(startLandingGeometry, floorMaterial);
+        const startLanding = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, landingLength),
+            this.resources.getSurfaceMaterial(styleConfig, 'floor')
+        );
         startLanding.rotation.x = -Math.PI / 2;
         startLanding.position.set(0, 0, -size.length / 2 + landingLength / 2);
         startLanding.receiveShadow = true;
+        startLanding.userData.collider = 'floor';
         hallway.add(startLanding);
         
         // Steps
-        const stepMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.accentColor,
-            roughness: styleConfig.accentRoughness,
-            metalness: styleConfig.accentMetalness
-        });
-        
         for (let i = 0; i < numSteps; i++) {
             // Step tread
-            const stepTreadGeometry = new THREE.BoxGeometry(size.width, stepHeight, stepDepth);
-            const stepTread = new THREE.Mesh(stepTreadGeometry, stepMaterial);
+            const stepTread = new THREE.Mesh(
+                this.resources.getGeometry('BoxGeometry', size.width, stepHeight, stepDepth),
+                this.resources.getSurfaceMaterial(styleConfig, 'accent')
+            );
             stepTread.position.set(
                 0,
                 i * stepHeight + stepHeight / 2,
@@ -235,12 +220,15 @@ export class HallwayGenerator {
             );
             stepTread.castShadow = true;
             stepTread.receiveShadow = true;
+            stepTread.userData.collider = 'floor';
             hallway.add(stepTread);
         }
         
         // Second landing
-        const endLandingGeometry = new THREE.PlaneGeometry(size.width, landingLength);
-        const endLanding = new THREE.Mesh(endLandingGeometry, floorMaterial);
+        const endLanding = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, landingLength),
+            this.resources.getSurfaceMaterial(styleConfig, 'floor')
+        );
         endLanding.rotation.x = -Math.PI / 2;
         endLanding.position.set(
             0,
@@ -248,18 +236,14 @@ export class HallwayGenerator {
             size.length / 2 - landingLength / 2
         );
         endLanding.receiveShadow = true;
+        endLanding.userData.collider = 'floor';
         hallway.add(endLanding);
         
-        // Walls
-        const wallMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.wallColor,
-            roughness: styleConfig.wallRoughness,
-            metalness: styleConfig.wallMetalness
-        });
-        
         // Left wall
-        const leftWallGeometry = new THREE.PlaneGeometry(size.length, size.height + totalStepHeight);
-        const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
+        const leftWall = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.length, size.height + totalStepHeight),
+            this.resources.getSurfaceMaterial(styleConfig, 'wall')
+        );
         leftWall.position.set(
             -size.width / 2,
             (size.height + totalStepHeight) / 2,
@@ -268,11 +252,14 @@ export class HallwayGenerator {
         leftWall.rotation.y = Math.PI / 2;
         leftWall.castShadow = true;
         leftWall.receiveShadow = true;
+        leftWall.userData.collider = 'wall';
         hallway.add(leftWall);
         
         // Right wall
-        const rightWallGeometry = new THREE.PlaneGeometry(size.length, size.height + totalStepHeight);
-        const rightWall = new THREE.Mesh(rightWallGeometry, wallMaterial);
+        const rightWall = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.length, size.height + totalStepHeight),
+            this.resources.getSurfaceMaterial(styleConfig, 'wall')
+        );
         rightWall.position.set(
             size.width / 2,
             (size.height + totalStepHeight) / 2,
@@ -281,17 +268,14 @@ export class HallwayGenerator {
         rightWall.rotation.y = -Math.PI / 2;
         rightWall.castShadow = true;
         rightWall.receiveShadow = true;
+        rightWall.userData.collider = 'wall';
         hallway.add(rightWall);
         
         // Ceiling
-        const ceilingGeometry = new THREE.PlaneGeometry(size.width, size.length);
-        const ceilingMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.ceilingColor,
-            roughness: styleConfig.ceilingRoughness,
-            metalness: styleConfig.ceilingMetalness
-        });
-        
-        const ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
+        const ceiling = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, size.length),
+            this.resources.getSurfaceMaterial(styleConfig, 'ceiling')
+        );
         ceiling.rotation.x = Math.PI / 2;
         ceiling.position.set(0, size.height + totalStepHeight, 0);
         ceiling.receiveShadow = true;
@@ -313,104 +297,48 @@ export class HallwayGenerator {
         if (!startStyleConfig) startStyleConfig = styleConfig;
         if (!endStyleConfig) endStyleConfig = styleConfig;
         
-        // Floor
-        const floorGeometry = new THREE.PlaneGeometry(size.width, size.length);
-        // Create floor with gradient material
-        const floorMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                colorStart: { value: new THREE.Color(startStyleConfig.floorColor) },
-                colorEnd: { value: new THREE.Color(endStyleConfig.floorColor) }
-            },
-            vertexShader: `
-                varying vec2 vUv;
-                void main() {
-                    vUv = uv;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 colorStart;
-                uniform vec3 colorEnd;
-                varying vec2 vUv;
-                void main() {
-                    gl_FragColor = vec4(mix(colorStart, colorEnd, vUv.y), 1.0);
-                }
-            `
-        });
-        
-        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        // Floor with a gradient from the start style to the end style
+        const floor = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, size.length),
+            this.getGradientMaterial(startStyleConfig, endStyleConfig, 'floor', 'y')
+        );
         floor.rotation.x = -Math.PI / 2;
         floor.position.y = 0;
         floor.receiveShadow = true;
+        floor.userData.collider = 'floor';
         hallway.add(floor);
         
-        // Ceiling
-        const ceilingGeometry = new THREE.PlaneGeometry(size.width, size.length);
-        // Create ceiling with gradient material
-        const ceilingMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                colorStart: { value: new THREE.Color(startStyleConfig.ceilingColor) },
-                colorEnd: { value: new THREE.Color(endStyleConfig.ceilingColor) }
-            },
-            vertexShader: `
-                varying vec2 vUv;
-                void main() {
-                    vUv = uv;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 colorStart;
-                uniform vec3 colorEnd;
-                varying vec2 vUv;
-                void main() {
-                    gl_FragColor = vec4(mix(colorStart, colorEnd, vUv.y), 1.0);
-                }
-            `
-        });
-        
-        const ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
+        // Ceiling with gradient material
+        const ceiling = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, size.length),
+            this.getGradientMaterial(startStyleConfig, endStyleConfig, 'ceiling', 'y')
+        );
         ceiling.rotation.x = Math.PI / 2;
         ceiling.position.y = size.height;
         ceiling.receiveShadow = true;
         hallway.add(ceiling);
         
         // Walls with gradient material
-        const leftWallGeometry = new THREE.PlaneGeometry(size.length, size.height);
-        const leftWallMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                colorStart: { value: new THREE.Color(startStyleConfig.wallColor) },
-                colorEnd: { value: new THREE.Color(endStyleConfig.wallColor) }
-            },
-            vertexShader: `
-                varying vec2 vUv;
-                void main() {
-                    vUv = uv;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 colorStart;
-                uniform vec3 colorEnd;
-                varying vec2 vUv;
-                void main() {
-                    gl_FragColor = vec4(mix(colorStart, colorEnd, vUv.x), 1.0);
-                }
-            `
-        });
-        
-        const leftWall = new THREE.Mesh(leftWallGeometry, leftWallMaterial);
+        const leftWall = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.length, size.height),
+            this.getGradientMaterial(startStyleConfig, endStyleConfig, 'wall', 'x')
+        );
         leftWall.position.set(-size.width / 2, size.height / 2, 0);
         leftWall.rotation.y = Math.PI / 2;
         leftWall.castShadow = true;
         leftWall.receiveShadow = true;
+        leftWall.userData.collider = 'wall';
         hallway.add(leftWall);
         
-        const rightWall = new THREE.Mesh(leftWallGeometry, leftWallMaterial);
+        const rightWall = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.length, size.height),
+            this.getGradientMaterial(startStyleConfig, endStyleConfig, 'wall', 'x')
+        );
         rightWall.position.set(size.width / 2, size.height / 2, 0);
         rightWall.rotation.y = -Math.PI / 2;
         rightWall.castShadow = true;
         rightWall.receiveShadow = true;
+        rightWall.userData.collider = 'wall';
         hallway.add(rightWall);
         
         // Add some transition elements
@@ -429,38 +357,38 @@ export class HallwayGenerator {
                 progress
             );
             
-            const elementMaterial = new THREE.MeshStandardMaterial({
-                color: color,
-                roughness: 0.5,
-                metalness: 0.5
-            });
+            const elementMaterial = this.resources.acquire(
+                `material:transition-element:${color.getHexString()}`,
+                () => new THREE.MeshStandardMaterial({
+                    color: color,
+                    roughness: 0.5,
+                    metalness: 0.5
+                })
+            );
             
             // Transition from rectangular to circular elements
-            let elementGeometry;
+            let element;
             if (progress < 0.5) {
                 // More rectangular
                 const boxWidth = size.width * 0.2;
                 const boxHeight = size.height * 0.1;
                 const boxDepth = 0.2;
-                elementGeometry = new THREE.BoxGeometry(boxWidth, boxHeight, boxDepth);
+                element = new THREE.Mesh(
+                    this.resources.getGeometry('BoxGeometry', boxWidth, boxHeight, boxDepth),
+                    elementMaterial
+                );
             } else {
                 // More circular
                 const radius = size.width * 0.08;
                 const segments = 16;
-                elementGeometry = new THREE.CylinderGeometry(radius, radius, size.height * 0.1, segments);
+                element = new THREE.Mesh(
+                    this.resources.getGeometry('CylinderGeometry', radius, radius, size.height * 0.1, segments),
+                    elementMaterial
+                );
                 // Rotate to stand upright
-                const element = new THREE.Mesh(elementGeometry, elementMaterial);
                 element.rotation.x = Math.PI / 2;
-                element.position.set(0, size.height * 0.75, position);
-                element.castShadow = true;
-                element.receiveShadow = true;
-                hallway.add(element);
-                
-                // Continue to next iteration, since we've already added the element
-                continue;
             }
             
-            const element = new THREE.Mesh(elementGeometry, elementMaterial);
             element.position.set(0, size.height * 0.75, position);
             element.castShadow = true;
             element.receiveShadow = true;
@@ -475,4 +403,32 @@ export class HallwayGenerator {
         
         return hallway;
     }
+    
+    // Shared material blending one surface's colour from a start style to an end style
+    // along the surface's u ('x') or v ('y') texture coordinate
+    getGradientMaterial(startStyleConfig, endStyleConfig, surface, axis) {
+        const key = `material:gradient:${startStyleConfig.name}:${endStyleConfig.name}:${surface}:${axis}`;
+        
+        return this.resources.acquire(key, () => new THREE.ShaderMaterial({
+            uniforms: {
+                colorStart: { value: new THREE.Color(startStyleConfig[`${surface}Color`]) },
+                colorEnd: { value: new THREE.Color(endStyleConfig[`${surface}Color`]) }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 colorStart;
+                uniform vec3 colorEnd;
+                varying vec2 vUv;
+                void main() {
+                    gl_FragColor = vec4(mix(colorStart, colorEnd, vUv.${axis}), 1.0);
+                }
+            `
+        }));
+    }
 }
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Connectivity graph of the museum
+ *
+ * Nodes are rooms and hallways (keyed by their userData.id); an edge means
+ * the player can walk from one to the other. Each edge remembers which wall
+ * of a room it leaves through ('front', 'back', 'left' or 'right'), so a
+ * room's doorways can be derived from its connections.
+ */
+export class LayoutGraph {
+    constructor() {
+        // id -> { id, kind, object }
+        this.nodes = new Map();
+        
+        // id -> Map(neighbour id -> side of this node the connection leaves through, or null)
+        this.edges = new Map();
+    }
+    
+    /**
+     * Add a room or hallway
+     * @param {THREE.Object3D} object Room or hallway (identified by userData.id)
+     * @param {string} kind 'room' or 'hallway'
+     */
+    addNode(object, kind) {
+        const id = object.userData.id;
+        this.nodes.set(id, { id, kind, object });
+        
+        if (!this.edges.has(id)) {
+            this.edges.set(id, new Map());
+        }
+    }
+    
+    hasNode(id) {
+        return this.nodes.has(id);
+    }
+    
+    getNode(id) {
+        return this.nodes.get(id) || null;
+    }
+    
+    /**
+     * Connect two nodes
+     * @param {string} idA First node
+     * @param {string} idB Second node
+     * @param {string|null} sideA Wall of A the connection leaves through
+     * @param {string|null} sideB Wall of B the connection leaves through
+     */
+    connect(idA, idB, sideA = null, sideB = null) {
+        if (!this.nodes.has(idA) || !this.nodes.has(idB)) {
+            throw new Error(`Cannot connect unknown nodes ${idA} and ${idB}`);
+        }
+        
+        this.edges.get(idA).set(idB, sideA);
+        this.edges.get(idB).set(idA, sideB);
+    }
+    
+    areConnected(idA, idB) {
+        return this.edges.has(idA) && this.edges.get(idA).has(idB);
+    }
+    
+    /**
+     * Direct neighbours of a node
+     * @returns {Array<{node: Object, side: string|null}>} Neighbour nodes and the side they connect to
+     */
+    getNeighbors(id) {
+        const neighbors = [];
+        const edges = this.edges.get(id);
+        if (!edges) return neighbors;
+        
+        edges.forEach((side, neighborId) => {
+            neighbors.push({ node: this.nodes.get(neighborId), side });
+        });
+        
+        return neighbors;
+    }
+    
+    /**
+     * Rooms reachable from a room through a single hallway (or directly)
+     * @returns {Array<{node: Object, side: string|null, via: Object|null}>} Rooms, the side of
+     *          the starting room they are reached through, and the hallway in between
+     */
+    getAdjacentRooms(id) {
+        const rooms = [];
+        
+        for (const { node, side } of this.getNeighbors(id)) {
+            if (node.kind === 'room') {
+                rooms.push({ node, side, via: null });
+                continue;
+            }
+            
+            for (const next of this.getNeighbors(node.id)) {
+                if (next.node.id !== id && next.node.kind === 'room') {
+                    rooms.push({ node: next.node, side, via: node });
+                }
+            }
+        }
+        
+        return rooms;
+    }
+    
+    /**
+     * Shortest path between two nodes (breadth-first)
+     * @returns {Array<string>|null} Node ids from start to goal, or null if unreachable
+     */
+    findPath(startId, goalId) {
+        if (!this.nodes.has(startId) || !this.nodes.has(goalId)) return null;
+        
+        const previous = new Map([[startId, null]]);
+        const queue = [startId];
+        
+        while (queue.length > 0) {
+            const id = queue.shift();
+            
+            if (id === goalId) {
+                const path = [];
+                for (let step = goalId; step !== null; step = previous.get(step)) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+            
+            this.edges.get(id).forEach((side, neighborId) => {
+                if (!previous.has(neighborId)) {
+                    previous.set(neighborId, id);
+                    queue.push(neighborId);
+                }
+            });
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Every connection once, as plain data (for saving)
+     * @returns {Array<{a: string, b: string, sideA: string|null, sideB: string|null}>}
+     */
+    getConnections() {
+        const connections = [];
+        
+        this.edges.forEach((neighbors, idA) => {
+            neighbors.forEach((sideA, idB) => {
+                if (idA < idB) {
+                    connections.push({ a: idA, b: idB, sideA, sideB: this.edges.get(idB).get(idA) });
+                }
+            });
+        });
+        
+        // Stable order, so the same museum always saves the same way
+        return connections.sort((x, y) => (x.a === y.a ? x.b.localeCompare(y.b) : x.a.localeCompare(y.a)));
+    }
+    
+    clear() {
+        this.nodes.clear();
+        this.edges.clear();
+    }
+}
@@ -0,0 +1,468 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
+// Room walls and the grid direction each one faces (rooms are never rotated)
+export const SIDES = {
+    front: { x: 0, z: 1, opposite: 'back' },
+    back: { x: 0, z: -1, opposite: 'front' },
+    right: { x: 1, z: 0, opposite: 'left' },
+    left: { x: -1, z: 0, opposite: 'right' }
+};
+
+/**
+ * Layout decisions for the room grid
+ *
+ * Which room every grid cell holds (template, style, size, floor), where its
+ * doorways are and which hallway joins it to a neighbour all follow from the
+ * seed and the cell alone, so any cell can be planned without the rest of the
+ * museum. The planner holds no scene objects; it runs on the main thread and,
+ * with its own copy of the seed, regions and configuration, in the generation
+ * worker (see GenerationService).
+ */
+export class LayoutPlanner {
+    /**
+     * @param {SeededRandom} random Layout random source
+     * @param {RoomGenerator} roomGenerator Template and doorway sizes
+     * @param {HallwayGenerator} hallwayGenerator Length of a flight of stairs
+     */
+    constructor(random, roomGenerator, hallwayGenerator) {
+        this.random = random;
+        this.roomGenerator = roomGenerator;
+        this.hallwayGenerator = hallwayGenerator;
+        
+        // Configuration (read from Config in applyConfig)
+        this.roomSpacing = 22; // Distance between room centers
+        this.floorHeight = 2.25; // Height between floors
+        this.elevationChanges = true; // Whether rooms may be on other floors than the entrance
+        this.extraConnectionChance = 0.35; // Chance of a doorway beyond those that keep every room reachable
+        this.elevationChangeChance = 0.25; // Chance that a room is a floor above or below the one before it
+        
+        // Floor of each planned grid cell ("x,z" -> level), filled in as cells are planned
+        this.cellLevels = new Map();
+        
+        // Museum theme regions (zones)
+        this.regions = [
+            {
+                name: "Classical Gallery",
+                style: "classical",
+                center: new THREE.Vector3(0, 0, 0),
+                radius: 50,
+                roomTypes: ["basic", "large", "hall"],
+                artThemes: ["renaissance", "classical", "historical"]
+            },
+            {
+                name: "Futuristic Exhibition",
+                style: "futuristic",
+                center: new THREE.Vector3(100, 0, 0),
+                radius: 50,
+                roomTypes: ["basic", "corner", "large"],
+                artThemes: ["modern", "technological", "abstract"]
+            },
+            {
+                name: "Abstract Collection",
+                style: "abstract",
+                center: new THREE.Vector3(0, 0, 100),
+                radius: 50,
+                roomTypes: ["corner", "hall", "basic"],
+                artThemes: ["surreal", "contemporary", "experimental"]
+            }
+        ];
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy layout settings from Config
+    // Rooms already placed keep their positions; a new spacing applies to rooms planned afterwards
+    applyConfig() {
+        this.roomSpacing = Config.museum.roomSpacing;
+        this.floorHeight = Config.museum.floorHeight;
+        this.elevationChanges = Config.museum.enableElevationChanges;
+        
+        // Floors are planned from the spacing and floor height
+        this.cellLevels.clear();
+    }
+    
+    // Plan with another random source (a new seed)
+    setRandom(random) {
+        this.random = random;
+        this.cellLevels.clear();
+    }
+    
+    // Forget the floors planned so far
+    reset() {
+        this.cellLevels.clear();
+    }
+    
+    /**
+     * Regions as plain data (centres as [x, y, z]), as saved and sent to the worker
+     */
+    describeRegions() {
+        return this.regions.map(region => ({
+            ...region,
+            center: region.center.toArray()
+        }));
+    }
+    
+    /**
+     * Replace the regions
+     * @param {Array<Object>} regions Regions as returned by describeRegions
+     */
+    setRegions(regions) {
+        this.regions = regions.map(region => ({
+            ...region,
+            center: new THREE.Vector3().fromArray(region.center)
+        }));
+        this.cellLevels.clear();
+    }
+    
+    /**
+     * Everything needed to generate the room of a grid cell, as plain data
+     * @param {Object} cell Grid cell ({ x, z })
+     * @returns {Object} { cell, template, style, size, themes, doorways, position: [x, y, z] }
+     */
+    planRoom(cell) {
+        const position = this.getCellPosition(cell);
+        
+        return {
+            cell: { x: cell.x, z: cell.z },
+            ...this.getPlannedRoom(cell),
+            doorways: this.getPlannedDoorways(position),
+            position: position.toArray()
+        };
+    }
+    
+    /**
+     * The hallway between two neighbouring rooms, leaving room A through `side`. It spans
+     * the gap between the two walls, with stairs when the rooms are on different floors.
+     * @param {Object} roomA { position: THREE.Vector3, size }
+     * @param {Object} roomB { position: THREE.Vector3, size }
+     * @param {string} side Wall of room A
+     * @returns {Object|null} { template, style, size, startStyle, endStyle, position, rotationY },
+     *                        or null if the rooms touch (their doorways connect directly)
+     */
+    planHallway(roomA, roomB, side) {
+        const direction = SIDES[side];
+        
+        const gapStart = this.getHalfExtent(roomA.size, side);
+        const gapEnd = Math.hypot(roomB.position.x - roomA.position.x, roomB.position.z - roomA.position.z) -
+            this.getHalfExtent(roomB.size, direction.opposite);
+        const length = gapEnd - gapStart;
+        const rise = roomB.position.y - roomA.position.y;
+        
+        if (length < 0.1) {
+            return null;
+        }
+        
+        const position = new THREE.Vector3(
+            roomA.position.x + direction.x * (gapStart + gapEnd) / 2,
+            Math.min(roomA.position.y, roomB.position.y),
+            roomA.position.z + direction.z * (gapStart + gapEnd) / 2
+        );
+        
+        // Check if we're transitioning between regions
+        const regionA = this.getRegionForPosition(roomA.position);
+        const regionB = this.getRegionForPosition(roomB.position);
+        const size = { ...this.roomGenerator.doorwaySize, length };
+        
+        if (Math.abs(rise) > 0.01) {
+            // Stairs start at the lower room and climb towards the upper one
+            const sign = Math.sign(rise);
+            return {
+                template: 'stairs',
+                style: regionB.style,
+                size: { ...size, elevation: Math.abs(rise) },
+                startStyle: null,
+                endStyle: null,
+                position,
+                rotationY: Math.atan2(direction.x * sign, direction.z * sign)
+            };
+        }
+        
+        // Hallways run along their local z axis; east/west ones are turned 90 degrees
+        const rotationY = direction.x !== 0 ? Math.PI / 2 : 0;
+        
+        if (regionA.name !== regionB.name) {
+            return { template: 'transition', style: 'transition', size, startStyle: regionA.style, endStyle: regionB.style, position, rotationY };
+        }
+        
+        // Regular hallway
+        return { template: 'straight', style: regionB.style, size, startStyle: null, endStyle: null, position, rotationY };
+    }
+    
+    // Room walls that get a doorway at a grid position. Each room always connects to
+    // the neighbour one step closer to the entrance (so every room is reachable);
+    // other connections are added at random, seeded per wall, where the two rooms
+    // are on the same floor or stairs fit between them.
+    getPlannedDoorways(roomPosition) {
+        const cell = this.getRoomCell(roomPosition);
+        
+        return Object.keys(SIDES).filter(side => {
+            const neighbor = { x: cell.x + SIDES[side].x, z: cell.z + SIDES[side].z };
+            
+            if (this.isParentCell(cell, neighbor) || this.isParentCell(neighbor, cell)) {
+                return true;
+            }
+            
+            const between = this.getGroundPosition(cell).add(this.getGroundPosition(neighbor)).multiplyScalar(0.5);
+            return this.getRandomForPosition(between, 'connection').next() < this.extraConnectionChance &&
+                this.canConnectCells(cell, neighbor);
+        });
+    }
+    
+    // The room planned for a grid cell ({ template, style, size, themes }). It depends on
+    // the cell alone, so neighbours can be planned around before they are generated.
+    getPlannedRoom(cell) {
+        if (cell.x === 0 && cell.z === 0) {
+            // Entrance hall
+            return {
+                template: 'large',
+                style: 'classical',
+                size: { width: 20, height: 8, depth: 20 },
+                themes: ['general']
+            };
+        }
+        
+        // Randomly select a room template from the region's available types
+        const groundPosition = this.getGroundPosition(cell);
+        const region = this.getRegionForPosition(groundPosition);
+        const template = this.getRandomForPosition(groundPosition, 'roomType').pick(region.roomTypes);
+        
+        return {
+            template,
+            style: region.style,
+            size: this.roomGenerator.getTemplateSize(template),
+            themes: region.artThemes
+        };
+    }
+    
+    // Floor of a grid cell (0 is the entrance floor). Floors only change along the
+    // connections towards the entrance, one floor at a time and only where a flight of
+    // stairs fits between the two rooms, so every room can still be reached.
+    getCellLevel(cell) {
+        if (!this.elevationChanges) return 0;
+        
+        // Walk towards the entrance until a cell with a known floor
+        const chain = [];
+        let known = cell;
+        while (known && !this.cellLevels.has(`${known.x},${known.z}`)) {
+            chain.push(known);
+            known = this.getParentCell(known);
+        }
+        
+        let level = known ? this.cellLevels.get(`${known.x},${known.z}`) : 0;
+        
+        // Then plan the floors back out
+        for (let i = chain.length - 1; i >= 0; i--) {
+            const parent = i + 1 < chain.length ? chain[i + 1] : known;
+            if (parent) {
+                level += this.getLevelStep(chain[i], parent);
+            }
+            this.cellLevels.set(`${chain[i].x},${chain[i].z}`, level);
+        }
+        
+        return level;
+    }
+    
+    // Floors climbed (1), descended (-1) or kept (0) from a parent cell to a cell, seeded per cell
+    getLevelStep(cell, parent) {
+        const roll = this.getRandomForPosition(this.getGroundPosition(cell), 'elevation').next();
+        
+        if (roll >= this.elevationChangeChance || !this.hasRoomForStairs(cell, parent)) {
+            return 0;
+        }
+        return roll < this.elevationChangeChance / 2 ? 1 : -1;
+    }
+    
+    // Whether two neighbouring cells can be joined by a doorway: on the same floor, or
+    // one floor apart with room for the stairs
+    canConnectCells(cellA, cellB) {
+        const levelDifference = Math.abs(this.getCellLevel(cellA) - this.getCellLevel(cellB));
+        return levelDifference === 0 || (levelDifference === 1 && this.hasRoomForStairs(cellA, cellB));
+    }
+    
+    // Whether the gap between the rooms planned for two neighbouring cells fits one flight of stairs
+    hasRoomForStairs(cellA, cellB) {
+        const side = this.getSideForDirection({ x: cellB.x - cellA.x, z: cellB.z - cellA.z });
+        const gap = this.roomSpacing -
+            this.getHalfExtent(this.getPlannedRoom(cellA).size, side) -
+            this.getHalfExtent(this.getPlannedRoom(cellB).size, SIDES[side].opposite);
+        
+        return gap >= this.hallwayGenerator.getStairsLength(this.floorHeight);
+    }
+    
+    // Distance from a room's centre to its wall on one side
+    getHalfExtent(size, side) {
+        return (SIDES[side].x !== 0 ? size.width : size.depth) / 2;
+    }
+    
+    // Next cell from `cell` towards the entrance (along the longer axis first), or null at the entrance
+    getParentCell(cell) {
+        if (cell.x === 0 && cell.z === 0) return null;
+        
+        if (Math.abs(cell.x) >= Math.abs(cell.z)) {
+            return { x: cell.x - Math.sign(cell.x), z: cell.z };
+        }
+        return { x: cell.x, z: cell.z - Math.sign(cell.z) };
+    }
+    
+    // Whether `parent` is the next cell from `cell` towards the entrance
+    isParentCell(cell, parent) {
+        const next = this.getParentCell(cell);
+        return next !== null && next.x === parent.x && next.z === parent.z;
+    }
+    
+    // Room grid coordinates of a position
+    getRoomCell(position) {
+        return {
+            x: Math.round(position.x / this.roomSpacing),
+            z: Math.round(position.z / this.roomSpacing)
+        };
+    }
+    
+    // Position of a grid cell on the entrance floor (layout choices are seeded by it)
+    getGroundPosition(cell) {
+        return new THREE.Vector3(cell.x * this.roomSpacing, 0, cell.z * this.roomSpacing);
+    }
+    
+    // Position of the room in a grid cell, on its floor
+    getCellPosition(cell) {
+        return this.getGroundPosition(cell).setY(this.getCellLevel(cell) * this.floorHeight);
+    }
+    
+    // Position of the neighbouring room slot on one side
+    getNeighborPosition(position, side) {
+        const cell = this.getRoomCell(position);
+        return this.getCellPosition({ x: cell.x + SIDES[side].x, z: cell.z + SIDES[side].z });
+    }
+    
+    // Room wall closest to a horizontal direction
+    getSideForDirection(direction) {
+        if (Math.abs(direction.x) > Math.abs(direction.z)) {
+            return direction.x > 0 ? 'right' : 'left';
+        }
+        return direction.z > 0 ? 'front' : 'back';
+    }
+    
+    /**
+     * Grid cells to walk through from one room to another, both included: the fewest
+     * doorways within a few cells around the two, or else the way every room has
+     * towards the entrance (up to the first cell both rooms lead through, then out again)
+     * @param {Object} fromCell Start cell ({ x, z })
+     * @param {Object} toCell Destination cell
+     * @param {number} margin Cells beyond the two the search may go
+     * @returns {Array<Object>} Cells in walking order
+     */
+    getCellRoute(fromCell, toCell, margin = 2) {
+        const key = cell => `${cell.x},${cell.z}`;
+        const minX = Math.min(fromCell.x, toCell.x) - margin;
+        const maxX = Math.max(fromCell.x, toCell.x) + margin;
+        const minZ = Math.min(fromCell.z, toCell.z) - margin;
+        const maxZ = Math.max(fromCell.z, toCell.z) + margin;
+        
+        // Breadth-first over the planned doorways; cell key -> cell it was reached from
+        const previous = new Map([[key(fromCell), null]]);
+        const queue = [fromCell];
+        
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            
+            if (cell.x === toCell.x && cell.z === toCell.z) {
+                const route = [];
+                for (let step = cell; step; step = previous.get(key(step))) {
+                    route.unshift(step);
+                }
+                return route;
+            }
+            
+            for (const side of this.getPlannedDoorways(this.getGroundPosition(cell))) {
+                const next = { x: cell.x + SIDES[side].x, z: cell.z + SIDES[side].z };
+                if (next.x < minX || next.x > maxX || next.z < minZ || next.z > maxZ || previous.has(key(next))) {
+                    continue;
+                }
+                previous.set(key(next), cell);
+                queue.push(next);
+            }
+        }
+        
+        // Through the entrance side: fromCell's cells towards the entrance, then back out to toCell
+        const up = [];
+        for (let cell = fromCell; cell; cell = this.getParentCell(cell)) {
+            up.push(cell);
+        }
+        const upIndex = new Map(up.map((cell, index) => [key(cell), index]));
+        
+        const down = [];
+        let cell = toCell;
+        while (!upIndex.has(key(cell))) {
+            down.unshift(cell);
+            cell = this.getParentCell(cell);
+        }
+        
+        return up.slice(0, upIndex.get(key(cell)) + 1).concat(down);
+    }
+    
+    /**
+     * Floor points to walk through from the middle of one room to the middle of another:
+     * through the middle of every doorway on the way, so hallways and stairs are followed
+     * @param {Object} fromCell Start cell ({ x, z })
+     * @param {Object} toCell Destination cell
+     * @returns {Array<Object>} { position: THREE.Vector3, cell } in walking order, each
+     *                          with the cell whose room (or doorway) it lies in
+     */
+    getWalkingRoute(fromCell, toCell) {
+        const cells = this.getCellRoute(fromCell, toCell);
+        const route = [{ position: this.getCellPosition(cells[0]), cell: cells[0] }];
+        
+        for (let i = 1; i < cells.length; i++) {
+            const from = cells[i - 1];
+            const to = cells[i];
+            const side = this.getSideForDirection({ x: to.x - from.x, z: to.z - from.z });
+            const { x, z } = SIDES[side];
+            
+            const fromPosition = this.getCellPosition(from);
+            const toPosition = this.getCellPosition(to);
+            const fromExtent = this.getHalfExtent(this.getPlannedRoom(from).size, side);
+            const toExtent = this.getHalfExtent(this.getPlannedRoom(to).size, SIDES[side].opposite);
+            
+            // Both doorways, with the hallway between them (planned rooms always leave one)
+            route.push({ position: fromPosition.clone().add(new THREE.Vector3(x * fromExtent, 0, z * fromExtent)), cell: from });
+            route.push({ position: toPosition.clone().sub(new THREE.Vector3(x * toExtent, 0, z * toExtent)), cell: to });
+            route.push({ position: toPosition, cell: to });
+        }
+        
+        return route;
+    }
+    
+    // Random source tied to a grid cell, so a cell always gets the same choices
+    // regardless of the order in which the museum is explored
+    getRandomForPosition(position, purpose) {
+        const gridKey = `${Math.round(position.x)},${Math.round(position.y)},${Math.round(position.z)}`;
+        return this.random.fork(purpose, gridKey);
+    }
+    
+    getRegionForPosition(position) {
+        // Find which region this position falls into
+        let closestRegion = this.regions[0];
+        let closestDistance = position.distanceTo(new THREE.Vector3(
+            this.regions[0].center.x,
+            this.regions[0].center.y,
+            this.regions[0].center.z
+        ));
+        
+        for (let i = 1; i < this.regions.length; i++) {
+            const region = this.regions[i];
+            const distance = position.distanceTo(new THREE.Vector3(
+                region.center.x,
+                region.center.y,
+                region.center.z
+            ));
+            
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestRegion = region;
+            }
+        }
+        
+        return closestRegion;
+    }
+}
@@ -3,346 +3,567 @@ import { HallwayGenerator } from './HallwayGenerator.js';
 import { ArchitecturalStyles } from './ArchitecturalStyles.js';
 import { ImageSource } from '../data/ImageSource.js';
 import { MetadataManager } from '../data/MetadataManager.js';
+import { SeededRandom } from '../utils/Random.js';
+import { resourceCache } from '../utils/ResourceCache.js';
+import { getAverageColor, geometryFromData, disposeObject } from '../utils/Utils.js';
+import { packArtworks, estimateCapacity } from './ArtworkPacker.js';
+import { LayoutGraph } from './LayoutGraph.js';
+import { LayoutPlanner, SIDES } from './LayoutPlanner.js';
+import { GenerationService } from './GenerationService.js';
+import { TextureStreamer } from '../core/TextureStreamer.js';
+import { PortalCulling } from '../core/PortalCulling.js';
+import { Config, onConfigChange } from '../data/Config.js';
 
 export class MuseumLayout {
-    constructor(sceneManager) {
+    constructor(sceneManager, seed) {
         this.sceneManager = sceneManager;
-        this.roomGenerator = new RoomGenerator();
-        this.hallwayGenerator = new HallwayGenerator();
+        
+        // Seeded random source - every layout decision is derived from it
+        this.random = new SeededRandom(seed);
+        
+        this.roomGenerator = new RoomGenerator(this.random.fork('rooms'));
+        this.hallwayGenerator = new HallwayGenerator(this.random.fork('hallways'));
         this.architecturalStyles = new ArchitecturalStyles();
-        this.imageSource = new ImageSource();
+        this.imageSource = new ImageSource(this.random.fork('images'));
         this.metadataManager = new MetadataManager();
         
+        // Decides what every grid cell holds; rooms are planned (and their geometry built)
+        // in a worker where possible
+        this.planner = new LayoutPlanner(this.random, this.roomGenerator, this.hallwayGenerator);
+        this.generation = new GenerationService(this.planner);
+        
+        // Rooms planned for the ring around the player, waiting to be built, and the
+        // cells ("x,z") still being planned. Plans made before the layout was reset
+        // (new seed, loaded save) are dropped by their version.
+        this.plannedRooms = [];
+        this.pendingCells = new Set();
+        this.layoutVersion = 0;
+        this.planRetryDelay = 5000; // Milliseconds before a cell whose plan failed is planned again
+        
         // Track created spaces
         this.rooms = [];
         this.hallways = [];
         
-        // Grid system for positioning (key: "x,y,z", value: room/hallway reference)
-        this.grid = {};
-        
-        // Configuration
-        this.roomSpacing = 15; // Distance between room centers
-        this.maxRenderDistance = 50; // Max distance to render rooms
-        this.generationDistance = 30; // Distance at which to generate new rooms
-        
-        // Museum theme regions (zones)
-        this.regions = [
-            {
-                name: "Classical Gallery",
-                style: "classical",
-                center: new THREE.Vector3(0, 0, 0),
-                radius: 50,
-                roomTypes: ["basic", "large", "hall"],
-                artThemes: ["renaissance", "classical", "historical"]
-            },
-            {
-                name: "Futuristic Exhibition",
-                style: "futuristic",
-                center: new THREE.Vector3(100, 0, 0),
-                radius: 50,
-                roomTypes: ["basic", "corner", "large"],
-                artThemes: ["modern", "technological", "abstract"]
-            },
-            {
-                name: "Abstract Collection",
-                style: "abstract",
-                center: new THREE.Vector3(0, 0, 100),
-                radius: 50,
-                roomTypes: ["corner", "hall", "basic"],
-                artThemes: ["surreal", "contemporary", "experimental"]
-            }
-        ];
+        // IDs of the rooms the player has been in (shown on the minimap and floor plan)
+        this.visitedRooms = new Set();
+        
+        // Grid index of all rooms and hallways (owned by the scene manager, shared with the minimap)
+        this.spatialIndex = sceneManager.getSpatialIndex();
+        
+        // Which rooms and hallways connect to each other
+        this.graph = new LayoutGraph();
+        
+        // Hides what cannot be seen through the doorways from where the camera is
+        this.portalCulling = new PortalCulling(sceneManager, this.graph, this.roomGenerator.doorwaySize);
+        this.portalCullingEnabled = true;
+        
+        // Lights each room and hallway (see setLighting); rooms stay unlit without it
+        this.lighting = null;
+        
+        // Artwork textures stream in by distance to the camera
+        this.textureStreamer = new TextureStreamer(sceneManager.getCamera());
+        
+        // Configuration (read from Config in applyConfig)
+        this.maxRenderDistance = 75; // Max distance to render rooms
+        this.lodDistances = { medium: 15, low: 30 }; // Distances at which rooms and artworks drop to medium and low detail
+        this.fullResolutionArtworks = true; // Whether artworks up close show their full image (or stay at the preview)
+        this.generationDistance = 45; // Distance at which to generate new rooms
+        this.generationBudget = 4; // Milliseconds per frame spent generating rooms
+        this.maxArtworksPerRoom = 5; // Cap on framed artworks per room
+        this.artworkGap = 0.5; // Space between frames and at the ends of a wall
+        this.frameBorder = 0.1; // Frame width around each artwork
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
     }
     
-    async generateInitialLayout() {
-        // Create entrance hall
-        const entranceHall = this.roomGenerator.generateRoom("large", "classical", {
-            width: 20,
-            height: 8,
-            depth: 20
-        });
-        
-        // Position entrance at origin
-        const entrancePosition = new THREE.Vector3(0, 0, 0);
-        this.sceneManager.addRoom(entranceHall, entrancePosition);
-        this.rooms.push(entranceHall);
+    // Re-seed the layout (only meaningful before any rooms are generated)
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+        this.roomGenerator.random = this.random.fork('rooms');
+        this.hallwayGenerator.random = this.random.fork('hallways');
+        this.imageSource.random = this.random.fork('images');
+        this.planner.setRandom(this.random);
+        this.generation.sync();
+        this.discardPlannedRooms();
+    }
+    
+    // Replace the theme regions (plain data, see LayoutPlanner.describeRegions)
+    setRegions(regions) {
+        this.planner.setRegions(regions);
+        this.generation.sync();
+        this.discardPlannedRooms();
+    }
+    
+    // Light rooms and hallways from now on with the lighting presets
+    setLighting(lighting) {
+        this.lighting = lighting;
+    }
+    
+    // Copy layout settings from Config
+    applyConfig() {
+        const preset = Config.performance.qualityPreset;
+        const quality = Config.performance.qualitySettings[preset] || Config.performance.qualitySettings.medium;
+        this.maxRenderDistance = Config.performance.maxRenderDistance * quality.renderDistanceScale;
+        this.fullResolutionArtworks = quality.fullResolutionArtworks;
+        this.lodDistances = Config.performance.lodDistances[preset] || Config.performance.lodDistances.medium;
+        this.portalCullingEnabled = Config.performance.enablePortalCulling;
+        this.generationDistance = Config.performance.generationDistance;
+        this.generationBudget = Config.performance.generationBudget;
+        this.maxArtworksPerRoom = Config.performance.maxArtworksPerRoom;
         
-        // Register the room in our grid system
-        this.addToGrid(entrancePosition, entranceHall);
+        // Levels of detail are picked again with the new distances
+        this.resetLOD();
+    }
+    
+    async generateInitialLayout() {
+        // Create entrance hall (at the origin)
+        const plan = await this.generation.planRoom({ x: 0, z: 0 });
+        const entranceHall = this.buildPlannedRoom(plan);
         
         // Set this as the current room
         this.sceneManager.setCurrentRoom(entranceHall);
         
         // Generate initial surrounding rooms and hallways
-        await this.generateSurroundingRooms(entrancePosition);
+        await this.generateSurroundingRooms(entranceHall);
         
         // Place initial artworks
-        await this.placeArtworksInRoom(entranceHall);
+        await this.placeArtworksInRoom(entranceHall, plan.themes);
     }
     
-    async generateSurroundingRooms(centerPosition) {
-        const directions = [
-            { x: 0, z: 1 },  // North
-            { x: 1, z: 0 },  // East
-            { x: 0, z: -1 }, // South
-            { x: -1, z: 0 }  // West
-        ];
+    // Generate a room behind every doorway of a room
+    async generateSurroundingRooms(centerRoom) {
+        for (const side of centerRoom.userData.doorways) {
+            await this.generateNewRoomInDirection(centerRoom, SIDES[side]);
+        }
+    }
+    
+    // The room the player is in (or else nearest to, within half a grid cell) is the current
+    // room; large rooms reach further than half a cell from their centre
+    updateCurrentRoom(playerPosition) {
+        const nearby = this.spatialIndex.queryRadius(playerPosition, this.planner.roomSpacing, 'room');
+        const nearest = this.spatialIndex.findNearest(playerPosition, 'room', this.planner.roomSpacing / 2);
+        const room = nearby.find(candidate => this.portalCulling.contains(candidate, playerPosition)) ||
+            (nearest && nearest.object);
         
-        // For each cardinal direction
-        for (const dir of directions) {
-            // Calculate the new room position
-            const hallwayPosition = new THREE.Vector3(
-                centerPosition.x + (dir.x * this.roomSpacing / 2),
-                centerPosition.y,
-                centerPosition.z + (dir.z * this.roomSpacing / 2)
-            );
-            
-            const roomPosition = new THREE.Vector3(
-                centerPosition.x + (dir.x * this.roomSpacing),
-                centerPosition.y,
-                centerPosition.z + (dir.z * this.roomSpacing)
-            );
+        if (!room) return;
+        
+        if (room !== this.sceneManager.getCurrentRoom()) {
+            this.sceneManager.setCurrentRoom(room);
+        }
+        this.visitedRooms.add(room.userData.id);
+    }
+    
+    // Keep every room within generationDistance of the player generated, nearest first.
+    // Missing rooms are planned (in the worker where possible); planned rooms are built
+    // until this frame's time budget is spent (at least one), the rest on later frames.
+    generateNearbyRooms(playerPosition) {
+        const start = performance.now();
+        
+        while (this.plannedRooms.length > 0) {
+            const plan = this.plannedRooms.shift();
+            this.pendingCells.delete(`${plan.cell.x},${plan.cell.z}`);
             
-            // Check if there's already something at this position
-            const gridKey = `${Math.round(roomPosition.x)},${Math.round(roomPosition.y)},${Math.round(roomPosition.z)}`;
-            if (this.grid[gridKey]) {
-                continue; // Skip if occupied
+            const room = this.buildPlannedRoom(plan);
+            if (room) {
+                this.placeArtworksInRoom(room, plan.themes).catch(error => {
+                    console.error(`Error hanging artworks in ${room.userData.name}:`, error);
+                });
             }
             
-            // Determine which region this position falls into
-            const region = this.getRegionForPosition(roomPosition);
-            
-            // Generate a hallway connecting to the center room
-            const hallwayStyle = region.style;
-            const hallwayLength = this.roomSpacing / 2;
-            
-            const hallway = this.hallwayGenerator.generateHallway(
-                "straight",
-                hallwayStyle,
-                {
-                    width: 4,
-                    height: 4,
-                    length: hallwayLength
+            if (performance.now() - start >= this.generationBudget) {
+                break;
+            }
+        }
+        
+        for (const cell of this.findMissingRooms(playerPosition)) {
+            this.requestRoom(cell);
+        }
+    }
+    
+    // Grid cells within generationDistance of a position whose room has neither been
+    // generated nor requested yet, nearest first. Every cell's room is planned from the
+    // seed alone, so they can be generated in any order.
+    findMissingRooms(position) {
+        const center = this.planner.getRoomCell(position);
+        const range = Math.ceil(this.generationDistance / this.planner.roomSpacing);
+        const missing = [];
+        
+        for (let x = center.x - range; x <= center.x + range; x++) {
+            for (let z = center.z - range; z <= center.z + range; z++) {
+                if (this.pendingCells.has(`${x},${z}`)) continue;
+                
+                const cell = { x, z };
+                const roomPosition = this.planner.getCellPosition(cell);
+                const distance = position.distanceTo(roomPosition);
+                
+                if (distance < this.generationDistance && !this.spatialIndex.getAt(roomPosition, 'room')) {
+                    missing.push({ cell, distance });
                 }
-            );
-            
-            // Rotate hallway to face the correct direction
-            if (dir.x !== 0) {
-                hallway.rotation.y = Math.PI / 2; // Rotate 90 degrees for east/west
             }
-            
-            // Add hallway to scene
-            this.sceneManager.addHallway(hallway, hallwayPosition);
-            this.hallways.push(hallway);
-            this.addToGrid(hallwayPosition, hallway);
-            
-            // Generate room at the end of the hallway
-            // Randomly select a room template from the region's available types
-            const roomType = region.roomTypes[Math.floor(Math.random() * region.roomTypes.length)];
-            const room = this.roomGenerator.generateRoom(roomType, region.style);
-            
-            // Add room to scene
-            this.sceneManager.addRoom(room, roomPosition);
-            this.rooms.push(room);
-            this.addToGrid(roomPosition, room);
-            
-            // Place artworks in the new room
-            await this.placeArtworksInRoom(room, region.artThemes);
         }
+        
+        return missing.sort((a, b) => a.distance - b.distance).map(({ cell }) => cell);
+    }
+    
+    // Plan the room of a cell; it is built by generateNearbyRooms once the plan is ready
+    requestRoom(cell) {
+        const key = `${cell.x},${cell.z}`;
+        const version = this.layoutVersion;
+        this.pendingCells.add(key);
+        
+        this.generation.planRoom(cell).then(plan => {
+            if (version === this.layoutVersion) {
+                this.plannedRooms.push(plan);
+            }
+        }).catch(error => {
+            // Left pending for a while, then requested again if the player is still near
+            console.error(`Error planning the room at ${key}:`, error);
+            setTimeout(() => {
+                if (version === this.layoutVersion) {
+                    this.pendingCells.delete(key);
+                }
+            }, this.planRetryDelay);
+        });
+    }
+    
+    // Drop rooms planned but not built yet (the layout they were planned for is gone)
+    discardPlannedRooms() {
+        this.layoutVersion++;
+        this.plannedRooms = [];
+        this.pendingCells.clear();
     }
     
-    checkAndGenerateNewRooms(playerPosition, direction) {
-        // Find the nearest room to the player
-        let nearestRoom = null;
+    // Generate the room next to `sourceRoom` in a grid direction ({ x, z })
+    async generateNewRoomInDirection(sourceRoom, direction) {
+        const side = this.planner.getSideForDirection(direction);
+        const cell = this.planner.getRoomCell(sourceRoom.position);
+        
+        await this.generateRoomAt({ x: cell.x + SIDES[side].x, z: cell.z + SIDES[side].z });
+    }
+    
+    // Plan and build the room of a grid cell right away, and place its artworks
+    // (`featured` is hung first, see placeArtworksInRoom)
+    async generateRoomAt(cell, featured = null) {
+        const version = this.layoutVersion;
+        const plan = await this.generation.planRoom(cell);
+        if (version !== this.layoutVersion) return null;
+        
+        const room = this.buildPlannedRoom(plan);
+        if (room) {
+            await this.placeArtworksInRoom(room, plan.themes, null, featured);
+        }
+        return room;
+    }
+    
+    /**
+     * Where an artwork hangs nearest to a position
+     * @param {string} artworkId Artwork ID
+     * @param {THREE.Vector3} position Position to measure from (usually the player's)
+     * @returns {Object|null} { room, placement } (placement is undefined for saved rooms
+     *                        that have not been hung since loading), or null if it hangs nowhere
+     */
+    findArtwork(artworkId, position) {
+        let nearest = null;
         let nearestDistance = Infinity;
         
         for (const room of this.rooms) {
-            const distance = playerPosition.distanceTo(room.position);
-            if (distance < nearestDistance) {
+            const assignment = (room.userData.artworkAssignments || []).find(a => a.artworkId === artworkId);
+            const distance = room.position.distanceTo(position);
+            
+            if (assignment && distance < nearestDistance) {
+                nearest = { room, placement: (room.userData.artworkPlacements || [])[assignment.placement] };
                 nearestDistance = distance;
-                nearestRoom = room;
             }
         }
         
-        // If we're close to a room and it's not already the current room
-        if (nearestRoom && nearestDistance < 5 && nearestRoom !== this.sceneManager.getCurrentRoom()) {
-            this.sceneManager.setCurrentRoom(nearestRoom);
-            
-            // Check if we need to generate more rooms in the direction of movement
-            const directionVector = new THREE.Vector3();
-            
-            switch(direction) {
-                case 'forward':
-                    directionVector.z = -1;
-                    break;
-                case 'backward':
-                    directionVector.z = 1;
-                    break;
-                case 'left':
-                    directionVector.x = -1;
-                    break;
-                case 'right':
-                    directionVector.x = 1;
-                    break;
-            }
-            
-            // Rotate the direction vector based on player's rotation
-            const playerRotation = this.sceneManager.getCamera().rotation.y;
-            directionVector.applyAxisAngle(new THREE.Vector3(0, 1, 0), playerRotation);
-            
-            // Calculate the position for a potential new room
-            const newRoomPosition = new THREE.Vector3(
-                nearestRoom.position.x + directionVector.x * this.roomSpacing,
-                nearestRoom.position.y,
-                nearestRoom.position.z + directionVector.z * this.roomSpacing
-            );
-            
-            // Check if we already have a room at this position
-            const gridKey = `${Math.round(newRoomPosition.x)},${Math.round(newRoomPosition.y)},${Math.round(newRoomPosition.z)}`;
-            
-            // If we don't have a room here and it's within our generation distance
-            if (!this.grid[gridKey] && playerPosition.distanceTo(newRoomPosition) < this.generationDistance) {
-                // Generate a new room in this direction
-                this.generateNewRoomInDirection(nearestRoom, directionVector);
+        return nearest;
+    }
+    
+    /**
+     * Nearest grid cell without a room (generated or on the way) whose planned room shows
+     * one of some themes (any empty cell if none within `range` cells does)
+     * @param {Array<string>} themes Art themes
+     * @param {THREE.Vector3} position Position to search around
+     * @param {number} range How many cells to search in each direction
+     * @returns {Object|null} Grid cell ({ x, z }), or null if every cell in range has a room
+     */
+    findCellForThemes(themes, position, range = 8) {
+        const center = this.planner.getRoomCell(position);
+        let best = null;
+        
+        for (let x = center.x - range; x <= center.x + range; x++) {
+            for (let z = center.z - range; z <= center.z + range; z++) {
+                const cell = { x, z };
+                const cellPosition = this.planner.getCellPosition(cell);
+                if (this.spatialIndex.getAt(cellPosition, 'room') || this.pendingCells.has(`${x},${z}`)) continue;
+                
+                const matches = this.planner.getPlannedRoom(cell).themes.some(theme => themes.includes(theme));
+                const distance = cellPosition.distanceTo(position);
+                
+                if (!best || matches > best.matches || (matches === best.matches && distance < best.distance)) {
+                    best = { cell, matches, distance };
+                }
             }
         }
+        
+        return best ? best.cell : null;
     }
     
-    async generateNewRoomInDirection(sourceRoom, direction) {
-        // Calculate positions
-        const hallwayPosition = new THREE.Vector3(
-            sourceRoom.position.x + (direction.x * this.roomSpacing / 2),
-            sourceRoom.position.y,
-            sourceRoom.position.z + (direction.z * this.roomSpacing / 2)
-        );
+    /**
+     * Hang an artwork in the room of a grid cell, generating the room first if needed
+     * @param {Object} image Artwork (from the ImageSource catalogue)
+     * @param {Object} cell Grid cell ({ x, z })
+     * @returns {Promise<Object|null>} Where it hangs (see findArtwork), or null if it did not fit
+     */
+    async hangArtwork(image, cell) {
+        const roomPosition = this.planner.getCellPosition(cell);
+        let room = this.spatialIndex.getAt(roomPosition, 'room');
         
-        const roomPosition = new THREE.Vector3(
-            sourceRoom.position.x + (direction.x * this.roomSpacing),
-            sourceRoom.position.y,
-            sourceRoom.position.z + (direction.z * this.roomSpacing)
-        );
+        if (!room) {
+            // The room may still be built from the ring around the player meanwhile
+            room = await this.generateRoomAt(cell, image) || this.spatialIndex.getAt(roomPosition, 'room');
+        }
+        if (!room) return null;
         
-        // Double-check that these positions are free
-        const hallwayKey = `${Math.round(hallwayPosition.x)},${Math.round(hallwayPosition.y)},${Math.round(hallwayPosition.z)}`;
-        const roomKey = `${Math.round(roomPosition.x)},${Math.round(roomPosition.y)},${Math.round(roomPosition.z)}`;
-        
-        if (this.grid[hallwayKey] || this.grid[roomKey]) {
-            return; // Positions already occupied
-        }
-        
-        // Determine region for the new room
-        const region = this.getRegionForPosition(roomPosition);
-        
-        // Check if we're transitioning between regions
-        const sourceRegion = this.getRegionForPosition(sourceRoom.position);
-        const isTransition = sourceRegion.name !== region.name;
-        
-        // Generate hallway
-        let hallway;
-        if (isTransition) {
-            hallway = this.hallwayGenerator.generateHallway(
-                "transition",
-                "transition",
-                {
-                    width: 4,
-                    height: 4,
-                    length: this.roomSpacing / 2
-                },
-                sourceRegion.style,
-                region.style
-            );
-        } else {
-            // Regular hallway
-            hallway = this.hallwayGenerator.generateHallway(
-                "straight",
-                region.style,
-                {
-                    width: 4,
-                    height: 4,
-                    length: this.roomSpacing / 2
-                }
-            );
+        if (!(room.userData.artworkAssignments || []).some(a => a.artworkId === image.id)) {
+            await this.placeArtworksInRoom(room, room.userData.themes, null, image);
         }
         
-        // Rotate hallway to face the correct direction
-        if (Math.abs(direction.x) > Math.abs(direction.z)) {
-            hallway.rotation.y = Math.PI / 2; // Rotate 90 degrees for east/west
+        const found = this.findArtwork(image.id, roomPosition);
+        return found && found.room === room ? found : null;
+    }
+    
+    /**
+     * Spot in front of a hung artwork to look at it from
+     * @param {Object} location Where the artwork hangs (see findArtwork)
+     * @param {number} distance How far in front of the wall
+     * @returns {Object} { position (on the floor), yaw (facing the artwork) }
+     */
+    getArtworkViewpoint({ room, placement }, distance = 2.5) {
+        if (!placement) {
+            return { position: room.position.clone(), yaw: null };
         }
         
-        // Add hallway to scene
-        this.sceneManager.addHallway(hallway, hallwayPosition);
-        this.hallways.push(hallway);
-        this.addToGrid(hallwayPosition, hallway);
+        // Frames face along (sin, cos) of their rotation; looking back along it faces the frame
+        const yaw = placement.rotation.y + room.rotation.y;
+        const position = room.localToWorld(placement.position.clone());
+        position.x += Math.sin(yaw) * distance;
+        position.z += Math.cos(yaw) * distance;
+        position.y = room.position.y;
+        
+        return { position, yaw };
+    }
+    
+    // Whether the room of a grid cell is built and in the scene (with the hallways to
+    // its built neighbours), e.g. to walk into it
+    isRoomReady(cell) {
+        const room = this.spatialIndex.getAt(this.planner.getCellPosition(cell), 'room');
+        return Boolean(room) && this.sceneManager.isLoaded(room);
+    }
+    
+    // Build a planned room (see LayoutPlanner.planRoom) and connect it to every existing
+    // neighbour it has a doorway towards. Geometry built by the worker goes into the
+    // shared cache first, so only meshes and materials are created here. Returns null
+    // if the room's slot has been taken in the meantime.
+    buildPlannedRoom(plan) {
+        const roomPosition = new THREE.Vector3().fromArray(plan.position);
+        
+        // Double-check that the position is free
+        if (this.spatialIndex.getAt(roomPosition, 'room')) {
+            return null; // Position already occupied
+        }
+        
+        const geometries = (plan.geometries || []).map(data => resourceCache.acquire(data.key, () => geometryFromData(data)));
         
-        // Generate the new room
-        // Randomly select a room template from the region's available types
-        const roomType = region.roomTypes[Math.floor(Math.random() * region.roomTypes.length)];
-        const room = this.roomGenerator.generateRoom(roomType, region.style);
+        // Generate the planned room with a doorway on every planned connection
+        const room = this.roomGenerator.generateRoom(
+            plan.template,
+            plan.style,
+            plan.size,
+            plan.doorways
+        );
         
         // Add room to scene
-        this.sceneManager.addRoom(room, roomPosition);
-        this.rooms.push(room);
-        this.addToGrid(roomPosition, room);
+        this.registerRoom(room, roomPosition);
+        
+        // Join it to the rooms around it
+        for (const doorway of room.userData.doorways) {
+            const neighbor = this.spatialIndex.getAt(this.planner.getNeighborPosition(roomPosition, doorway), 'room');
+            if (neighbor && neighbor.userData.doorways.includes(SIDES[doorway].opposite)) {
+                this.connectRooms(neighbor, room, SIDES[doorway].opposite);
+            }
+        }
+        
+        // The meshes hold their own references now; geometry nothing used is disposed
+        geometries.forEach(geometry => resourceCache.release(geometry));
+        
+        return room;
+    }
+    
+    // Build the hallway between two neighbouring rooms (from `side` of roomA, see
+    // LayoutPlanner.planHallway) and record the connection; rooms that touch are
+    // connected directly through their doorways.
+    connectRooms(roomA, roomB, side) {
+        const idA = roomA.userData.id;
+        const idB = roomB.userData.id;
+        const direction = SIDES[side];
         
-        // Place artworks in the new room
-        await this.placeArtworksInRoom(room, region.artThemes);
+        const plan = this.planner.planHallway(
+            { position: roomA.position, size: roomA.userData.size },
+            { position: roomB.position, size: roomB.userData.size },
+            side
+        );
+        
+        if (!plan) {
+            this.graph.connect(idA, idB, side, direction.opposite);
+            return null;
+        }
+        
+        // Generate hallway, facing along the connection
+        const hallway = this.hallwayGenerator.generateHallway(
+            plan.template,
+            plan.style,
+            plan.size,
+            plan.startStyle,
+            plan.endStyle
+        );
+        hallway.rotation.y = plan.rotationY;
+        
+        // Add hallway to scene
+        this.registerHallway(hallway, plan.position);
+        
+        this.graph.connect(idA, hallway.userData.id, side, null);
+        this.graph.connect(hallway.userData.id, idB, null, direction.opposite);
+        return hallway;
     }
     
-    async placeArtworksInRoom(room, themes = ['general']) {
-        // Get artwork placement points from the room
-        const placements = room.userData.artworkPlacements || [];
+    // Place framed artworks in a room. When `assignments` ([{ placement, artworkId }]) is given,
+    // exactly those artworks are hung (used when restoring a saved museum or reloading a
+    // room); otherwise artworks are picked from the themes, with `featured` (an image
+    // someone asked to see) hung first. Artworks keep their aspect ratio and are packed
+    // along the room's wall spans in hanging order.
+    async placeArtworksInRoom(room, themes = ['general'], assignments = null, featured = null) {
+        const walls = room.userData.artworkWalls || [];
+        
+        // Themes are kept so the room can pick the same artworks again when rebuilt
+        room.userData.themes = [...themes];
         
-        if (placements.length === 0) {
-            return; // No placement points
+        // Only the latest placement for a room may hang its artworks
+        const request = {};
+        room.userData.artworkRequest = request;
+        
+        if (walls.length === 0) {
+            return; // No wall space
+        }
+        
+        let images;
+        if (assignments && assignments.length > 0) {
+            // Look up the saved artworks in their hanging order
+            images = [];
+            for (const assignment of assignments.slice().sort((a, b) => a.placement - b.placement)) {
+                const image = await this.imageSource.getImageById(assignment.artworkId);
+                if (image) {
+                    images.push(image); // Saved artworks no longer available are skipped
+                }
+            }
+        } else {
+            // Fetch about as many images as the walls can hold (up to the configured maximum)
+            const count = Math.min(
+                this.maxArtworksPerRoom,
+                estimateCapacity(walls, this.artworkGap, this.frameBorder)
+            );
+            
+            images = await this.imageSource.getImagesForThemes(
+                themes,
+                count,
+                this.planner.getRandomForPosition(room.position, 'artworks')
+            );
+            
+            if (featured) {
+                images = [featured, ...images.filter(image => image.id !== featured.id)].slice(0, Math.max(count, 1));
+            }
         }
         
-        // Fetch images for this room based on themes
-        const images = await this.imageSource.getImagesForThemes(themes, placements.length);
+        // Stream the textures (frames are hung as soon as each artwork's aspect ratio is known)
+        const placeholderUrl = `${this.imageSource.localImagesPath}placeholders/artwork_1.jpg`;
+        const handles = images.map(image => this.textureStreamer.request(image.url, {
+            owner: room,
+            position: room.position,
+            previewUrl: image.previewUrl || (image.url !== placeholderUrl ? placeholderUrl : null),
+            fallbackUrl: placeholderUrl
+        }));
+        
+        const aspects = await Promise.all(images.map((image, i) => this.getArtworkAspect(image, handles[i])));
+        const artworks = images
+            .map((image, i) => ({ image, handle: handles[i], aspect: aspects[i] }))
+            .filter(artwork => artwork.aspect !== null);
+        
+        // The room was unloaded (or is being placed again) while the images loaded
+        if (room.userData.artworkRequest !== request || !this.sceneManager.isLoaded(room)) {
+            handles.forEach(handle => this.releaseArtworkTexture(handle));
+            return;
+        }
         
-        if (images.length === 0) {
+        // Images that could not be loaded at all are skipped
+        handles.forEach((handle, i) => aspects[i] === null && this.releaseArtworkTexture(handle));
+        
+        if (artworks.length === 0) {
             return; // No images available
         }
         
-        // Place images at the placement points
-        for (let i = 0; i < Math.min(placements.length, images.length); i++) {
-            const placement = placements[i];
-            const image = images[i];
+        const placements = packArtworks(
+            walls,
+            artworks.map(artwork => artwork.aspect),
+            this.artworkGap,
+            this.frameBorder
+        );
+        
+        // Works that did not fit on any wall are not hung
+        const hung = new Set(placements.map(placement => placement.index));
+        artworks.forEach(({ handle }, i) => {
+            if (!hung.has(i)) {
+                this.releaseArtworkTexture(handle);
+            }
+        });
+        
+        // Remember which artwork hangs where (for saving and reloading) and the frames
+        // (disposed with the room when it is unloaded); artworks hung before make way
+        this.removeArtworks(room);
+        room.userData.artworkAssignments = [];
+        room.userData.artworkPlacements = [];
+        room.userData.artworkFrames = [];
+        
+        // World transform of the room, so room-local placements end up on its walls
+        room.updateMatrixWorld(true);
+        
+        placements.forEach((placement, order) => {
+            const { image, handle } = artworks[placement.index];
+            const texture = handle.texture;
             
-            // Create frame
-            const frameGeometry = new THREE.BoxGeometry(
-                placement.size.width + 0.2,
-                placement.size.height + 0.2,
+            // Create frame (frames of the same size share their geometry; all share the material)
+            const frameGeometry = resourceCache.getGeometry(
+                'BoxGeometry',
+                placement.size.width + this.frameBorder * 2,
+                placement.size.height + this.frameBorder * 2,
                 0.1
             );
             
-            const frameMaterial = new THREE.MeshStandardMaterial({
+            const frameMaterial = resourceCache.acquire('material:frame', () => new THREE.MeshStandardMaterial({
                 color: 0x5c4033, // Brown color for frame
                 roughness: 0.8,
                 metalness: 0.2
-            });
+            }));
             
             const frame = new THREE.Mesh(frameGeometry, frameMaterial);
             
-            // Create artwork plane
-            const artworkGeometry = new THREE.PlaneGeometry(
+            // Create artwork plane (the material is the artwork's own, for its texture)
+            const artworkGeometry = resourceCache.getGeometry(
+                'PlaneGeometry',
                 placement.size.width,
                 placement.size.height
             );
             
-            // Load image texture
-            const textureLoader = new THREE.TextureLoader();
-            const texture = await new Promise((resolve) => {
-                textureLoader.load(
-                    image.url,
-                    (texture) => resolve(texture),
-                    undefined,
-                    () => {
-                        // If loading fails, use a placeholder
-                        textureLoader.load('images/placeholders/artwork_placeholder.jpg', resolve);
-                    }
-                );
-            });
-            
             const artworkMaterial = new THREE.MeshStandardMaterial({
                 map: texture,
                 roughness: 0.5,
@@ -350,109 +571,507 @@ export class MuseumLayout {
             });
             
             const artwork = new THREE.Mesh(artworkGeometry, artworkMaterial);
+            artwork.name = 'picture';
             artwork.position.z = 0.06; // Slightly in front of the frame
             
+            // For level of detail: the streamed texture and whether its preview shows the work
+            // (rather than a generic placeholder)
+            artwork.userData.textureHandle = handle;
+            artwork.userData.hasPreview = Boolean(image.previewUrl);
+            
             // Add artwork to frame
             frame.add(artwork);
             
+            // Stand-in for low detail, once the image is in (unless the room unloaded meanwhile)
+            handle.loaded.then(() => {
+                if (!handle.cancelled && frame.parent) {
+                    this.addColorPlane(frame, artwork);
+                }
+            });
+            
             // Add metadata to artwork for info panel
             frame.userData = {
                 artwork: true,
+                id: image.id,
                 title: image.title || 'Untitled',
                 artist: image.artist || 'Unknown Artist',
                 description: image.description || 'No description available',
+                year: image.year,
                 source: image.source || 'Unknown Source',
-                url: image.url
+                sourceUrl: image.sourceUrl || null,
+                license: image.license || null,
+                licenseUrl: image.licenseUrl || null,
+                attribution: image.attribution || null,
+                url: image.url,
+                
+                // Sharper versions for inspecting the work up close (see loadTileSource)
+                fullUrl: image.fullUrl || null,
+                fullWidth: image.fullWidth || null,
+                fullHeight: image.fullHeight || null,
+                tileSource: image.tileSource || null,
+                
+                // The artwork plane, switched between levels of detail (see applyArtworkLOD)
+                picture: artwork
             };
             
-            // Position and rotate the framed artwork
-            frame.position.copy(placement.position);
-            frame.rotation.copy(placement.rotation);
+            // Position and rotate the framed artwork (placements are relative to the room)
+            const worldPosition = room.localToWorld(placement.position.clone());
+            const worldRotation = new THREE.Euler(
+                placement.rotation.x,
+                placement.rotation.y + room.rotation.y,
+                placement.rotation.z
+            );
             
             // Add the framed artwork to the scene
-            this.sceneManager.addArtwork(frame, placement.position, placement.rotation);
+            this.sceneManager.addArtwork(frame, worldPosition, worldRotation);
+            room.userData.artworkFrames.push(frame);
+            handle.position = worldPosition.clone(); // Load priority from where it hangs
+            
+            // Picture light aimed at the artwork
+            if (this.lighting) {
+                const normal = new THREE.Vector3(Math.sin(worldRotation.y), 0, Math.cos(worldRotation.y));
+                const lightRef = this.lighting.addArtworkLight(worldPosition, normal, placement.size, room.userData.style);
+                room.userData.lights.push(lightRef);
+                room.userData.artworkLights.push(lightRef);
+            }
+            room.userData.artworkPlacements.push(placement);
+            room.userData.artworkAssignments.push({ placement: order, artworkId: image.id });
+        });
+    }
+    
+    // Aspect ratio (width / height) of an artwork: from its metadata, otherwise from the
+    // low-res preview (the same picture) or the full image; null if no image loads
+    async getArtworkAspect(image, handle) {
+        if (image.width && image.height) {
+            return image.width / image.height;
+        }
+        
+        // A generic placeholder shown as preview does not have the artwork's shape
+        const shown = (image.previewUrl && await handle.preview) || await handle.loaded;
+        const loaded = handle.texture.image;
+        
+        return shown && loaded && loaded.width && loaded.height ? loaded.width / loaded.height : null;
+    }
+    
+    // Take down the artworks hanging in a room: their frames, textures and picture lights
+    removeArtworks(room) {
+        for (const frame of room.userData.artworkFrames || []) {
+            const picture = frame.getObjectByName('picture');
+            if (picture && picture.userData.textureHandle) {
+                this.releaseArtworkTexture(picture.userData.textureHandle);
+            }
+            disposeObject(frame);
+        }
+        room.userData.artworkFrames = [];
+        
+        const artworkLights = room.userData.artworkLights || [];
+        if (this.lighting && artworkLights.length > 0) {
+            this.lighting.disposeLights(artworkLights);
+            room.userData.lights = room.userData.lights.filter(lightRef => !artworkLights.includes(lightRef));
         }
+        room.userData.artworkLights = [];
+    }
+    
+    // Stop streaming an artwork texture that will not be shown and free it
+    releaseArtworkTexture(handle) {
+        handle.cancel();
+        handle.texture.dispose();
     }
     
     update(playerPosition) {
-        // Unload distant rooms to save memory
-        const numRemoved = this.sceneManager.clearDistantObjects(playerPosition, this.maxRenderDistance);
+        this.updateCurrentRoom(playerPosition);
         
-        if (numRemoved > 0) {
-            console.log(`Unloaded ${numRemoved} distant objects`);
+        // Unload distant rooms to save memory
+        if (!Config.debug.disableUnloading) {
+            const removed = this.sceneManager.clearDistantObjects(playerPosition, this.maxRenderDistance);
+            removed.forEach(object => this.releaseSpace(object));
+            
+            if (removed.length > 0) {
+                console.log(`Unloaded ${removed.length} distant objects`);
+            }
         }
         
+        // Bring back unloaded rooms and hallways the player has returned to
+        this.reloadNearbySpaces(playerPosition);
+        
+        // Generate the rooms around the player that do not exist yet
+        this.generateNearbyRooms(playerPosition);
+        
         // Update level of detail for objects based on distance
         this.updateLOD(playerPosition);
     }
     
     updateLOD(playerPosition) {
-        // For all rooms, adjust level of detail based on distance
-        for (const room of this.rooms) {
-            const distance = playerPosition.distanceTo(room.position);
-            
-            // Skip if room is too far
-            if (distance > this.maxRenderDistance) {
+        // Rooms within render distance and their artworks each get the level of detail for
+        // their distance; objects are only touched when their level changes
+        for (const room of this.spatialIndex.queryRadius(playerPosition, this.maxRenderDistance, 'room')) {
+            // Skip unloaded rooms
+            if (!this.sceneManager.isLoaded(room)) {
                 continue;
             }
             
-            // Normalize distance to 0-1 range
-            const normalizedDistance = Math.min(distance / this.maxRenderDistance, 1);
+            const distance = playerPosition.distanceTo(room.position);
+            const level = this.getDetailLevel(distance);
+            if (room.userData.detailLevel !== level) {
+                this.applyLOD(room, level);
+            }
             
-            // Apply LOD to room
-            this.applyLOD(room, normalizedDistance);
+            for (const frame of room.userData.artworkFrames || []) {
+                const picture = frame.userData.picture;
+                const frameLevel = this.getDetailLevel(playerPosition.distanceTo(frame.position));
+                
+                if (picture && picture.userData.detailLevel !== frameLevel) {
+                    this.applyArtworkLOD(frame, picture, frameLevel);
+                }
+            }
         }
     }
     
-    applyLOD(object, distanceFactor) {
-        // For simple LOD, we just toggle visibility of some detailed elements
-        object.traverse(child => {
-            // If this is a mesh with "detail" in userData
-            if (child.isMesh && child.userData && child.userData.detail) {
-                const detailLevel = child.userData.detail;
-                
-                // High detail elements
-                if (detailLevel === 'high') {
-                    child.visible = distanceFactor < 0.7;
-                }
-                // Medium detail elements
-                else if (detailLevel === 'medium') {
-                    child.visible = distanceFactor < 0.9;
+    /**
+     * Show only the loaded rooms and hallways (with their artworks and lights) that can be
+     * seen through the doorways from the camera's position; call before rendering
+     * @param {THREE.Camera} camera Camera the scene is rendered with
+     */
+    updateVisibility(camera) {
+        camera.updateWorldMatrix(true, false);
+        
+        // Without culling, or outside every space, everything loaded is shown
+        const visible = this.portalCullingEnabled ? this.portalCulling.computeVisible(camera) : null;
+        
+        const loaded = [
+            ...this.sceneManager.rooms.children,
+            ...this.sceneManager.hallways.children
+        ];
+        
+        // Applied every frame, so artworks and lights added since (e.g. by a reload) follow their space
+        for (const object of loaded) {
+            this.setSpaceVisible(object, !visible || visible.has(object.userData.id));
+        }
+    }
+    
+    setSpaceVisible(object, visible) {
+        object.visible = visible;
+        (object.userData.artworkFrames || []).forEach(frame => {
+            frame.visible = visible;
+        });
+        
+        if (this.lighting && object.userData.lights) {
+            this.lighting.setLightsCulled(object.userData.lights, !visible);
+        }
+    }
+    
+    // Forget the level of detail of every room and artwork, so the next update applies it afresh
+    resetLOD() {
+        for (const room of this.rooms) {
+            room.userData.detailLevel = null;
+            
+            for (const frame of room.userData.artworkFrames || []) {
+                const picture = frame.getObjectByName('picture');
+                if (picture) {
+                    picture.userData.detailLevel = null;
                 }
-                // Low detail is always visible
+            }
+        }
+    }
+    
+    // 'high', 'medium' or 'low' by distance (thresholds from the quality preset)
+    getDetailLevel(distance) {
+        if (distance < this.lodDistances.medium) return 'high';
+        if (distance < this.lodDistances.low) return 'medium';
+        return 'low';
+    }
+    
+    // Generators give detailed elements a variant per level, tagged with
+    // userData.detail; only the variant for the room's level is shown. Untagged
+    // meshes show at every level.
+    applyLOD(object, level) {
+        object.traverse(child => {
+            if (child.isMesh && child.userData.detail) {
+                child.visible = child.userData.detail === level;
             }
         });
+        
+        object.userData.detailLevel = level;
+    }
+    
+    // Artworks show their full image up close, the low-res preview further away and a
+    // plain plane in the picture's average colour from a distance
+    applyArtworkLOD(frame, picture, level) {
+        const handle = picture.userData.textureHandle;
+        
+        // A placeholder preview would replace the work, so works without their own keep the full image
+        const useFull = (level === 'high' && this.fullResolutionArtworks) || !picture.userData.hasPreview;
+        this.textureStreamer.setResolution(handle, useFull ? 'full' : 'preview');
+        
+        picture.userData.detailLevel = level;
+        this.showColorPlane(frame, picture);
     }
     
-    addToGrid(position, object) {
-        // Round position to nearest grid cell
-        const gridKey = `${Math.round(position.x)},${Math.round(position.y)},${Math.round(position.z)}`;
-        this.grid[gridKey] = object;
-    }
-    
-    getRegionForPosition(position) {
-        // Find which region this position falls into
-        let closestRegion = this.regions[0];
-        let closestDistance = position.distanceTo(new THREE.Vector3(
-            this.regions[0].center.x,
-            this.regions[0].center.y,
-            this.regions[0].center.z
-        ));
-        
-        for (let i = 1; i < this.regions.length; i++) {
-            const region = this.regions[i];
-            const distance = position.distanceTo(new THREE.Vector3(
-                region.center.x,
-                region.center.y,
-                region.center.z
-            ));
+    // Swap between the picture and its flat stand-in (the picture stays until the stand-in exists)
+    showColorPlane(frame, picture) {
+        const colorPlane = frame.getObjectByName('pictureColor');
+        const low = picture.userData.detailLevel === 'low';
+        
+        picture.visible = !low || !colorPlane;
+        if (colorPlane) {
+            colorPlane.visible = low;
+        }
+    }
+    
+    // Add the flat stand-in for a distant artwork, in the average colour of its image,
+    // once an image of the work has loaded
+    addColorPlane(frame, picture) {
+        const handle = picture.userData.textureHandle;
+        const loaded = handle.fullImage || (picture.userData.hasPreview && handle.previewImage);
+        const color = loaded && getAverageColor(loaded.image);
+        if (!color) return;
+        
+        const { width, height } = picture.geometry.parameters;
+        const colorPlane = new THREE.Mesh(
+            resourceCache.getGeometry('PlaneGeometry', width, height),
+            resourceCache.acquire(`material:artwork-color:${color.getHexString()}`, () => new THREE.MeshStandardMaterial({
+                color,
+                roughness: 0.5,
+                metalness: 0.0
+            }))
+        );
+        colorPlane.name = 'pictureColor';
+        colorPlane.position.copy(picture.position);
+        frame.add(colorPlane);
+        
+        this.showColorPlane(frame, picture);
+    }
+    
+    // Add a generated room to the scene (which also indexes it) and the layout bookkeeping
+    registerRoom(room, position) {
+        this.sceneManager.addRoom(room, position);
+        this.addRoomLights(room);
+        this.rooms.push(room);
+        this.graph.addNode(room, 'room');
+        this.logGeneratedRoom(room);
+    }
+    
+    // Add a generated hallway to the scene (which also indexes it) and the layout bookkeeping
+    registerHallway(hallway, position) {
+        this.sceneManager.addHallway(hallway, position);
+        this.addHallwayLights(hallway);
+        this.hallways.push(hallway);
+        this.graph.addNode(hallway, 'hallway');
+    }
+    
+    // Everything needed to build a room again: saves store it, and unloaded rooms are
+    // rebuilt from it (their emptied group keeps the userData it is read from)
+    describeRoom(room) {
+        return {
+            id: room.userData.id,
+            template: room.userData.template,
+            style: room.userData.style,
+            size: { ...room.userData.size },
+            position: room.position.toArray(),
+            rotationY: room.rotation.y,
+            doorways: [...(room.userData.doorways || [])],
+            themes: [...(room.userData.themes || ['general'])],
+            artworks: (room.userData.artworkAssignments || []).map(assignment => ({ ...assignment }))
+        };
+    }
+    
+    // Everything needed to build a hallway again (see describeRoom)
+    describeHallway(hallway) {
+        return {
+            id: hallway.userData.id,
+            template: hallway.userData.template,
+            style: hallway.userData.style,
+            size: { ...hallway.userData.size },
+            startStyle: hallway.userData.startStyle || null,
+            endStyle: hallway.userData.endStyle || null,
+            position: hallway.position.toArray(),
+            rotationY: hallway.rotation.y
+        };
+    }
+    
+    // Generate the meshes of a described room (not added to the scene)
+    createRoomFromDescriptor(descriptor) {
+        const room = this.roomGenerator.generateRoom(
+            descriptor.template,
+            descriptor.style,
+            descriptor.size,
+            descriptor.doorways || [],
+            descriptor.id
+        );
+        room.rotation.y = descriptor.rotationY || 0;
+        room.userData.themes = descriptor.themes || ['general'];
+        room.userData.artworkAssignments = descriptor.artworks || [];
+        return room;
+    }
+    
+    // Generate the meshes of a described hallway (not added to the scene)
+    createHallwayFromDescriptor(descriptor) {
+        const hallway = this.hallwayGenerator.generateHallway(
+            descriptor.template,
+            descriptor.style,
+            descriptor.size,
+            descriptor.startStyle,
+            descriptor.endStyle,
+            descriptor.id
+        );
+        hallway.rotation.y = descriptor.rotationY || 0;
+        return hallway;
+    }
+    
+    // Rebuild a room from a saved descriptor (see MuseumStorage)
+    async buildRoomFromDescriptor(descriptor) {
+        const room = this.createRoomFromDescriptor(descriptor);
+        this.restoreId(room, descriptor.id, this.roomGenerator, 'roomCounter');
+        this.registerRoom(room, new THREE.Vector3().fromArray(descriptor.position));
+        
+        await this.placeArtworksInRoom(room, room.userData.themes, room.userData.artworkAssignments);
+        return room;
+    }
+    
+    // Rebuild a hallway from a saved descriptor (see MuseumStorage)
+    buildHallwayFromDescriptor(descriptor) {
+        const hallway = this.createHallwayFromDescriptor(descriptor);
+        this.restoreId(hallway, descriptor.id, this.hallwayGenerator, 'hallwayCounter');
+        this.registerHallway(hallway, new THREE.Vector3().fromArray(descriptor.position));
+        return hallway;
+    }
+    
+    // Rebuild unloaded rooms and hallways near the player. They reload closer in than
+    // they unload, so a player standing at the edge does not make them flicker.
+    reloadNearbySpaces(playerPosition) {
+        const reloadDistance = Math.min(this.generationDistance, this.maxRenderDistance * 0.8);
+        
+        for (const object of this.spatialIndex.queryRadius(playerPosition, reloadDistance)) {
+            if (this.sceneManager.isLoaded(object)) continue;
             
-            if (distance < closestDistance) {
-                closestDistance = distance;
-                closestRegion = region;
+            if (this.spatialIndex.getKind(object) === 'room') {
+                this.reloadRoom(object).catch(error => {
+                    console.error(`Error hanging artworks in ${object.userData.name}:`, error);
+                });
+            } else {
+                this.reloadHallway(object);
             }
         }
+    }
+    
+    // Regenerate an unloaded room in place: the same group (still referenced by the layout,
+    // index and graph) gets freshly generated meshes and the same artworks as before
+    async reloadRoom(room) {
+        const fresh = this.createRoomFromDescriptor(this.describeRoom(room));
+        this.refill(room, fresh);
+        this.sceneManager.addRoom(room, room.position);
+        this.addRoomLights(room);
         
-        return closestRegion;
+        await this.placeArtworksInRoom(room, room.userData.themes, room.userData.artworkAssignments);
     }
+    
+    // Regenerate an unloaded hallway in place (see reloadRoom)
+    reloadHallway(hallway) {
+        const fresh = this.createHallwayFromDescriptor(this.describeHallway(hallway));
+        this.refill(hallway, fresh);
+        this.sceneManager.addHallway(hallway, hallway.position);
+        this.addHallwayLights(hallway);
+    }
+    
+    // Move the meshes and userData of a freshly generated space into an emptied one
+    refill(target, source) {
+        target.userData = source.userData;
+        while (source.children.length > 0) {
+            target.add(source.children[0]);
+        }
+    }
+    
+    // Ceiling lights in the room's lighting preset, about one per 10 x 10 units of floor
+    // (picture lights are added with the artworks). They live in the scene, not the
+    // room, and are kept in userData.lights to be disposed with it.
+    addRoomLights(room) {
+        room.userData.lights = [];
+        if (!this.lighting) return;
+        
+        const { width, height, depth } = room.userData.size;
+        const columns = Math.max(1, Math.round(width / 10));
+        const rows = Math.max(1, Math.round(depth / 10));
+        
+        room.updateMatrixWorld(true);
+        
+        for (let i = 0; i < columns; i++) {
+            for (let j = 0; j < rows; j++) {
+                const position = room.localToWorld(new THREE.Vector3(
+                    ((i + 0.5) / columns - 0.5) * width,
+                    height - 0.5,
+                    ((j + 0.5) / rows - 0.5) * depth
+                ));
+                room.userData.lights.push(this.lighting.addRoomLight(position, 'point', room.userData.style));
+            }
+        }
+    }
+    
+    // Hallway lights: a row of lights blending the two styles in transition hallways,
+    // a single light otherwise
+    addHallwayLights(hallway) {
+        hallway.userData.lights = [];
+        if (!this.lighting) return;
+        
+        const { height, length } = hallway.userData.size;
+        const elevation = hallway.userData.elevationChange || 0;
+        
+        hallway.updateMatrixWorld(true);
+        
+        if (hallway.userData.template === 'transition') {
+            const start = hallway.localToWorld(new THREE.Vector3(0, height - 0.5, -length / 2));
+            const end = hallway.localToWorld(new THREE.Vector3(0, height - 0.5, length / 2));
+            hallway.userData.lights = this.lighting.createTransitionLighting(start, end, hallway.userData.endStyle);
+        } else {
+            const center = hallway.localToWorld(new THREE.Vector3(0, height + elevation - 0.5, 0));
+            hallway.userData.lights.push(this.lighting.addRoomLight(center, 'point', hallway.userData.style, 0.6));
+        }
+    }
+    
+    // Dispose the lights of a room or hallway
+    removeLights(object) {
+        if (this.lighting && object.userData.lights) {
+            this.lighting.disposeLights(object.userData.lights);
+        }
+        object.userData.lights = [];
+        object.userData.artworkLights = [];
+    }
+    
+    // Free what belongs to a room or hallway outside its own meshes: its lights and
+    // the artwork textures still streaming in
+    releaseSpace(object) {
+        this.removeLights(object);
+        this.textureStreamer.cancelOwner(object);
+    }
+    
+    // Remove every room, hallway and artwork (before restoring a saved museum)
+    clearLayout() {
+        [...this.rooms, ...this.hallways].forEach(object => this.releaseSpace(object));
+        this.sceneManager.clearMuseum();
+        this.rooms = [];
+        this.hallways = [];
+        this.graph.clear();
+        this.visitedRooms.clear();
+        this.planner.reset();
+        this.discardPlannedRooms();
+    }
+    
+    // Keep a saved room or hallway ID (connections refer to it) and make sure
+    // IDs generated afterwards do not collide with it
+    restoreId(object, id, generator, counterName) {
+        if (!id) return;
+        
+        object.userData.id = id;
+        const number = parseInt(id.slice(id.lastIndexOf('_') + 1), 10);
+        if (!isNaN(number)) {
+            generator[counterName] = Math.max(generator[counterName], number + 1);
+        }
+    }
+    
+    logGeneratedRoom(room) {
+        if (Config.debug.logGeneratedRooms) {
+            const { x, y, z } = room.position;
+            console.log(`Generated ${room.userData.name} (${room.userData.id}) at ${x}, ${y}, ${z}`);
+        }
+    }
+
 }
\ No newline at end of file
@@ -1,17 +1,35 @@
 import { ArchitecturalStyles } from './ArchitecturalStyles.js';
+import { SeededRandom } from '../utils/Random.js';
+import { Config, onConfigChange } from '../data/Config.js';
+import { resourceCache } from '../utils/ResourceCache.js';
 
 export class RoomGenerator {
-    constructor() {
+    constructor(random = new SeededRandom()) {
         this.architecturalStyles = new ArchitecturalStyles();
         this.roomCounter = 0;
         
-        // Room size parameters
-        this.defaultRoomSize = {
-            width: 10,
-            height: 5,
-            depth: 10
+        // Seeded random source - any variation in generated rooms must come from here
+        this.random = random;
+        
+        // Materials and geometries are shared between rooms of the same style and size
+        this.resources = resourceCache;
+        
+        // Room size parameters (Config.museum.defaultRoomSize)
+        this.defaultRoomSize = { ...Config.museum.defaultRoomSize };
+        onConfigChange(() => {
+            this.defaultRoomSize = { ...Config.museum.defaultRoomSize };
+        });
+        
+        // Default sizes of the templates that do not use defaultRoomSize
+        this.templateSizes = {
+            large: { width: 20, height: 8, depth: 20 },
+            hall: { width: 8, height: 5, depth: 20 },
+            corner: { width: 12, height: 5, depth: 12 }
         };
         
+        // Size of the doorway cut where a hallway connects (matches the hallways MuseumLayout builds)
+        this.doorwaySize = { width: 4, height: 4 };
+        
         // Room templates
         this.roomTemplates = {
             basic: this.createBasicRoom.bind(this),
@@ -21,7 +39,9 @@ export class RoomGenerator {
         };
     }
     
-    generateRoom(template = 'basic', style = 'classical', size = null) {
+    // `doorways` lists the walls ('front', 'back', 'left', 'right') that get a doorway;
+    // `id` rebuilds a known room (a new ID is assigned otherwise)
+    generateRoom(template = 'basic', style = 'classical', size = null, doorways = [], id = null) {
         // Use template function or default to basic
         const templateFunction = this.roomTemplates[template] || this.roomTemplates.basic;
         
@@ -29,15 +49,16 @@ export class RoomGenerator {
         const styleConfig = this.architecturalStyles.getStyle(style);
         
         // Generate the room using the template
-        const room = templateFunction(styleConfig, size);
+        const room = templateFunction(styleConfig, size, doorways);
         
         // Store room metadata WITHOUT overwriting existing userData
         room.userData = {
             ...room.userData,  // Preserve existing userData properties
-            id: `room_${this.roomCounter++}`,
+            id: id || `room_${this.roomCounter++}`,
             name: `${style.charAt(0).toUpperCase() + style.slice(1)} ${template.charAt(0).toUpperCase() + template.slice(1)}`,
             template,
             style,
+            doorways: [...doorways],
             created: Date.now()
         };
         
@@ -47,145 +68,21 @@ export class RoomGenerator {
         return room;
     }
     
-    createBasicRoom(styleConfig, customSize = null) {
+    // Size a template generates when no size is given (lets the layout plan around rooms
+    // before generating them)
+    getTemplateSize(template) {
+        return { ...(this.templateSizes[template] || this.defaultRoomSize) };
+    }
+    
+    createBasicRoom(styleConfig, customSize = null, doorways = []) {
         const size = customSize || this.defaultRoomSize;
         const room = new THREE.Group();
         
-        // Floor
-        const floorGeometry = new THREE.PlaneGeometry(size.width, size.depth);
-        const floorMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.floorColor,
-            roughness: styleConfig.floorRoughness,
-            metalness: styleConfig.floorMetalness
-        });
-        
-        if (styleConfig.floorTexture) {
-            const textureLoader = new THREE.TextureLoader();
-            const texture = textureLoader.load(styleConfig.floorTexture);
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            texture.repeat.set(size.width / 2, size.depth / 2);
-            floorMaterial.map = texture;
-        }
-        
-        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-        floor.rotation.x = -Math.PI / 2;
-        floor.position.y = 0;
-        floor.receiveShadow = true;
-        room.add(floor);
-        
-        // Ceiling
-        const ceilingGeometry = new THREE.PlaneGeometry(size.width, size.depth);
-        const ceilingMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.ceilingColor,
-            roughness: styleConfig.ceilingRoughness,
-            metalness: styleConfig.ceilingMetalness
-        });
-        
-        if (styleConfig.ceilingTexture) {
-            const textureLoader = new THREE.TextureLoader();
-            const texture = textureLoader.load(styleConfig.ceilingTexture);
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            texture.repeat.set(size.width / 2, size.depth / 2);
-            ceilingMaterial.map = texture;
-        }
-        
-        const ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
-        ceiling.rotation.x = Math.PI / 2;
-        ceiling.position.y = size.height;
-        ceiling.receiveShadow = true;
-        room.add(ceiling);
-        
-        // Walls
-        const wallMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.wallColor,
-            roughness: styleConfig.wallRoughness,
-            metalness: styleConfig.wallMetalness
-        });
-        
-        if (styleConfig.wallTexture) {
-            const textureLoader = new THREE.TextureLoader();
-            const texture = textureLoader.load(styleConfig.wallTexture);
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            wallMaterial.map = texture;
-        }
-        
-        // Front wall (with door)
-        const frontWallGroup = new THREE.Group();
-        const doorWidth = 2;
-        const doorHeight = 3;
+        // Floor and ceiling
+        this.addFloorAndCeiling(room, styleConfig, size);
         
-        // Left part of front wall
-        const frontWallLeftGeometry = new THREE.PlaneGeometry(
-            (size.width - doorWidth) / 2,
-            size.height
-        );
-        const frontWallLeft = new THREE.Mesh(frontWallLeftGeometry, wallMaterial);
-        frontWallLeft.position.set(-(size.width - doorWidth) / 4 - doorWidth / 2, size.height / 2, size.depth / 2);
-        frontWallLeft.castShadow = true;
-        frontWallLeft.receiveShadow = true;
-        frontWallGroup.add(frontWallLeft);
-        
-        // Right part of front wall
-        const frontWallRightGeometry = new THREE.PlaneGeometry(
-            (size.width - doorWidth) / 2,
-            size.height
-        );
-        const frontWallRight = new THREE.Mesh(frontWallRightGeometry, wallMaterial);
-        frontWallRight.position.set((size.width - doorWidth) / 4 + doorWidth / 2, size.height / 2, size.depth / 2);
-        frontWallRight.castShadow = true;
-        frontWallRight.receiveShadow = true;
-        frontWallGroup.add(frontWallRight);
-        
-        // Top part of front wall (above door)
-        const frontWallTopGeometry = new THREE.PlaneGeometry(
-            doorWidth,
-            size.height - doorHeight
-        );
-        const frontWallTop = new THREE.Mesh(frontWallTopGeometry, wallMaterial);
-        frontWallTop.position.set(0, size.height - (size.height - doorHeight) / 2, size.depth / 2);
-        frontWallTop.castShadow = true;
-        frontWallTop.receiveShadow = true;
-        frontWallGroup.add(frontWallTop);
-        
-        room.add(frontWallGroup);
-        
-        // Back wall
-        const backWallGeometry = new THREE.PlaneGeometry(size.width, size.height);
-        const backWall = new THREE.Mesh(backWallGeometry, wallMaterial);
-        backWall.position.set(0, size.height / 2, -size.depth / 2);
-        backWall.rotation.y = Math.PI;
-        backWall.castShadow = true;
-        backWall.receiveShadow = true;
-        room.add(backWall);
-        
-        // Left wall
-        const leftWallGeometry = new THREE.PlaneGeometry(size.depth, size.height);
-        const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
-        leftWall.position.set(-size.width / 2, size.height / 2, 0);
-        leftWall.rotation.y = Math.PI / 2;
-        leftWall.castShadow = true;
-        leftWall.receiveShadow = true;
-        room.add(leftWall);
-        
-        // Right wall
-        const rightWallGeometry = new THREE.PlaneGeometry(size.depth, size.height);
-        const rightWall = new THREE.Mesh(rightWallGeometry, wallMaterial);
-        rightWall.position.set(size.width / 2, size.height / 2, 0);
-        rightWall.rotation.y = -Math.PI / 2;
-        rightWall.castShadow = true;
-        rightWall.receiveShadow = true;
-        room.add(rightWall);
-        
-        // Store wall references for artwork placement
-        room.userData.walls = {
-            front: frontWallGroup,
-            back: backWall,
-            left: leftWall,
-            right: rightWall
-        };
+        // Walls, with a doorway wherever a hallway connects
+        room.userData.walls = this.createRoomWalls(room, size, styleConfig, doorways);
         
         // Store room dimensions
         room.userData.size = { ...size };
@@ -193,31 +90,17 @@ export class RoomGenerator {
         return room;
     }
     
-    createLargeRoom(styleConfig, customSize = null) {
+    createLargeRoom(styleConfig, customSize = null, doorways = []) {
         // Create a larger room with columns or special features
-        const defaultLargeSize = {
-            width: 20,
-            height: 8,
-            depth: 20
-        };
-        
-        const size = customSize || defaultLargeSize;
+        const size = customSize || this.templateSizes.large;
         
         // Start with a basic room
-        const room = this.createBasicRoom(styleConfig, size);
+        const room = this.createBasicRoom(styleConfig, size, doorways);
         
         // Add columns
         const columnRadius = 0.5;
         const columnHeight = size.height;
-        const columnGeometry = new THREE.CylinderGeometry(
-            columnRadius, columnRadius, columnHeight, 16
-        );
-        
-        const columnMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.accentColor,
-            roughness: styleConfig.accentRoughness,
-            metalness: styleConfig.accentMetalness
-        });
+        const plinthHeight = 0.3;
         
         // Position columns in the room
         const columnPositions = [
@@ -228,28 +111,48 @@ export class RoomGenerator {
         ];
         
         columnPositions.forEach(pos => {
-            const column = new THREE.Mesh(columnGeometry, columnMaterial);
-            column.position.set(pos.x, columnHeight / 2, pos.z);
-            column.castShadow = true;
-            column.receiveShadow = true;
-            room.add(column);
+            // A round column with plinth and capital up close, fewer sides further away
+            // and a plain box from a distance; only the detailed one collides
+            const variants = [
+                { detail: 'high', geometry: this.resources.getGeometry('CylinderGeometry', columnRadius, columnRadius, columnHeight, 16) },
+                { detail: 'medium', geometry: this.resources.getGeometry('CylinderGeometry', columnRadius, columnRadius, columnHeight, 8) },
+                { detail: 'low', geometry: this.resources.getGeometry('BoxGeometry', columnRadius * 2, columnHeight, columnRadius * 2) }
+            ];
+            
+            variants.forEach(({ detail, geometry }) => {
+                const column = new THREE.Mesh(geometry, this.resources.getSurfaceMaterial(styleConfig, 'accent'));
+                column.position.set(pos.x, columnHeight / 2, pos.z);
+                column.castShadow = true;
+                column.receiveShadow = true;
+                if (detail === 'high') {
+                    column.userData.collider = 'column';
+                }
+                this.setDetail(column, detail);
+                room.add(column);
+            });
+            
+            for (const y of [plinthHeight / 2, columnHeight - plinthHeight / 2]) {
+                const block = new THREE.Mesh(
+                    this.resources.getGeometry('BoxGeometry', columnRadius * 2.4, plinthHeight, columnRadius * 2.4),
+                    this.resources.getSurfaceMaterial(styleConfig, 'accent')
+                );
+                block.position.set(pos.x, y, pos.z);
+                block.castShadow = true;
+                block.receiveShadow = true;
+                this.setDetail(block, 'high');
+                room.add(block);
+            }
         });
         
         return room;
     }
     
-    createHallRoom(styleConfig, customSize = null) {
+    createHallRoom(styleConfig, customSize = null, doorways = []) {
         // Create a hallway-like room with display alcoves
-        const defaultHallSize = {
-            width: 8,
-            height: 5,
-            depth: 20
-        };
-        
-        const size = customSize || defaultHallSize;
+        const size = customSize || this.templateSizes.hall;
         
         // Start with a basic room
-        const room = this.createBasicRoom(styleConfig, size);
+        const room = this.createBasicRoom(styleConfig, size, doorways);
         
         // Add display alcoves along the walls
         const alcoveWidth = 3;
@@ -257,22 +160,22 @@ export class RoomGenerator {
         const alcoveHeight = 3;
         const alcoveSpacing = 5;
         
-        const alcoveMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.accentColor,
-            roughness: styleConfig.accentRoughness,
-            metalness: styleConfig.accentMetalness
-        });
+        // Alcoves are left out where they would overlap a doorway (doorways are centred on their wall)
+        const blocksDoorway = (side, alcovePosition) => doorways.includes(side) &&
+            Math.abs(alcovePosition) < (alcoveWidth + this.doorwaySize.width) / 2;
         
         // Left wall alcoves
-        const leftWall = room.userData.walls.left;
         const numAlcovesPerWall = Math.floor(size.depth / alcoveSpacing) - 1;
         
         for (let i = 0; i < numAlcovesPerWall; i++) {
             const alcovePosition = -size.depth / 2 + (i + 1) * alcoveSpacing;
+            if (blocksDoorway('left', alcovePosition)) continue;
             
             // Alcove back
-            const alcoveBackGeometry = new THREE.PlaneGeometry(alcoveWidth, alcoveHeight);
-            const alcoveBack = new THREE.Mesh(alcoveBackGeometry, alcoveMaterial);
+            const alcoveBack = new THREE.Mesh(
+                this.resources.getGeometry('PlaneGeometry', alcoveWidth, alcoveHeight),
+                this.resources.getSurfaceMaterial(styleConfig, 'accent')
+            );
             alcoveBack.position.set(
                 -size.width / 2 - alcoveDepth,
                 alcoveHeight / 2 + 1, // Raised slightly above the floor
@@ -281,8 +184,11 @@ export class RoomGenerator {
             alcoveBack.rotation.y = -Math.PI / 2;
             alcoveBack.castShadow = true;
             alcoveBack.receiveShadow = true;
+            alcoveBack.userData.collider = 'wall';
             room.add(alcoveBack);
             
+            this.addAlcoveTrim(room, styleConfig, -size.width / 2, alcovePosition, Math.PI / 2, alcoveWidth, alcoveHeight);
+            
             // Store alcove for artwork placement
             if (!room.userData.alcoves) {
                 room.userData.alcoves = [];
@@ -299,14 +205,15 @@ export class RoomGenerator {
         }
         
         // Right wall alcoves
-        const rightWall = room.userData.walls.right;
-        
         for (let i = 0; i < numAlcovesPerWall; i++) {
             const alcovePosition = -size.depth / 2 + (i + 1) * alcoveSpacing;
+            if (blocksDoorway('right', alcovePosition)) continue;
             
             // Alcove back
-            const alcoveBackGeometry = new THREE.PlaneGeometry(alcoveWidth, alcoveHeight);
-            const alcoveBack = new THREE.Mesh(alcoveBackGeometry, alcoveMaterial);
+            const alcoveBack = new THREE.Mesh(
+                this.resources.getGeometry('PlaneGeometry', alcoveWidth, alcoveHeight),
+                this.resources.getSurfaceMaterial(styleConfig, 'accent')
+            );
             alcoveBack.position.set(
                 size.width / 2 + alcoveDepth,
                 alcoveHeight / 2 + 1, // Raised slightly above the floor
@@ -315,8 +222,11 @@ export class RoomGenerator {
             alcoveBack.rotation.y = Math.PI / 2;
             alcoveBack.castShadow = true;
             alcoveBack.receiveShadow = true;
+            alcoveBack.userData.collider = 'wall';
             room.add(alcoveBack);
             
+            this.addAlcoveTrim(room, styleConfig, size.width / 2, alcovePosition, -Math.PI / 2, alcoveWidth, alcoveHeight);
+            
             // Store alcove for artwork placement
             if (!room.userData.alcoves) {
                 room.userData.alcoves = [];
@@ -335,217 +245,255 @@ export class RoomGenerator {
         return room;
     }
     
-    createCornerRoom(styleConfig, customSize = null) {
-        // Create a corner-style room with an angled entrance
-        const defaultCornerSize = {
-            width: 12,
-            height: 5,
-            depth: 12
-        };
+    // Moulding around an alcove where it meets the wall (at x, z on a wall facing along
+    // rotationY): half-round pilasters and a lintel up close, plain boxes further away
+    // and nothing from a distance
+    addAlcoveTrim(room, styleConfig, x, z, rotationY, width, height) {
+        const thickness = 0.2;
+        const bottom = 1; // Alcoves are raised above the floor
+        
+        const trim = new THREE.Group();
+        trim.position.set(x, bottom, z);
+        trim.rotation.y = rotationY;
+        
+        // Sides and lintel, along the wall (local x) and up (local y)
+        const pieces = [
+            { x: -(width + thickness) / 2, y: height / 2, length: height, vertical: true },
+            { x: (width + thickness) / 2, y: height / 2, length: height, vertical: true },
+            { x: 0, y: height + thickness / 2, length: width + thickness * 2, vertical: false }
+        ];
         
-        const size = customSize || defaultCornerSize;
+        for (const piece of pieces) {
+            const variants = [
+                { detail: 'high', geometry: this.resources.getGeometry('CylinderGeometry', thickness / 2, thickness / 2, piece.length, 12) },
+                { detail: 'medium', geometry: this.resources.getGeometry('BoxGeometry', thickness, piece.length, thickness) }
+            ];
+            
+            variants.forEach(({ detail, geometry }) => {
+                const mesh = new THREE.Mesh(geometry, this.resources.getSurfaceMaterial(styleConfig, 'accent'));
+                mesh.position.set(piece.x, piece.y, 0);
+                if (!piece.vertical) {
+                    mesh.rotation.z = Math.PI / 2;
+                }
+                mesh.castShadow = true;
+                this.setDetail(mesh, detail);
+                trim.add(mesh);
+            });
+        }
+        
+        room.add(trim);
+    }
+    
+    // Mark a mesh as the variant of an element shown at one level of detail ('high',
+    // 'medium' or 'low'; see MuseumLayout.applyLOD). Rooms start out in high detail.
+    setDetail(mesh, detail) {
+        mesh.userData.detail = detail;
+        mesh.visible = detail === 'high';
+    }
+    
+    createCornerRoom(styleConfig, customSize = null, doorways = []) {
+        // Create a corner-style room with an angled entrance
+        const size = customSize || this.templateSizes.corner;
         
         // Start with a basic room but without the front wall
         const room = new THREE.Group();
         
-        // Floor
-        const floorGeometry = new THREE.PlaneGeometry(size.width, size.depth);
-        const floorMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.floorColor,
-            roughness: styleConfig.floorRoughness,
-            metalness: styleConfig.floorMetalness
-        });
+        // Floor and ceiling
+        this.addFloorAndCeiling(room, styleConfig, size);
         
-        if (styleConfig.floorTexture) {
-            const textureLoader = new THREE.TextureLoader();
-            const texture = textureLoader.load(styleConfig.floorTexture);
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            texture.repeat.set(size.width / 2, size.depth / 2);
-            floorMaterial.map = texture;
-        }
+        // The front-left corner is cut off by a diagonal wall; the front and
+        // left walls stop where it begins
+        const cornerCut = Math.min(size.width, size.depth) / 4;
+        room.userData.walls = this.createRoomWalls(room, size, styleConfig, doorways, cornerCut);
+        
+        // Diagonal wall across the corner
+        const diagonalWallLength = Math.SQRT2 * cornerCut;
+        const diagonalWall = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', diagonalWallLength, size.height),
+            this.resources.getSurfaceMaterial(styleConfig, 'wall')
+        );
+        diagonalWall.position.set(-size.width / 2 + cornerCut / 2, size.height / 2, size.depth / 2 - cornerCut / 2);
+        diagonalWall.rotation.y = 3 * Math.PI / 4; // Facing into the room
+        diagonalWall.castShadow = true;
+        diagonalWall.receiveShadow = true;
+        diagonalWall.userData.collider = 'wall';
+        room.add(diagonalWall);
+        room.userData.walls.diagonal = diagonalWall;
+        
+        // Store room dimensions
+        room.userData.size = { ...size };
         
-        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        return room;
+    }
+    
+    // Floor and ceiling of a rectangular room (materials and geometries from the shared cache)
+    addFloorAndCeiling(room, styleConfig, size) {
+        // Textures repeat every 2 units
+        const repeat = { x: size.width / 2, y: size.depth / 2 };
+        
+        const floor = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, size.depth),
+            this.resources.getSurfaceMaterial(styleConfig, 'floor', repeat)
+        );
         floor.rotation.x = -Math.PI / 2;
         floor.position.y = 0;
         floor.receiveShadow = true;
+        floor.userData.collider = 'floor';
         room.add(floor);
         
-        // Ceiling
-        const ceilingGeometry = new THREE.PlaneGeometry(size.width, size.depth);
-        const ceilingMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.ceilingColor,
-            roughness: styleConfig.ceilingRoughness,
-            metalness: styleConfig.ceilingMetalness
-        });
-        
-        const ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
+        const ceiling = new THREE.Mesh(
+            this.resources.getGeometry('PlaneGeometry', size.width, size.depth),
+            this.resources.getSurfaceMaterial(styleConfig, 'ceiling', repeat)
+        );
         ceiling.rotation.x = Math.PI / 2;
         ceiling.position.y = size.height;
         ceiling.receiveShadow = true;
         room.add(ceiling);
+    }
+    
+    // Build the four walls of a rectangular room, facing inwards, with a doorway in the
+    // middle of each wall listed in `doorways`. `cornerCut` shortens the front and left
+    // walls at the front-left corner (corner rooms close the gap with a diagonal wall).
+    // Returns the wall groups by side.
+    createRoomWalls(room, size, styleConfig, doorways = [], cornerCut = 0) {
+        const sides = {
+            back: { center: [0, -size.depth / 2], length: size.width, rotation: 0 },
+            front: { center: [cornerCut / 2, size.depth / 2], length: size.width - cornerCut, rotation: Math.PI },
+            left: { center: [-size.width / 2, -cornerCut / 2], length: size.depth - cornerCut, rotation: Math.PI / 2 },
+            right: { center: [size.width / 2, 0], length: size.depth, rotation: -Math.PI / 2 }
+        };
         
-        // Walls
-        const wallMaterial = new THREE.MeshStandardMaterial({
-            color: styleConfig.wallColor,
-            roughness: styleConfig.wallRoughness,
-            metalness: styleConfig.wallMetalness
-        });
+        const walls = {};
         
-        if (styleConfig.wallTexture) {
-            const textureLoader = new THREE.TextureLoader();
-            const texture = textureLoader.load(styleConfig.wallTexture);
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            wallMaterial.map = texture;
+        for (const [side, wallSpec] of Object.entries(sides)) {
+            const [x, z] = wallSpec.center;
+            
+            // Doorways are centred on the room's axis; find that point along the wall
+            const direction = new THREE.Vector3(1, 0, 0).applyAxisAngle(THREE.Object3D.DefaultUp, wallSpec.rotation);
+            const doorway = doorways.includes(side)
+                ? {
+                    offset: -(x * direction.x + z * direction.z),
+                    width: this.doorwaySize.width,
+                    height: Math.min(this.doorwaySize.height, size.height)
+                }
+                : null;
+            
+            const wall = this.createWall(wallSpec.length, size.height, styleConfig, doorway);
+            wall.position.set(x, 0, z);
+            wall.rotation.y = wallSpec.rotation;
+            wall.userData.side = side;
+            room.add(wall);
+            
+            walls[side] = wall;
         }
         
-        // Angled entrance (front-left corner is open)
-        
-        // Back wall
-        const backWallGeometry = new THREE.PlaneGeometry(size.width, size.height);
-        const backWall = new THREE.Mesh(backWallGeometry, wallMaterial);
-        backWall.position.set(0, size.height / 2, -size.depth / 2);
-        backWall.rotation.y = Math.PI;
-        backWall.castShadow = true;
-        backWall.receiveShadow = true;
-        room.add(backWall);
-        
-        // Right wall
-        const rightWallGeometry = new THREE.PlaneGeometry(size.depth, size.height);
-        const rightWall = new THREE.Mesh(rightWallGeometry, wallMaterial);
-        rightWall.position.set(size.width / 2, size.height / 2, 0);
-        rightWall.rotation.y = -Math.PI / 2;
-        rightWall.castShadow = true;
-        rightWall.receiveShadow = true;
-        room.add(rightWall);
-        
-        // Partial left wall
-        const leftWallGeometry = new THREE.PlaneGeometry(size.depth / 2, size.height);
-        const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
-        leftWall.position.set(-size.width / 2, size.height / 2, -size.depth / 4);
-        leftWall.rotation.y = Math.PI / 2;
-        leftWall.castShadow = true;
-        leftWall.receiveShadow = true;
-        room.add(leftWall);
-        
-        // Partial front wall
-        const frontWallGeometry = new THREE.PlaneGeometry(size.width / 2, size.height);
-        const frontWall = new THREE.Mesh(frontWallGeometry, wallMaterial);
-        frontWall.position.set(size.width / 4, size.height / 2, size.depth / 2);
-        frontWall.castShadow = true;
-        frontWall.receiveShadow = true;
-        room.add(frontWall);
-        
-        // Diagonal wall to create corner entrance
-        const diagonalWallLength = Math.sqrt(Math.pow(size.width / 2, 2) + Math.pow(size.depth / 2, 2));
-        const diagonalWallGeometry = new THREE.PlaneGeometry(diagonalWallLength, size.height);
-        const diagonalWall = new THREE.Mesh(diagonalWallGeometry, wallMaterial);
-        diagonalWall.position.set(-size.width / 4, size.height / 2, size.depth / 4);
-        diagonalWall.rotation.y = Math.PI / 4;
-        diagonalWall.castShadow = true;
-        diagonalWall.receiveShadow = true;
-        room.add(diagonalWall);
-        
-        // Store wall references for artwork placement
-        room.userData.walls = {
-            back: backWall,
-            right: rightWall,
-            left: leftWall,
-            front: frontWall,
-            diagonal: diagonalWall
+        return walls;
+    }
+    
+    // A wall along its local x axis, standing on y = 0 and facing +z, built from
+    // plane segments around an optional doorway ({ offset, width, height }) in the
+    // style's wall material
+    createWall(length, height, styleConfig, doorway = null) {
+        const wall = new THREE.Group();
+        
+        const addSegment = (start, end, bottom, top) => {
+            if (end - start < 0.01 || top - bottom < 0.01) return;
+            
+            const segment = new THREE.Mesh(
+                this.resources.getGeometry('PlaneGeometry', end - start, top - bottom),
+                this.resources.getSurfaceMaterial(styleConfig, 'wall')
+            );
+            segment.position.set((start + end) / 2, (bottom + top) / 2, 0);
+            segment.castShadow = true;
+            segment.receiveShadow = true;
+            segment.userData.collider = 'wall';
+            
+            // Full-height pieces can hold artworks; the lintel over a doorway cannot
+            segment.userData.hangable = bottom === 0 && top === height;
+            wall.add(segment);
         };
         
-        // Store room dimensions
-        room.userData.size = { ...size };
+        if (!doorway) {
+            addSegment(-length / 2, length / 2, 0, height);
+            return wall;
+        }
         
-        return room;
+        const doorStart = Math.max(-length / 2, doorway.offset - doorway.width / 2);
+        const doorEnd = Math.min(length / 2, doorway.offset + doorway.width / 2);
+        
+        addSegment(-length / 2, doorStart, 0, height);
+        addSegment(doorEnd, length / 2, 0, height);
+        addSegment(doorStart, doorEnd, doorway.height, height); // Lintel above the doorway
+        
+        return wall;
     }
     
     setupArtworkWalls(room) {
-        // Define artwork placement points on walls
-        const artworkPlacements = [];
+        // Describe the hanging space on each wall as a span; MuseumLayout packs
+        // artworks along the spans according to their aspect ratios
+        const artworkWalls = [];
         const walls = room.userData.walls;
-        const size = room.userData.size;
         
         // Check if walls is defined before trying to access properties
         if (!walls) {
             console.warn('No walls defined for room:', room.userData.id);
-            room.userData.artworkPlacements = [];
+            room.userData.artworkWalls = [];
             return;
         }
         
-        // Artwork dimensions
-        const artworkWidth = 2;
-        const artworkHeight = 1.5;
-        const artworkSpacing = 0.5;
-        const heightFromFloor = 1.7; // Eye level
-        
-        // Back wall placements
-        if (walls.back) {
-            const backWallWidth = size.width;
-            const numPlacements = Math.floor(backWallWidth / (artworkWidth + artworkSpacing));
-            const startX = -(numPlacements - 1) * (artworkWidth + artworkSpacing) / 2;
-            
-            for (let i = 0; i < numPlacements; i++) {
-                artworkPlacements.push({
-                    position: new THREE.Vector3(
-                        startX + i * (artworkWidth + artworkSpacing),
-                        heightFromFloor,
-                        -size.depth / 2 + 0.1 // Slight offset to avoid z-fighting
-                    ),
-                    rotation: new THREE.Euler(0, 0, 0),
-                    size: { width: artworkWidth, height: artworkHeight },
-                    wall: 'back'
-                });
-            }
-        }
+        // Largest artwork on a wall and the common centre line
+        const maxArtworkWidth = 2.4;
+        const maxArtworkHeight = 1.6;
+        const hangingHeight = 1.7; // Eye level
+        const wallOffset = 0.1; // Slight offset to avoid z-fighting
         
-        // Side wall placements
-        if (walls.left) {
-            const leftWallDepth = size.depth;
-            const numPlacements = Math.floor(leftWallDepth / (artworkWidth + artworkSpacing));
-            const startZ = -(numPlacements - 1) * (artworkWidth + artworkSpacing) / 2;
+        // Every full-height wall segment is a span; doorways and their lintels are skipped
+        for (const name of ['back', 'left', 'right', 'front']) {
+            const wall = walls[name];
+            if (!wall) continue;
             
-            for (let i = 0; i < numPlacements; i++) {
-                artworkPlacements.push({
-                    position: new THREE.Vector3(
-                        -size.width / 2 + 0.1, // Slight offset to avoid z-fighting
-                        heightFromFloor,
-                        startZ + i * (artworkWidth + artworkSpacing)
-                    ),
-                    rotation: new THREE.Euler(0, Math.PI / 2, 0),
-                    size: { width: artworkWidth, height: artworkHeight },
-                    wall: 'left'
-                });
-            }
-        }
-        
-        if (walls.right) {
-            const rightWallDepth = size.depth;
-            const numPlacements = Math.floor(rightWallDepth / (artworkWidth + artworkSpacing));
-            const startZ = -(numPlacements - 1) * (artworkWidth + artworkSpacing) / 2;
+            // Walls run along their local x axis and face into the room (+z)
+            const direction = new THREE.Vector3(1, 0, 0).applyAxisAngle(THREE.Object3D.DefaultUp, wall.rotation.y);
+            const normal = new THREE.Vector3(0, 0, 1).applyAxisAngle(THREE.Object3D.DefaultUp, wall.rotation.y);
             
-            for (let i = 0; i < numPlacements; i++) {
-                artworkPlacements.push({
-                    position: new THREE.Vector3(
-                        size.width / 2 - 0.1, // Slight offset to avoid z-fighting
-                        heightFromFloor,
-                        startZ + i * (artworkWidth + artworkSpacing)
-                    ),
-                    rotation: new THREE.Euler(0, -Math.PI / 2, 0),
-                    size: { width: artworkWidth, height: artworkHeight },
-                    wall: 'right'
+            for (const segment of wall.children) {
+                if (!segment.userData.hangable) continue;
+                
+                const center = wall.position.clone()
+                    .addScaledVector(direction, segment.position.x)
+                    .addScaledVector(normal, wallOffset);
+                center.y = hangingHeight;
+                
+                artworkWalls.push({
+                    wall: name,
+                    center,
+                    direction,
+                    length: segment.geometry.parameters.width,
+                    rotation: new THREE.Euler(0, wall.rotation.y, 0),
+                    maxWidth: maxArtworkWidth,
+                    maxHeight: maxArtworkHeight
                 });
             }
         }
         
-        // Add any alcove placements from hall room
+        // Each alcove of a hall room holds a single work, which may fill it up to a narrow
+        // margin (rather than the gaps kept between works on a wall)
         if (room.userData.alcoves) {
-            artworkPlacements.push(...room.userData.alcoves);
+            for (const alcove of room.userData.alcoves) {
+                artworkWalls.push({
+                    wall: 'alcove',
+                    center: alcove.position.clone(),
+                    direction: new THREE.Vector3(1, 0, 0).applyEuler(alcove.rotation),
+                    length: alcove.size.width,
+                    margin: 0.2,
+                    rotation: alcove.rotation.clone(),
+                    maxWidth: Math.min(maxArtworkWidth, alcove.size.width),
+                    maxHeight: Math.min(maxArtworkHeight, alcove.size.height)
+                });
+            }
         }
         
-        // Store artwork placement points in room userData
-        room.userData.artworkPlacements = artworkPlacements;
+        // Store artwork wall spans in room userData
+        room.userData.artworkWalls = artworkWalls;
     }
 }
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Side-by-side comparison of two artworks
+ *
+ * Opened from the related works in the info panel: the work being looked at
+ * on the left, the related one on the right, each with its title, artist
+ * and year. Closed with the button, Escape or a click beside the pictures.
+ */
+export class CompareView {
+    constructor() {
+        this.isOpen = false;
+        
+        this.element = document.createElement('div');
+        this.element.id = 'compare-view';
+        this.element.className = 'hidden';
+        
+        this.closeButton = document.createElement('button');
+        this.closeButton.className = 'compare-close';
+        this.closeButton.textContent = '×';
+        
+        this.element.appendChild(this.closeButton);
+        document.body.appendChild(this.element);
+        
+        // Clicks here must not reach the artworks behind (see UserInterface)
+        this.element.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (event.target === this.element || event.target === this.closeButton) {
+                this.close();
+            }
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+    
+    /**
+     * Show two artworks next to each other
+     * @param {Object} left Metadata of the first artwork (title, artist, year, url)
+     * @param {Object} right Metadata of the second artwork
+     */
+    show(left, right) {
+        this.element.querySelectorAll('figure').forEach(figure => figure.remove());
+        this.element.appendChild(this.createFigure(left));
+        this.element.appendChild(this.createFigure(right));
+        
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+    }
+    
+    createFigure(metadata) {
+        const figure = document.createElement('figure');
+        
+        const image = document.createElement('img');
+        image.src = metadata.url;
+        image.alt = metadata.title || '';
+        
+        const caption = document.createElement('figcaption');
+        const title = document.createElement('strong');
+        title.textContent = metadata.title || 'Untitled';
+        const details = document.createElement('span');
+        details.textContent = [metadata.artist, metadata.year].filter(Boolean).join(', ');
+        caption.appendChild(title);
+        caption.appendChild(details);
+        
+        figure.appendChild(image);
+        figure.appendChild(caption);
+        return figure;
+    }
+}
@@ -0,0 +1,145 @@
+import { MuseumMap } from './MuseumMap.js';
+
+/**
+ * Full-screen floor plan
+ *
+ * Shows every room generated so far, fitted to the window, with a legend of
+ * the regions. Hovering a room names it; clicking it takes the player there
+ * (see onTeleport). Opening the plan releases the pointer so the mouse can
+ * be used; clicking the view again resumes exploring.
+ */
+export class FloorPlan {
+    constructor() {
+        this.layout = null;
+        this.cameraControls = null;
+        
+        // Called with the clicked room
+        this.onTeleport = null;
+        
+        this.isOpen = false;
+        this.hoveredRoom = null;
+        
+        this.createElements();
+        this.setupEventListeners();
+    }
+    
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.id = 'floor-plan';
+        this.element.className = 'hidden';
+        
+        this.caption = document.createElement('div');
+        this.caption.className = 'floor-plan-caption';
+        
+        this.canvas = document.createElement('canvas');
+        this.legend = document.createElement('div');
+        this.legend.className = 'floor-plan-legend';
+        
+        this.element.appendChild(this.caption);
+        this.element.appendChild(this.canvas);
+        this.element.appendChild(this.legend);
+        document.body.appendChild(this.element);
+        
+        this.map = new MuseumMap(this.canvas);
+    }
+    
+    setupEventListeners() {
+        this.canvas.addEventListener('mousemove', (event) => {
+            const room = this.map.findRoomAt(this.layout, event.offsetX, event.offsetY);
+            if (room !== this.hoveredRoom) {
+                this.hoveredRoom = room;
+                this.canvas.style.cursor = room ? 'pointer' : 'default';
+                this.draw();
+            }
+        });
+        
+        this.canvas.addEventListener('click', (event) => {
+            // Not a click on the artworks behind (see UserInterface)
+            event.stopPropagation();
+            
+            const room = this.map.findRoomAt(this.layout, event.offsetX, event.offsetY);
+            if (room && this.onTeleport) {
+                this.onTeleport(room);
+                this.close();
+            }
+        });
+        
+        window.addEventListener('resize', () => {
+            if (this.isOpen) {
+                this.fit();
+                this.draw();
+            }
+        });
+    }
+    
+    /**
+     * Set what the plan shows
+     * @param {MuseumLayout} layout Layout to draw
+     * @param {CameraControls} cameraControls Player position and heading
+     */
+    setLayout(layout, cameraControls) {
+        this.layout = layout;
+        this.cameraControls = cameraControls;
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    open() {
+        if (!this.layout) return;
+        
+        this.isOpen = true;
+        this.hoveredRoom = null;
+        this.element.classList.remove('hidden');
+        document.exitPointerLock();
+        
+        this.updateLegend();
+        this.fit();
+        this.draw();
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+    }
+    
+    // Size the canvas to the window and fit the rooms into it
+    fit() {
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        this.map.fitRooms(this.layout.rooms);
+    }
+    
+    draw() {
+        this.map.draw(
+            this.layout,
+            this.cameraControls.getPosition(),
+            this.cameraControls.yawObject.rotation.y,
+            this.hoveredRoom
+        );
+        
+        this.caption.textContent = this.hoveredRoom
+            ? `${this.hoveredRoom.userData.name} · ${this.layout.sceneManager.getFloorName(this.hoveredRoom.position.y)} (click to go there)`
+            : 'Floor plan: click a room to go there (P to close)';
+    }
+    
+    // One entry per region, in the colour its rooms are drawn in
+    updateLegend() {
+        this.legend.innerHTML = '';
+        
+        this.layout.planner.regions.forEach(region => {
+            const entry = document.createElement('div');
+            const swatch = document.createElement('span');
+            swatch.className = 'floor-plan-swatch';
+            swatch.style.backgroundColor = this.map.getStyleColor(region.style);
+            entry.appendChild(swatch);
+            entry.appendChild(document.createTextNode(region.name));
+            this.legend.appendChild(entry);
+        });
+    }
+}
@@ -1,3 +1,6 @@
+import { Config, onConfigChange } from '../data/Config.js';
+import { MuseumMap } from './MuseumMap.js';
+
 export class HUD {
     constructor() {
         this.hudElement = document.getElementById('hud');
@@ -8,6 +11,39 @@ export class HUD {
         
         // Additional HUD elements can be initialized here
         this.initAdditionalElements();
+        
+        // Apply UI settings; later changes only touch the HUD when UI settings change,
+        // so keyboard toggles are not undone by unrelated reconfiguration
+        this.applyConfig();
+        onConfigChange((config, overrides) => {
+            if (overrides.ui) {
+                this.applyConfig();
+            }
+        });
+    }
+    
+    /**
+     * Apply Config.ui settings to the HUD elements
+     */
+    applyConfig() {
+        const ui = Config.ui;
+        
+        this.hudElement.style.display = ui.showHUD ? 'block' : 'none';
+        this.hudElement.style.opacity = ui.hudOpacity;
+        this.minimapContainer.style.display = ui.showMinimap ? 'block' : 'none';
+        this.minimap.scale = 50 / ui.minimapRange;
+        this.minimapRange = ui.minimapRange;
+        
+        if (this.statsContainer) {
+            this.statsContainer.style.display = (ui.showFPS && Config.debug.showStats) ? 'block' : 'none';
+        }
+        
+        // Anchor the HUD to the configured corner
+        const [vertical, horizontal] = (ui.hudPosition || 'bottom-left').split('-');
+        this.hudElement.style.top = vertical === 'top' ? '20px' : 'auto';
+        this.hudElement.style.bottom = vertical === 'bottom' ? '20px' : 'auto';
+        this.hudElement.style.left = horizontal === 'left' ? '20px' : 'auto';
+        this.hudElement.style.right = horizontal === 'right' ? '20px' : 'auto';
     }
     
     /**
@@ -26,18 +62,15 @@ export class HUD {
         this.minimapContainer.style.overflow = 'hidden';
         this.minimapContainer.style.display = 'none'; // Hidden by default
         
-        // Player indicator for minimap
-        this.playerIndicator = document.createElement('div');
-        this.playerIndicator.style.width = '8px';
-        this.playerIndicator.style.height = '8px';
-        this.playerIndicator.style.backgroundColor = '#ffffff';
-        this.playerIndicator.style.borderRadius = '50%';
-        this.playerIndicator.style.position = 'absolute';
-        this.playerIndicator.style.top = '50%';
-        this.playerIndicator.style.left = '50%';
-        this.playerIndicator.style.transform = 'translate(-50%, -50%)';
-        
-        this.minimapContainer.appendChild(this.playerIndicator);
+        // Minimap drawing, centred on the player
+        this.minimapCanvas = document.createElement('canvas');
+        this.minimapCanvas.width = 100;
+        this.minimapCanvas.height = 100;
+        this.minimapCanvas.style.display = 'block';
+        this.minimap = new MuseumMap(this.minimapCanvas);
+        this.minimap.scale = 50 / Config.ui.minimapRange;
+        
+        this.minimapContainer.appendChild(this.minimapCanvas);
         this.hudElement.appendChild(this.minimapContainer);
         
         // Create compass indicator
@@ -85,46 +118,17 @@ export class HUD {
     }
     
     /**
-     * Update minimap with room and player positions
+     * Redraw the minimap around the player
+     * @param {MuseumLayout} layout Rooms, hallways and visited rooms
+     * @param {THREE.Vector3} playerPosition Player position
+     * @param {number} heading Player yaw (0 looks north)
      */
-    updateMinimap(rooms, playerPosition) {
+    updateMinimap(layout, playerPosition, heading) {
         // Only proceed if minimap is visible
         if (this.minimapContainer.style.display === 'none') return;
         
-        // Clear existing room indicators
-        const existingRooms = this.minimapContainer.querySelectorAll('.room-indicator');
-        existingRooms.forEach(room => room.remove());
-        
-        // Scale factor for minimap
-        const scale = 0.1; // 10 units in world = 1 pixel on minimap
-        
-        // Add room indicators
-        rooms.forEach(room => {
-            // Only show rooms within a certain distance
-            const distance = Math.sqrt(
-                Math.pow(room.position.x - playerPosition.x, 2) +
-                Math.pow(room.position.z - playerPosition.z, 2)
-            );
-            
-            if (distance < 100) { // Only show rooms within 100 units
-                const roomIndicator = document.createElement('div');
-                roomIndicator.className = 'room-indicator';
-                roomIndicator.style.width = '6px';
-                roomIndicator.style.height = '6px';
-                roomIndicator.style.backgroundColor = '#00aaff';
-                roomIndicator.style.borderRadius = '50%';
-                roomIndicator.style.position = 'absolute';
-                
-                // Position relative to player (center of minimap)
-                const relX = (room.position.x - playerPosition.x) * scale;
-                const relZ = (room.position.z - playerPosition.z) * scale;
-                
-                roomIndicator.style.left = `calc(50% + ${relX}px)`;
-                roomIndicator.style.top = `calc(50% + ${relZ}px)`;
-                
-                this.minimapContainer.appendChild(roomIndicator);
-            }
-        });
+        this.minimap.center.copy(playerPosition);
+        this.minimap.draw(layout, playerPosition, heading, null, this.minimapRange);
     }
     
     /**
@@ -1,4 +1,5 @@
 import { MetadataManager } from '../data/MetadataManager.js';
+import { Config, onConfigChange } from '../data/Config.js';
 
 export class InfoPanel {
     constructor() {
@@ -8,12 +9,37 @@ export class InfoPanel {
         this.descriptionElement = document.getElementById('info-description');
         this.sourceElement = document.getElementById('info-source');
         this.closeButton = document.getElementById('close-info');
+        this.inspectButton = document.getElementById('inspect-artwork');
+        this.relatedElement = document.getElementById('info-related');
+        this.relatedList = document.getElementById('info-related-list');
         
         this.metadataManager = new MetadataManager();
         this.currentArtwork = null;
         
+        // Related works are looked up in the layout's collection (see setLayout); choosing
+        // one calls onGoTo with its catalogue entry ({ image, themes }) or onCompare with
+        // the shown artwork's metadata and the related image
+        this.layout = null;
+        this.onGoTo = null;
+        this.onCompare = null;
+        this.maxRelated = 4;
+        
+        // Called with the shown artwork's frame to look at it up close
+        this.onInspect = null;
+        
         // Set up event listeners
         this.setupEventListeners();
+        
+        // Apply UI settings and follow later changes
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    /**
+     * Apply Config.ui settings to the panel
+     */
+    applyConfig() {
+        this.panel.style.width = `${Config.ui.infoPanelWidth}px`;
     }
     
     setupEventListeners() {
@@ -21,6 +47,16 @@ export class InfoPanel {
             this.closeButton.addEventListener('click', () => this.hide());
         }
         
+        if (this.inspectButton) {
+            this.inspectButton.addEventListener('click', (event) => {
+                // Clicks on the panel must not pick the artwork behind it
+                event.stopPropagation();
+                if (this.currentArtwork && this.onInspect) {
+                    this.onInspect(this.currentArtwork);
+                }
+            });
+        }
+        
         // Close panel with ESC key
         document.addEventListener('keydown', (event) => {
             if (event.key === 'Escape' && !this.panel.classList.contains('hidden')) {
@@ -58,10 +94,112 @@ export class InfoPanel {
         
         if (this.sourceElement) {
             this.sourceElement.textContent = `Source: ${metadata.source || 'Unknown'}`;
+            
+            // Credit the work as its license requires
+            if (metadata.license) {
+                this.sourceElement.textContent += ` · License: ${metadata.license}`;
+            }
+            if (metadata.attribution) {
+                this.sourceElement.textContent += ` · ${metadata.attribution}`;
+            }
         }
         
         // Show the panel
         this.panel.classList.remove('hidden');
+        
+        // Without the collection the related section simply stays hidden
+        this.showRelated(metadata).catch(error => {
+            console.error('Error finding related artworks:', error);
+        });
+    }
+    
+    // Look up related works in this layout's collection and where they hang
+    setLayout(layout) {
+        this.layout = layout;
+    }
+    
+    /**
+     * List the works most similar to the shown one (see MetadataManager.findRelatedArtworks)
+     */
+    async showRelated(metadata) {
+        if (!this.relatedElement || !this.layout) return;
+        
+        const artwork = this.currentArtwork;
+        this.relatedList.innerHTML = '';
+        this.relatedElement.classList.add('hidden');
+        
+        const catalog = await this.layout.imageSource.getCatalog();
+        
+        // Another artwork was opened (or the panel closed) meanwhile
+        if (this.currentArtwork !== artwork) return;
+        
+        const related = this.metadataManager.findRelatedArtworks(metadata, catalog.map(entry => entry.image), this.maxRelated);
+        const position = artwork.getWorldPosition(new THREE.Vector3());
+        const shownIn = this.layout.findArtwork(metadata.id, position);
+        
+        related.forEach(image => {
+            const entry = catalog.find(candidate => candidate.image === image);
+            const location = this.layout.findArtwork(image.id, position);
+            this.relatedList.appendChild(this.createRelatedItem(entry, metadata, location, shownIn));
+        });
+        
+        if (related.length > 0) {
+            this.relatedElement.classList.remove('hidden');
+        }
+    }
+    
+    // One related work: thumbnail, title, where it hangs and what can be done with it
+    createRelatedItem(entry, metadata, location, shownIn) {
+        const { image } = entry;
+        const item = document.createElement('li');
+        
+        const thumbnail = document.createElement('img');
+        thumbnail.src = image.previewUrl || image.url;
+        thumbnail.alt = '';
+        
+        const text = document.createElement('div');
+        const title = document.createElement('strong');
+        title.textContent = image.title || 'Untitled';
+        const details = document.createElement('span');
+        details.textContent = [image.artist, image.year].filter(Boolean).join(', ');
+        const where = document.createElement('span');
+        where.textContent = this.describeLocation(location, shownIn);
+        text.appendChild(title);
+        text.appendChild(details);
+        text.appendChild(where);
+        
+        const actions = document.createElement('div');
+        actions.appendChild(this.createButton('Go there', () => this.onGoTo && this.onGoTo(entry)));
+        actions.appendChild(this.createButton('Compare', () => this.onCompare && this.onCompare(metadata, image)));
+        
+        item.appendChild(thumbnail);
+        item.appendChild(text);
+        item.appendChild(actions);
+        return item;
+    }
+    
+    // Where a related work hangs, relative to the shown one
+    describeLocation(location, shownIn) {
+        if (!location) {
+            return 'Not on display yet';
+        }
+        if (shownIn && location.room === shownIn.room) {
+            return 'In this room';
+        }
+        
+        const room = location.room;
+        return `${room.userData.name}, ${this.layout.sceneManager.getFloorName(room.position.y)}`;
+    }
+    
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', (event) => {
+            // Clicks on the panel must not pick the artwork behind it
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
     }
     
     /**
@@ -0,0 +1,374 @@
+import { TileLayer } from '../core/TileLayer.js';
+import { loadTileSource } from '../data/TileSource.js';
+import { Config, onConfigChange } from '../data/Config.js';
+
+/**
+ * Close-up inspection of an artwork
+ *
+ * Moves the camera smoothly in front of a frame until the picture fills the
+ * view. There the mouse wheel (or + and -) zooms towards the pointer and
+ * dragging pans across the picture; the camera keeps facing the picture and
+ * stops at its edges. Meanwhile a TileLayer streams sharper tiles of the part
+ * in view (see loadTileSource). Escape flies back to where the player stood.
+ */
+export class InspectMode {
+    constructor(cameraControls) {
+        this.cameraControls = cameraControls;
+        this.camera = cameraControls.camera;
+        
+        // Tiles are loaded through the layout's texture streamer (see setLayout)
+        this.layout = null;
+        
+        this.isActive = false;
+        this.isLeaving = false;
+        this.frame = null;
+        this.picture = null;
+        this.tileLayer = null;
+        
+        // Where the player stood ({ position, yaw, pitch }) and the camera's near plane before
+        this.returnPose = null;
+        this.nearPlane = this.camera.near;
+        
+        // Point of the picture in the middle of the screen (picture coordinates) and the
+        // camera's distance from it: shown and aimed for
+        this.view = { x: 0, y: 0, distance: 1 };
+        this.targetView = { x: 0, y: 0, distance: 1 };
+        
+        // Distance at which the whole picture fits, and the closest one allowed
+        this.fitDistance = 1;
+        this.minDistance = 1;
+        
+        // Camera flight in progress ({ from, to, elapsed, onEnd })
+        this.transition = null;
+        
+        // Pointer position while dragging
+        this.drag = null;
+        
+        this.createElements();
+        this.setupEventListeners();
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy inspection settings from Config
+    applyConfig() {
+        this.transitionTime = Config.inspect.transitionTime;
+        this.maxZoom = Config.inspect.maxZoom;
+        this.zoomSpeed = Config.inspect.zoomSpeed;
+        
+        if (this.isActive) {
+            this.fit();
+            this.clampView(this.targetView);
+        }
+    }
+    
+    createElements() {
+        this.hint = document.createElement('div');
+        this.hint.id = 'inspect-hint';
+        this.hint.className = 'hidden';
+        document.body.appendChild(this.hint);
+    }
+    
+    setupEventListeners() {
+        const domElement = this.cameraControls.domElement;
+        
+        document.addEventListener('wheel', (event) => {
+            if (!this.isInteractive()) return;
+            
+            event.preventDefault();
+            const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY; // Lines or pixels
+            this.zoom(Math.exp(delta * 0.002 * this.zoomSpeed), event.clientX, event.clientY);
+        }, { passive: false });
+        
+        domElement.addEventListener('mousedown', (event) => {
+            if (event.button !== 0 || !this.isInteractive()) return;
+            
+            this.drag = { x: event.clientX, y: event.clientY };
+            domElement.style.cursor = 'grabbing';
+        });
+        
+        document.addEventListener('mousemove', (event) => {
+            if (!this.drag) return;
+            
+            this.pan(event.clientX - this.drag.x, event.clientY - this.drag.y);
+            this.drag.x = event.clientX;
+            this.drag.y = event.clientY;
+        });
+        
+        document.addEventListener('mouseup', () => {
+            if (!this.drag) return;
+            
+            this.drag = null;
+            domElement.style.cursor = this.isActive ? 'grab' : '';
+        });
+        
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isActive) {
+                this.exit();
+            }
+            if (!this.isInteractive()) return;
+            
+            switch (event.key) {
+                case '+':
+                case '=':
+                    this.zoom(1 / 1.5, window.innerWidth / 2, window.innerHeight / 2);
+                    break;
+                case '-':
+                    this.zoom(1.5, window.innerWidth / 2, window.innerHeight / 2);
+                    break;
+            }
+        });
+        
+        window.addEventListener('resize', () => {
+            if (this.isActive) {
+                this.fit();
+                this.clampView(this.targetView);
+            }
+        });
+    }
+    
+    // Load tiles through this layout's texture streamer
+    setLayout(layout) {
+        this.layout = layout;
+    }
+    
+    // Whether the view can be zoomed and panned (inspecting, and not flying to or from the picture)
+    isInteractive() {
+        return this.isActive && !this.transition;
+    }
+    
+    /**
+     * Fly up to a framed artwork and inspect it
+     * @param {THREE.Object3D} frame Frame holding the picture (as hung by MuseumLayout)
+     */
+    async inspect(frame) {
+        const picture = frame && frame.getObjectByName('picture');
+        if (!picture || this.isActive) return;
+        
+        this.isActive = true;
+        this.isLeaving = false;
+        this.frame = frame;
+        this.picture = picture;
+        
+        // The player stops walking and clicking no longer locks the pointer
+        this.cameraControls.enabled = false;
+        document.exitPointerLock();
+        this.cameraControls.domElement.style.cursor = 'grab';
+        
+        this.returnPose = this.getCurrentPose();
+        this.fit();
+        this.view = { x: 0, y: 0, distance: this.fitDistance };
+        this.targetView = { ...this.view };
+        
+        // Up close the picture would otherwise be cut by the near plane
+        this.nearPlane = this.camera.near;
+        this.camera.near = Math.min(this.nearPlane, this.minDistance / 2);
+        this.camera.updateProjectionMatrix();
+        
+        this.startTransition(this.returnPose, this.getViewPose(this.view));
+        this.showHint(frame.userData);
+        
+        const source = await loadTileSource(frame.userData);
+        
+        // The inspection may have ended (or moved to another work) meanwhile
+        if (source && this.picture === picture && !this.isLeaving && this.layout) {
+            this.tileLayer = new TileLayer(picture, source, this.layout.textureStreamer);
+        }
+    }
+    
+    /**
+     * Fly back to where the player stood and end the inspection
+     */
+    exit() {
+        if (!this.isActive || this.isLeaving) return;
+        
+        this.isLeaving = true;
+        this.drag = null;
+        this.hint.classList.add('hidden');
+        this.startTransition(this.getCurrentPose(), this.returnPose, () => this.stop());
+    }
+    
+    /**
+     * End the inspection at once, leaving the camera where it is (e.g. when the player
+     * is moved elsewhere)
+     */
+    stop() {
+        if (!this.isActive) return;
+        
+        if (this.tileLayer) {
+            this.tileLayer.dispose();
+            this.tileLayer = null;
+        }
+        
+        this.camera.near = this.nearPlane;
+        this.camera.updateProjectionMatrix();
+        
+        this.cameraControls.enabled = true;
+        this.cameraControls.domElement.style.cursor = '';
+        this.hint.classList.add('hidden');
+        
+        this.isActive = false;
+        this.isLeaving = false;
+        this.transition = null;
+        this.drag = null;
+        this.frame = null;
+        this.picture = null;
+    }
+    
+    showHint(metadata) {
+        this.hint.textContent = `${metadata.title || 'Untitled'}: scroll or +/- to zoom, drag to move, Esc to return`;
+        this.hint.classList.remove('hidden');
+    }
+    
+    /**
+     * Move the camera; call once per frame
+     * @param {number} delta Seconds since the last frame
+     */
+    update(delta) {
+        if (!this.isActive) return;
+        
+        // The room was unloaded or rebuilt (e.g. a save was loaded): back to where the player stood
+        if (!this.frame.parent) {
+            this.applyPose(this.returnPose);
+            this.stop();
+            return;
+        }
+        
+        if (this.transition) {
+            this.updateTransition(delta);
+        } else {
+            // Ease the view towards where zooming and dragging sent it
+            const blend = 1 - Math.exp(-12 * delta);
+            this.view.x += (this.targetView.x - this.view.x) * blend;
+            this.view.y += (this.targetView.y - this.view.y) * blend;
+            this.view.distance += (this.targetView.distance - this.view.distance) * blend;
+            this.applyPose(this.getViewPose(this.view));
+        }
+        
+        if (this.tileLayer && !this.isLeaving) {
+            this.tileLayer.update(this.camera, window.innerHeight * window.devicePixelRatio);
+        }
+    }
+    
+    startTransition(from, to, onEnd = null) {
+        this.transition = { from, to, elapsed: 0, onEnd };
+    }
+    
+    updateTransition(delta) {
+        const transition = this.transition;
+        transition.elapsed += delta;
+        
+        const t = this.transitionTime > 0 ? Math.min(1, transition.elapsed / this.transitionTime) : 1;
+        const eased = t * t * (3 - 2 * t);
+        const { from, to } = transition;
+        
+        // Turn the short way round
+        const turn = Math.atan2(Math.sin(to.yaw - from.yaw), Math.cos(to.yaw - from.yaw));
+        
+        this.applyPose({
+            position: from.position.clone().lerp(to.position, eased),
+            yaw: from.yaw + turn * eased,
+            pitch: from.pitch + (to.pitch - from.pitch) * eased
+        });
+        
+        if (t === 1) {
+            this.transition = null;
+            if (transition.onEnd) {
+                transition.onEnd();
+            }
+        }
+    }
+    
+    getCurrentPose() {
+        return {
+            position: this.cameraControls.getPosition().clone(),
+            yaw: this.cameraControls.yawObject.rotation.y,
+            pitch: this.cameraControls.pitchObject.rotation.x
+        };
+    }
+    
+    // Camera pose for a view of the picture: in front of the view point, facing the picture
+    getViewPose(view) {
+        const rotation = new THREE.Euler().setFromQuaternion(
+            this.picture.getWorldQuaternion(new THREE.Quaternion()),
+            'YXZ'
+        );
+        
+        return {
+            position: this.picture.localToWorld(new THREE.Vector3(view.x, view.y, view.distance)),
+            yaw: rotation.y,
+            pitch: rotation.x
+        };
+    }
+    
+    applyPose(pose) {
+        this.cameraControls.setPosition(pose.position);
+        this.cameraControls.setRotation(pose.yaw, pose.pitch);
+    }
+    
+    // Half the height of the picture area seen per unit of distance
+    getViewSlope() {
+        return Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+    }
+    
+    // Distances at which the whole picture fits (with a margin) and of the closest zoom
+    fit() {
+        const { width, height } = this.picture.geometry.parameters;
+        const slope = this.getViewSlope();
+        
+        this.fitDistance = 1.1 * Math.max(height / 2, width / 2 / this.camera.aspect) / slope;
+        this.minDistance = this.fitDistance / Math.max(1, this.maxZoom);
+    }
+    
+    // Keep a view within the zoom range and the picture's edges
+    clampView(view) {
+        const { width, height } = this.picture.geometry.parameters;
+        
+        view.distance = THREE.MathUtils.clamp(view.distance, this.minDistance, this.fitDistance);
+        
+        const halfHeight = view.distance * this.getViewSlope();
+        const halfWidth = halfHeight * this.camera.aspect;
+        const maxX = Math.max(0, width / 2 - halfWidth);
+        const maxY = Math.max(0, height / 2 - halfHeight);
+        
+        view.x = THREE.MathUtils.clamp(view.x, -maxX, maxX);
+        view.y = THREE.MathUtils.clamp(view.y, -maxY, maxY);
+    }
+    
+    /**
+     * Zoom, keeping the point of the picture under the pointer in place
+     * @param {number} factor Change of distance (below 1 zooms in)
+     * @param {number} clientX Pointer position in pixels
+     * @param {number} clientY
+     */
+    zoom(factor, clientX, clientY) {
+        const view = this.targetView;
+        const pointerX = (clientX / window.innerWidth) * 2 - 1;
+        const pointerY = 1 - (clientY / window.innerHeight) * 2;
+        
+        const halfHeight = view.distance * this.getViewSlope();
+        const halfWidth = halfHeight * this.camera.aspect;
+        const distance = THREE.MathUtils.clamp(view.distance * factor, this.minDistance, this.fitDistance);
+        const ratio = distance / view.distance;
+        
+        view.x += pointerX * halfWidth * (1 - ratio);
+        view.y += pointerY * halfHeight * (1 - ratio);
+        view.distance = distance;
+        this.clampView(view);
+    }
+    
+    /**
+     * Move the picture with the pointer
+     * @param {number} dx Pointer movement in pixels
+     * @param {number} dy
+     */
+    pan(dx, dy) {
+        const view = this.targetView;
+        const unitsPerPixel = 2 * view.distance * this.getViewSlope() / window.innerHeight;
+        
+        view.x -= dx * unitsPerPixel;
+        view.y += dy * unitsPerPixel;
+        this.clampView(view);
+    }
+}
@@ -0,0 +1,205 @@
+import { ArchitecturalStyles } from '../procedural/ArchitecturalStyles.js';
+import { Config } from '../data/Config.js';
+
+/**
+ * Top-down drawing of the museum
+ *
+ * Draws the rooms and hallways a MuseumLayout has generated onto a 2D canvas,
+ * north (-z) up. Rooms are filled in the accent colour of their style (one
+ * per region), faint until the player has been in them; rooms on other
+ * floors than the player's are faded further. The player is an arrow pointing
+ * where they look. Used by the HUD minimap and the full-screen floor plan.
+ */
+export class MuseumMap {
+    /**
+     * @param {HTMLCanvasElement} canvas Canvas to draw on
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        
+        // World position shown in the middle of the canvas, and canvas pixels per world unit
+        this.center = new THREE.Vector3();
+        this.scale = 2;
+        
+        // Room colours come from the styles' accent colours
+        this.architecturalStyles = new ArchitecturalStyles();
+        
+        // Opacity of unvisited rooms and of everything on other floors
+        this.unvisitedOpacity = 0.35;
+        this.otherFloorOpacity = 0.25;
+    }
+    
+    // CSS colour for a style (hallways between regions have no style of their own)
+    getStyleColor(style) {
+        const styleConfig = this.architecturalStyles.styles[style];
+        const color = styleConfig ? styleConfig.accentColor : 0x888888;
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+    
+    /**
+     * Canvas position of a world position
+     * @returns {Object} { x, y } in canvas pixels
+     */
+    worldToCanvas(x, z) {
+        return {
+            x: this.canvas.width / 2 + (x - this.center.x) * this.scale,
+            y: this.canvas.height / 2 + (z - this.center.z) * this.scale
+        };
+    }
+    
+    /**
+     * World position under a canvas position
+     * @returns {Object} { x, z } in world units
+     */
+    canvasToWorld(x, y) {
+        return {
+            x: this.center.x + (x - this.canvas.width / 2) / this.scale,
+            z: this.center.z + (y - this.canvas.height / 2) / this.scale
+        };
+    }
+    
+    // Whether a space lies on the floor at a height
+    isOnFloor(object, floorY) {
+        return Math.abs(object.position.y - floorY) < Config.museum.floorHeight / 2;
+    }
+    
+    /**
+     * Draw the museum
+     * @param {MuseumLayout} layout Layout (rooms, hallways, visited rooms)
+     * @param {THREE.Vector3} playerPosition Player position
+     * @param {number} heading Player yaw (0 looks north)
+     * @param {THREE.Object3D} highlighted Room to outline (e.g. under the mouse)
+     * @param {number} range Only draw spaces within this many world units of the centre
+     */
+    draw(layout, playerPosition, heading, highlighted = null, range = Infinity) {
+        const context = this.context;
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // The player's floor is that of the room they are in
+        const currentRoom = layout.sceneManager.getCurrentRoom();
+        const floorY = currentRoom ? currentRoom.position.y : 0;
+        const { rooms, hallways } = this.getSpaces(layout, range);
+        
+        // Hallways below the rooms, so doorways stay readable
+        hallways.forEach(hallway => {
+            const size = hallway.userData.size;
+            context.globalAlpha = this.isOnFloor(hallway, floorY) ? 0.6 : this.otherFloorOpacity;
+            context.fillStyle = '#999999';
+            this.fillRotatedRect(hallway.position, size.width, size.length, hallway.rotation.y);
+        });
+        
+        rooms.forEach(room => {
+            const size = room.userData.size;
+            const opacity = layout.visitedRooms.has(room.userData.id) ? 1 : this.unvisitedOpacity;
+            context.globalAlpha = this.isOnFloor(room, floorY) ? opacity : opacity * this.otherFloorOpacity;
+            context.fillStyle = this.getStyleColor(room.userData.style);
+            this.fillRotatedRect(room.position, size.width, size.depth, 0);
+        });
+        
+        context.globalAlpha = 1;
+        
+        [currentRoom, highlighted].forEach((room, index) => {
+            if (!room) return;
+            
+            const size = room.userData.size;
+            const corner = this.worldToCanvas(room.position.x - size.width / 2, room.position.z - size.depth / 2);
+            context.strokeStyle = index === 0 ? '#ffffff' : '#ffdd55';
+            context.lineWidth = index === 0 ? 1 : 2;
+            context.strokeRect(corner.x, corner.y, size.width * this.scale, size.depth * this.scale);
+        });
+        
+        this.drawPlayer(playerPosition, heading);
+    }
+    
+    // Rooms and hallways to draw: all of them, or those near the centre as found in the
+    // layout's spatial index (so drawing does not slow down as the museum grows)
+    getSpaces(layout, range) {
+        if (range === Infinity) {
+            return { rooms: layout.rooms, hallways: layout.hallways };
+        }
+        
+        // Spaces whose middle lies up to a room spacing beyond the range still reach into it
+        const spatialIndex = layout.spatialIndex;
+        const nearby = spatialIndex.queryRadius(this.center, range + layout.planner.roomSpacing);
+        
+        return {
+            rooms: nearby.filter(object => spatialIndex.getKind(object) === 'room'),
+            hallways: nearby.filter(object => spatialIndex.getKind(object) === 'hallway')
+        };
+    }
+    
+    // Fill a rectangle centred on a world position, rotated about the vertical axis
+    fillRotatedRect(position, width, depth, rotationY) {
+        const context = this.context;
+        const center = this.worldToCanvas(position.x, position.z);
+        
+        context.save();
+        context.translate(center.x, center.y);
+        context.rotate(-rotationY);
+        context.fillRect(-width * this.scale / 2, -depth * this.scale / 2, width * this.scale, depth * this.scale);
+        context.restore();
+    }
+    
+    // Arrow at the player's position, pointing where they look
+    drawPlayer(position, heading) {
+        const context = this.context;
+        const center = this.worldToCanvas(position.x, position.z);
+        
+        context.save();
+        context.translate(center.x, center.y);
+        context.rotate(-heading);
+        context.beginPath();
+        context.moveTo(0, -7);
+        context.lineTo(5, 5);
+        context.lineTo(0, 2);
+        context.lineTo(-5, 5);
+        context.closePath();
+        context.fillStyle = '#ffffff';
+        context.strokeStyle = '#000000';
+        context.lineWidth = 1;
+        context.fill();
+        context.stroke();
+        context.restore();
+    }
+    
+    /**
+     * Room under a canvas position
+     * @param {MuseumLayout} layout Layout to search
+     * @returns {THREE.Object3D|null} Room, or null if there is none
+     */
+    findRoomAt(layout, x, y) {
+        const world = this.canvasToWorld(x, y);
+        
+        return layout.rooms.find(room => {
+            const size = room.userData.size;
+            return Math.abs(world.x - room.position.x) <= size.width / 2 &&
+                Math.abs(world.z - room.position.z) <= size.depth / 2;
+        }) || null;
+    }
+    
+    /**
+     * Centre and scale the view so all rooms fit
+     * @param {Array<THREE.Object3D>} rooms Rooms to show
+     * @param {number} margin Free space around them in canvas pixels
+     */
+    fitRooms(rooms, margin = 40) {
+        if (rooms.length === 0) return;
+        
+        const bounds = new THREE.Box2();
+        rooms.forEach(room => {
+            const size = room.userData.size;
+            bounds.expandByPoint(new THREE.Vector2(room.position.x - size.width / 2, room.position.z - size.depth / 2));
+            bounds.expandByPoint(new THREE.Vector2(room.position.x + size.width / 2, room.position.z + size.depth / 2));
+        });
+        
+        const center = bounds.getCenter(new THREE.Vector2());
+        const extent = bounds.getSize(new THREE.Vector2());
+        this.center.set(center.x, 0, center.y);
+        this.scale = Math.min(
+            (this.canvas.width - 2 * margin) / Math.max(extent.x, 1),
+            (this.canvas.height - 2 * margin) / Math.max(extent.y, 1),
+            8
+        );
+    }
+}
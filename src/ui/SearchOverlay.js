@@ -0,0 +1,190 @@
+/**
+ * Artwork search
+ *
+ * A search box over the whole collection the museum draws from (see
+ * ImageSource.getCatalog), indexed by the layout's MetadataManager when the
+ * overlay opens. Results update while typing and show a thumbnail, title,
+ * artist and year. Picking one (click, or arrow keys and Enter) hands it to
+ * onSelect, which takes the player there.
+ */
+export class SearchOverlay {
+    constructor() {
+        this.layout = null;
+        
+        // Called with the chosen catalogue entry ({ image, themes }), and with a message
+        // when the collection cannot be loaded
+        this.onSelect = null;
+        this.onError = null;
+        
+        this.isOpen = false;
+        this.results = [];
+        this.selectedIndex = 0;
+        this.maxResults = 12;
+        
+        this.createElements();
+        this.setupEventListeners();
+    }
+    
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.id = 'search-overlay';
+        this.element.className = 'hidden';
+        
+        this.input = document.createElement('input');
+        this.input.type = 'search';
+        this.input.placeholder = 'Search title, artist, year or subject';
+        
+        this.status = document.createElement('div');
+        this.status.className = 'search-status';
+        
+        this.list = document.createElement('ul');
+        this.list.className = 'search-results';
+        
+        this.element.appendChild(this.input);
+        this.element.appendChild(this.status);
+        this.element.appendChild(this.list);
+        document.body.appendChild(this.element);
+    }
+    
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.update());
+        
+        // Typing must not reach the keyboard shortcuts and movement keys
+        this.input.addEventListener('keyup', event => event.stopPropagation());
+        this.input.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            
+            switch (event.key) {
+                case 'ArrowDown':
+                    event.preventDefault();
+                    this.select(Math.min(this.selectedIndex + 1, this.results.length - 1));
+                    break;
+                case 'ArrowUp':
+                    event.preventDefault();
+                    this.select(Math.max(this.selectedIndex - 1, 0));
+                    break;
+                case 'Enter':
+                    this.choose(this.results[this.selectedIndex]);
+                    break;
+                case 'Escape':
+                    this.close();
+                    break;
+            }
+        });
+    }
+    
+    // Search the collection of a layout (its image source and metadata manager)
+    setLayout(layout) {
+        this.layout = layout;
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    async open() {
+        if (!this.layout) return;
+        
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+        document.exitPointerLock();
+        this.input.focus();
+        this.input.select();
+        
+        // Index the collection as it is now (more Commons categories may have loaded since last time)
+        this.status.textContent = 'Loading the collection...';
+        try {
+            const catalog = await this.layout.imageSource.getCatalog();
+            this.layout.metadataManager.indexArtworks(catalog);
+        } catch (error) {
+            console.error('Error loading the collection:', error);
+            this.status.textContent = 'The collection could not be loaded';
+            if (this.onError) {
+                this.onError(`Could not load the collection: ${error.message}`);
+            }
+            return;
+        }
+        
+        this.update();
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+        this.input.blur();
+    }
+    
+    // Search for what has been typed so far
+    update() {
+        const query = this.input.value.trim();
+        const metadataManager = this.layout.metadataManager;
+        
+        this.results = query ? metadataManager.searchArtworks(query, this.maxResults) : [];
+        this.selectedIndex = 0;
+        
+        if (!query) {
+            this.status.textContent = `${metadataManager.searchIndex.size} artworks in the collection`;
+        } else if (this.results.length === 0) {
+            this.status.textContent = 'No artworks found';
+        } else {
+            this.status.textContent = 'Enter or click to go there';
+        }
+        
+        this.render();
+    }
+    
+    render() {
+        this.list.innerHTML = '';
+        
+        this.results.forEach((entry, index) => {
+            const { image } = entry;
+            const item = document.createElement('li');
+            item.className = index === this.selectedIndex ? 'selected' : '';
+            
+            const thumbnail = document.createElement('img');
+            thumbnail.src = image.previewUrl || image.url;
+            thumbnail.alt = '';
+            thumbnail.loading = 'lazy';
+            
+            const text = document.createElement('div');
+            const title = document.createElement('strong');
+            title.textContent = image.title || 'Untitled';
+            const details = document.createElement('span');
+            details.textContent = [image.artist, image.year].filter(Boolean).join(', ');
+            text.appendChild(title);
+            text.appendChild(details);
+            
+            item.appendChild(thumbnail);
+            item.appendChild(text);
+            item.addEventListener('mouseenter', () => this.select(index));
+            item.addEventListener('click', (event) => {
+                // Not a click on the artworks behind (see UserInterface)
+                event.stopPropagation();
+                this.choose(entry);
+            });
+            this.list.appendChild(item);
+        });
+    }
+    
+    select(index) {
+        if (index < 0 || index === this.selectedIndex) return;
+        
+        this.selectedIndex = index;
+        Array.from(this.list.children).forEach((item, i) => {
+            item.className = i === index ? 'selected' : '';
+        });
+    }
+    
+    choose(entry) {
+        if (!entry) return;
+        
+        this.close();
+        if (this.onSelect) {
+            this.onSelect(entry);
+        }
+    }
+}
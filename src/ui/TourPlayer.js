@@ -0,0 +1,566 @@
+import { Config, onConfigChange } from '../data/Config.js';
+
+/**
+ * Guided tour player
+ *
+ * Walks the camera from stop to stop of a tour (see parseTour): along the
+ * doorways between the rooms (LayoutPlanner.getWalkingRoute), waiting at each
+ * room the layout has not built around the camera yet, and on to the spot in
+ * front of the artwork, which is hung in a fitting room first if it hangs
+ * nowhere. At a stop the tour panel shows the narration, its audio plays and
+ * onArtwork opens the artwork's info; the tour moves on once the audio has
+ * ended and the stop's time is up. Pausing hands the controls back to the
+ * player, and resuming walks on from wherever the player went.
+ */
+export class TourPlayer {
+    constructor(cameraControls) {
+        this.cameraControls = cameraControls;
+        
+        // Museum the tour is walked through (see setLayout)
+        this.layout = null;
+        
+        // Called with the frame of an artwork stop once there, and with null when leaving a stop
+        this.onArtwork = null;
+        
+        // Called with the tour after its last stop
+        this.onFinish = null;
+        
+        this.tour = null;
+        this.stopIndex = -1;
+        this.isPaused = false;
+        
+        // 'preparing' (finding the stop), 'travelling', 'locating' (waiting for the artwork
+        // to hang) or 'atStop'
+        this.phase = null;
+        
+        // Where the current stop is ({ cell, image }; image is set for artworks still to be hung)
+        this.target = null;
+        
+        // Floor points being walked ({ position, cell }), the next one to reach, the camera's
+        // floor position and what to do at the end
+        this.path = [];
+        this.pathIndex = 0;
+        this.floorPosition = new THREE.Vector3();
+        this.onPathEnd = null;
+        
+        // Seconds spent waiting for the artwork to hang, and seconds left at the stop
+        this.waited = 0;
+        this.timeLeft = 0;
+        this.isHanging = false;
+        
+        // Yaw the camera turns towards (null once it faces it)
+        this.targetYaw = null;
+        
+        // Frame whose info is shown at the current stop, and the narration audio
+        this.shownFrame = null;
+        this.audio = null;
+        this.audioPlaying = false;
+        
+        // Incremented per stop, so asynchronous results for an earlier stop are dropped
+        this.stopToken = 0;
+        
+        this.createElements();
+        
+        this.applyConfig();
+        onConfigChange(() => this.applyConfig());
+    }
+    
+    // Copy tour settings from Config
+    applyConfig() {
+        this.walkingSpeed = Config.tours.walkingSpeed;
+        this.turnSpeed = Config.tours.turnSpeed;
+        this.stopDuration = Config.tours.stopDuration;
+        this.narrationVolume = Config.tours.narrationVolume;
+        
+        if (this.audio) {
+            this.audio.volume = this.narrationVolume;
+        }
+    }
+    
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.id = 'tour-panel';
+        this.element.className = 'hidden';
+        
+        this.heading = document.createElement('div');
+        this.heading.className = 'tour-heading';
+        
+        this.stopTitle = document.createElement('h3');
+        
+        this.narration = document.createElement('p');
+        this.narration.className = 'tour-narration';
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'tour-buttons';
+        this.pauseButton = this.createButton('Pause (T)', () => this.togglePause());
+        buttons.appendChild(this.pauseButton);
+        buttons.appendChild(this.createButton('Skip (N)', () => this.skip()));
+        buttons.appendChild(this.createButton('End tour', () => this.stop()));
+        
+        this.element.appendChild(this.heading);
+        this.element.appendChild(this.stopTitle);
+        this.element.appendChild(this.narration);
+        this.element.appendChild(buttons);
+        document.body.appendChild(this.element);
+    }
+    
+    createButton(label, action) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', (event) => {
+            // Not a click on the artworks behind (see UserInterface)
+            event.stopPropagation();
+            action();
+        });
+        return button;
+    }
+    
+    // Walk tours through this layout
+    setLayout(layout) {
+        this.layout = layout;
+    }
+    
+    get currentStop() {
+        return this.tour ? this.tour.stops[this.stopIndex] : null;
+    }
+    
+    /**
+     * Start a tour from its first stop (ending any tour in progress)
+     * @param {Object} tour Parsed tour (see parseTour)
+     */
+    play(tour) {
+        if (!this.layout) return;
+        
+        this.stop();
+        this.tour = tour;
+        this.element.classList.remove('hidden');
+        
+        // The panel's buttons need the pointer
+        document.exitPointerLock();
+        
+        this.goToStop(0);
+    }
+    
+    pause() {
+        if (!this.tour || this.isPaused) return;
+        
+        this.isPaused = true;
+        this.pauseButton.textContent = 'Resume (T)';
+        
+        if (this.audio) {
+            this.audio.pause();
+        }
+        
+        // The player may walk around meanwhile
+        this.cameraControls.enabled = true;
+    }
+    
+    resume() {
+        if (!this.tour || !this.isPaused) return;
+        
+        this.isPaused = false;
+        this.pauseButton.textContent = 'Pause (T)';
+        
+        if (this.phase === 'travelling' || this.phase === 'locating') {
+            // Walk on from wherever the player went
+            this.travelTo(this.target.cell, () => this.arriveAtCell());
+        } else if (this.phase === 'atStop' && this.audio && !this.audio.ended) {
+            this.playAudio();
+        }
+    }
+    
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+    
+    // Go on to the next stop (resuming a paused tour)
+    skip() {
+        if (!this.tour) return;
+        
+        this.isPaused = false;
+        this.pauseButton.textContent = 'Pause (T)';
+        this.goToStop(this.stopIndex + 1);
+    }
+    
+    /**
+     * End the tour, leaving the player where the camera is
+     */
+    stop() {
+        if (!this.tour) return;
+        
+        this.stopToken++;
+        this.leaveStop();
+        
+        this.tour = null;
+        this.stopIndex = -1;
+        this.isPaused = false;
+        this.pauseButton.textContent = 'Pause (T)';
+        this.phase = null;
+        this.target = null;
+        this.path = [];
+        this.onPathEnd = null;
+        this.targetYaw = null;
+        
+        this.cameraControls.enabled = true;
+        this.element.classList.add('hidden');
+    }
+    
+    async goToStop(index) {
+        this.leaveStop();
+        
+        if (index >= this.tour.stops.length) {
+            const tour = this.tour;
+            this.stop();
+            if (this.onFinish) {
+                this.onFinish(tour);
+            }
+            return;
+        }
+        
+        const token = ++this.stopToken;
+        const stop = this.tour.stops[index];
+        this.stopIndex = index;
+        this.phase = 'preparing';
+        this.showStop(stop.title || 'Next stop', 'On the way...');
+        
+        let target;
+        let note = 'This artwork is not in the collection of this museum.';
+        try {
+            target = await this.findStop(stop);
+        } catch (error) {
+            console.error('Error finding tour stop:', error);
+            target = null;
+            note = 'The collection could not be loaded to find this artwork.';
+        }
+        if (token !== this.stopToken) return;
+        
+        if (target && !target.cell) {
+            note = 'There is no room nearby to hang this artwork.';
+        }
+        if (!target || !target.cell) {
+            // Not in this museum's collection (or it cannot be searched or hung): say so briefly and move on
+            this.showStop(stop.title || stop.artworkId, note);
+            this.phase = 'atStop';
+            this.timeLeft = 3;
+            return;
+        }
+        
+        this.target = target;
+        this.travelTo(target.cell, () => this.arriveAtCell());
+    }
+    
+    // Grid cell of a stop: the room, or where the artwork hangs nearest, or else an empty
+    // cell showing its themes (see MuseumLayout.findCellForThemes). Null if the artwork
+    // is not in the collection; the cell is null if there is no empty one nearby.
+    async findStop(stop) {
+        const layout = this.layout;
+        
+        if (stop.type === 'room') {
+            return { cell: stop.cell, image: null };
+        }
+        
+        const position = this.getFloorPosition();
+        const location = layout.findArtwork(stop.artworkId, position);
+        if (location) {
+            return { cell: layout.planner.getRoomCell(location.room.position), image: null };
+        }
+        
+        const catalog = await layout.imageSource.getCatalog();
+        const entry = catalog.find(({ image }) => image.id === stop.artworkId);
+        if (!entry) return null;
+        
+        return { cell: layout.findCellForThemes(entry.themes, position), image: entry.image };
+    }
+    
+    // Walk from the camera to the middle of a cell's room
+    travelTo(cell, onEnd) {
+        const planner = this.layout.planner;
+        const start = this.getFloorPosition();
+        const route = planner.getWalkingRoute(planner.getRoomCell(start), cell);
+        
+        this.setPath([{ position: start, cell: route[0].cell }, ...route], onEnd);
+    }
+    
+    setPath(points, onEnd) {
+        this.path = points;
+        this.pathIndex = 0;
+        this.onPathEnd = onEnd;
+        this.floorPosition.copy(this.getFloorPosition());
+        this.phase = 'travelling';
+    }
+    
+    // Position of the player's feet
+    getFloorPosition() {
+        return this.cameraControls.getPosition().clone().sub(
+            new THREE.Vector3(0, this.cameraControls.playerHeight, 0)
+        );
+    }
+    
+    // In the stop's room: there already for a room, otherwise on to the artwork
+    arriveAtCell() {
+        const stop = this.currentStop;
+        
+        if (stop.type === 'room') {
+            this.arriveAtStop();
+            return;
+        }
+        
+        this.phase = 'locating';
+        this.waited = 0;
+        
+        if (this.target.image) {
+            // Hung only now that the room is around the camera, so it is not unloaded as
+            // too far away while it is built
+            const token = this.stopToken;
+            const image = this.target.image;
+            this.target.image = null;
+            this.isHanging = true;
+            
+            this.layout.hangArtwork(image, this.target.cell).then(location => {
+                if (token !== this.stopToken) return;
+                
+                this.isHanging = false;
+                if (!location) {
+                    this.arriveAtStop(`There was no wall space for ${image.title}.`);
+                }
+            }).catch(error => {
+                console.error('Error hanging tour artwork:', error);
+                if (token !== this.stopToken) return;
+                
+                this.isHanging = false;
+                this.arriveAtStop(`${image.title} could not be hung.`);
+            });
+        }
+    }
+    
+    // Wait until the artwork hangs (its room may still be loading it), then walk up to it
+    updateLocating(delta) {
+        const stop = this.currentStop;
+        const location = this.layout.findArtwork(stop.artworkId, this.getFloorPosition());
+        
+        if (location && location.placement) {
+            const viewpoint = this.layout.getArtworkViewpoint(location);
+            const cell = this.layout.planner.getRoomCell(location.room.position);
+            this.setPath([{ position: viewpoint.position, cell }], () => this.arriveAtStop(null, viewpoint.yaw));
+            return;
+        }
+        
+        // Saved rooms may only know their artworks once hung again; stop here after a while
+        this.waited += delta;
+        if (!this.isHanging && this.waited > 10) {
+            this.arriveAtStop();
+        }
+    }
+    
+    /**
+     * At the stop: narrate it and start its time
+     * @param {string} note Shown instead of the narration (e.g. why the artwork is missing)
+     * @param {number} yaw Direction to face, or null to keep the one walked in
+     */
+    arriveAtStop(note = null, yaw = null) {
+        const stop = this.currentStop;
+        
+        this.phase = 'atStop';
+        if (yaw !== null) {
+            this.targetYaw = yaw;
+        }
+        
+        this.showStop(this.getStopTitle(stop), note || stop.narration || '');
+        
+        // With audio the stop lasts until it ends, plus the stop's own duration if given
+        this.timeLeft = stop.duration !== null ? stop.duration : (stop.audio ? 0 : this.stopDuration);
+        if (stop.audio) {
+            this.audio = new Audio(stop.audio);
+            this.audio.volume = this.narrationVolume;
+            this.playAudio();
+        }
+    }
+    
+    playAudio() {
+        const audio = this.audio;
+        const end = () => {
+            if (audio === this.audio) {
+                this.audioPlaying = false;
+            }
+        };
+        
+        audio.onended = end;
+        audio.onerror = () => {
+            // Leave time to read the narration instead
+            end();
+            this.timeLeft = Math.max(this.timeLeft, this.stopDuration);
+        };
+        
+        this.audioPlaying = true;
+        
+        // Browsers may refuse to play sound before the visitor has used the page
+        // (pausing merely interrupts playing)
+        audio.play().catch(error => {
+            if (error.name !== 'AbortError') {
+                audio.onerror();
+            }
+        });
+    }
+    
+    // Stop the narration and close the artwork's info
+    leaveStop() {
+        if (this.audio) {
+            this.audio.pause();
+            this.audio = null;
+        }
+        this.audioPlaying = false;
+        
+        if (this.shownFrame && this.onArtwork) {
+            this.onArtwork(null);
+        }
+        this.shownFrame = null;
+    }
+    
+    showStop(title, text) {
+        this.heading.textContent = `${this.tour.title}: stop ${this.stopIndex + 1} of ${this.tour.stops.length}`;
+        this.stopTitle.textContent = title;
+        this.narration.textContent = text;
+    }
+    
+    getStopTitle(stop) {
+        if (stop.title) return stop.title;
+        
+        if (stop.type === 'artwork') {
+            const frame = this.findFrame(stop.artworkId);
+            return frame ? frame.userData.title || 'Untitled' : stop.artworkId;
+        }
+        
+        const room = this.layout.spatialIndex.getAt(this.layout.planner.getCellPosition(stop.cell), 'room');
+        return room ? room.userData.name : 'Room';
+    }
+    
+    // Frame of an artwork hanging nearest to the camera in a loaded room, if any
+    findFrame(artworkId) {
+        const position = this.cameraControls.getPosition();
+        let nearest = null;
+        let nearestDistance = Infinity;
+        
+        for (const room of this.layout.rooms) {
+            const frame = (room.userData.artworkFrames || []).find(f => f.userData.id === artworkId);
+            const distance = room.position.distanceTo(position);
+            
+            if (frame && distance < nearestDistance) {
+                nearest = frame;
+                nearestDistance = distance;
+            }
+        }
+        
+        return nearest;
+    }
+    
+    /**
+     * Lead the camera; call once per frame
+     * @param {number} delta Seconds since the last frame
+     */
+    update(delta) {
+        if (!this.tour || this.isPaused) return;
+        
+        // The player's own walking stays off while the tour leads
+        this.cameraControls.enabled = false;
+        
+        switch (this.phase) {
+            case 'travelling':
+                this.updateTravel(delta);
+                break;
+            case 'locating':
+                this.updateLocating(delta);
+                break;
+            case 'atStop':
+                this.updateStop(delta);
+                break;
+        }
+        
+        this.updateTurn(delta);
+    }
+    
+    updateTravel(delta) {
+        const position = this.floorPosition;
+        const previous = position.clone();
+        let distance = this.walkingSpeed * delta;
+        
+        while (distance > 0 && this.pathIndex < this.path.length) {
+            const point = this.path[this.pathIndex];
+            
+            // Rooms are generated around the camera as it goes; wait for the next one
+            if (!this.layout.isRoomReady(point.cell)) break;
+            
+            const offset = point.position.clone().sub(position);
+            const length = offset.length();
+            
+            if (length <= distance) {
+                position.copy(point.position);
+                distance -= length;
+                this.pathIndex++;
+            } else {
+                position.addScaledVector(offset, distance / length);
+                distance = 0;
+            }
+        }
+        
+        // Look where the camera goes
+        const dx = position.x - previous.x;
+        const dz = position.z - previous.z;
+        if (dx * dx + dz * dz > 1e-8) {
+            this.targetYaw = Math.atan2(-dx, -dz);
+        }
+        
+        this.cameraControls.setPosition(
+            position.clone().add(new THREE.Vector3(0, this.cameraControls.playerHeight, 0))
+        );
+        
+        if (this.pathIndex >= this.path.length) {
+            const onEnd = this.onPathEnd;
+            this.onPathEnd = null;
+            onEnd();
+        }
+    }
+    
+    updateStop(delta) {
+        const stop = this.currentStop;
+        
+        // Open the artwork's info once its frame hangs
+        if (stop.type === 'artwork' && !this.shownFrame) {
+            const frame = this.findFrame(stop.artworkId);
+            if (frame) {
+                this.shownFrame = frame;
+                this.stopTitle.textContent = this.getStopTitle(stop);
+                if (this.onArtwork) {
+                    this.onArtwork(frame);
+                }
+            }
+        }
+        
+        if (this.audioPlaying) return;
+        
+        this.timeLeft -= delta;
+        if (this.timeLeft <= 0) {
+            this.goToStop(this.stopIndex + 1);
+        }
+    }
+    
+    // Turn towards targetYaw the short way round and level the view
+    updateTurn(delta) {
+        if (this.targetYaw === null) return;
+        
+        const yaw = this.cameraControls.yawObject.rotation.y;
+        const pitch = this.cameraControls.pitchObject.rotation.x;
+        const turn = Math.atan2(Math.sin(this.targetYaw - yaw), Math.cos(this.targetYaw - yaw));
+        const blend = 1 - Math.exp(-this.turnSpeed * delta);
+        
+        this.cameraControls.setRotation(yaw + turn * blend, pitch * (1 - blend));
+        
+        // Once facing it, the player may look around at a stop
+        if (this.phase === 'atStop' && Math.abs(turn) < 0.001 && Math.abs(pitch) < 0.001) {
+            this.targetYaw = null;
+        }
+    }
+}
@@ -1,6 +1,14 @@
 import { InfoPanel } from './InfoPanel.js';
 import { HUD } from './HUD.js';
+import { FloorPlan } from './FloorPlan.js';
+import { SearchOverlay } from './SearchOverlay.js';
+import { CompareView } from './CompareView.js';
+import { InspectMode } from './InspectMode.js';
+import { TourPlayer } from './TourPlayer.js';
+import { loadTour, parseTour } from '../data/Tour.js';
 import { ThemeStyles } from '../data/ThemeStyles.js';
+import { Config } from '../data/Config.js';
+import { resourceCache } from '../utils/ResourceCache.js';
 
 export class UserInterface {
     constructor(cameraControls) {
@@ -9,6 +17,40 @@ export class UserInterface {
         // Initialize UI components
         this.infoPanel = new InfoPanel();
         this.hud = new HUD();
+        this.floorPlan = new FloorPlan();
+        this.floorPlan.onTeleport = room => this.teleportToRoom(room);
+        this.search = new SearchOverlay();
+        this.search.onSelect = entry => this.goToArtwork(entry);
+        this.search.onError = message => this.showNotification(message);
+        this.compareView = new CompareView();
+        
+        // Related works in the info panel can be visited or compared with the shown one
+        this.infoPanel.onGoTo = entry => {
+            this.infoPanel.hide();
+            this.goToArtwork(entry);
+        };
+        this.infoPanel.onCompare = (metadata, image) => this.compareView.show(metadata, image);
+        
+        // Close-up view of an artwork, from the info panel or the artwork in the middle of the view (Z)
+        this.inspectMode = new InspectMode(cameraControls);
+        this.infoPanel.onInspect = frame => {
+            this.infoPanel.hide();
+            this.inspectMode.inspect(frame);
+        };
+        
+        // Guided tours open each stop's artwork in the info panel
+        this.tourPlayer = new TourPlayer(cameraControls);
+        this.tourPlayer.onArtwork = frame => {
+            if (frame) {
+                this.showArtworkInfo(frame);
+            } else {
+                this.infoPanel.hide();
+            }
+        };
+        this.tourPlayer.onFinish = tour => this.showNotification(`End of the tour: ${tour.title}`);
+        
+        // Layout shown on the minimap and floor plan and searched for artworks (see setLayout)
+        this.layout = null;
         this.themeStyles = new ThemeStyles();
         
         // References to scene objects for raycasting
@@ -33,8 +75,8 @@ export class UserInterface {
     setupEventListeners() {
         // Mouse move for hover effects
         document.addEventListener('mousemove', (event) => {
-            // Only update if pointer is not locked (when not in camera control mode)
-            if (!document.pointerLockElement) {
+            // Only update if pointer is not locked (when not in camera control mode) or inspecting
+            if (!document.pointerLockElement && !this.inspectMode.isActive) {
                 this.updateMousePosition(event);
                 this.checkIntersections();
             }
@@ -42,8 +84,8 @@ export class UserInterface {
         
         // Click for interaction
         document.addEventListener('click', (event) => {
-            // Only handle click when not in pointer lock mode
-            if (!document.pointerLockElement) {
+            // Only handle click when not in pointer lock mode (or in one of the overlays, or inspecting)
+            if (!document.pointerLockElement && !this.isOverlayOpen() && !this.inspectMode.isActive) {
                 this.updateMousePosition(event);
                 this.handleClick();
             }
@@ -84,12 +126,12 @@ export class UserInterface {
                 if (this.currentIntersected !== artwork.object) {
                     // Reset previous hover effect
                     if (this.currentIntersected) {
-                        this.currentIntersected.material.emissive.setHex(0x000000);
+                        this.setHighlight(this.currentIntersected, 0x000000);
                     }
                     
                     // Set new hover effect
                     this.currentIntersected = artwork.object;
-                    this.currentIntersected.material.emissive.setHex(0x333333);
+                    this.setHighlight(this.currentIntersected, 0x333333);
                     
                     // Change cursor to indicate interactivity
                     document.body.style.cursor = 'pointer';
@@ -106,43 +148,66 @@ export class UserInterface {
     
     resetIntersection() {
         if (this.currentIntersected) {
-            this.currentIntersected.material.emissive.setHex(0x000000);
+            this.setHighlight(this.currentIntersected, 0x000000);
             this.currentIntersected = null;
         }
         document.body.style.cursor = 'auto';
     }
     
+    // Tint a framed artwork; materials shared with other frames (from the resource cache)
+    // are left alone so only the hovered one lights up
+    setHighlight(frame, color) {
+        frame.traverse(child => {
+            if (child.material && !resourceCache.isCached(child.material)) {
+                child.material.emissive.setHex(color);
+            }
+        });
+    }
+    
     handleClick() {
-        if (!this.camera || !this.scene) return;
+        const frame = this.findArtworkAt(this.mouse);
+        
+        // Handle click on artwork
+        if (frame) {
+            this.showArtworkInfo(frame);
+        }
+    }
+    
+    // Show the info panel for a framed artwork, next to it
+    showArtworkInfo(frame) {
+        this.infoPanel.show(frame);
+        
+        // Position the panel near the artwork
+        const screenPosition = new THREE.Vector3();
+        screenPosition.setFromMatrixPosition(frame.matrixWorld);
+        screenPosition.project(this.camera);
+        
+        this.infoPanel.updatePosition(screenPosition, this.camera, this.renderer);
+    }
+    
+    /**
+     * Framed artwork at a screen position
+     * @param {THREE.Vector2} point Position in normalized device coordinates
+     * @returns {THREE.Object3D|null} The frame, or null if no artwork is there
+     */
+    findArtworkAt(point) {
+        if (!this.camera || !this.scene) return null;
         
         // Update the raycaster
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+        this.raycaster.setFromCamera(point, this.camera);
         
         // Find all the intersected objects from artwork group
         const artworks = this.scene.children.find(child => child.name === 'artworks');
-        if (!artworks) return;
+        if (!artworks) return null;
         
         const intersects = this.raycaster.intersectObjects(artworks.children, true);
         
-        // Handle click on artwork
-        if (intersects.length > 0) {
-            // Find the first intersected object that has artwork data
-            const artwork = intersects.find(intersect => 
-                intersect.object.userData && intersect.object.userData.artwork
-            );
-            
-            if (artwork) {
-                // Show info panel for the artwork
-                this.infoPanel.show(artwork.object);
-                
-                // Position the panel near the artwork
-                const screenPosition = new THREE.Vector3();
-                screenPosition.setFromMatrixPosition(artwork.object.matrixWorld);
-                screenPosition.project(this.camera);
-                
-                this.infoPanel.updatePosition(screenPosition, this.camera, this.renderer);
-            }
-        }
+        // Find the first intersected object that has artwork data
+        const artwork = intersects.find(intersect => 
+            intersect.object.userData && intersect.object.userData.artwork
+        );
+        
+        return artwork ? artwork.object : null;
     }
     
     handleKeyPress(event) {
@@ -151,6 +216,35 @@ export class UserInterface {
             this.hud.toggleMinimap();
         }
         
+        // Toggle the floor plan with 'P' key (Escape closes it too)
+        if (event.key === 'p' || event.key === 'P') {
+            this.floorPlan.toggle();
+        } else if (event.key === 'Escape' && this.floorPlan.isOpen) {
+            this.floorPlan.close();
+        }
+        
+        // Search the collection with 'F' key (the key itself is not typed into the search box)
+        if (event.key === 'f' || event.key === 'F') {
+            event.preventDefault();
+            this.search.toggle();
+        }
+        
+        // Inspect the artwork in the middle of the view with 'Z' key (ESC returns)
+        if ((event.key === 'z' || event.key === 'Z') && !this.inspectMode.isActive) {
+            const frame = this.findArtworkAt(new THREE.Vector2(0, 0));
+            if (frame) {
+                this.inspectMode.inspect(frame);
+            }
+        }
+        
+        // Pause or resume a guided tour with 'T' key, go on to its next stop with 'N' key
+        if ((event.key === 't' || event.key === 'T') && this.tourPlayer.tour) {
+            this.tourPlayer.togglePause();
+        }
+        if ((event.key === 'n' || event.key === 'N') && this.tourPlayer.tour) {
+            this.tourPlayer.skip();
+        }
+        
         // Toggle HUD with 'H' key
         if (event.key === 'h' || event.key === 'H') {
             this.hud.toggleVisibility();
@@ -168,6 +262,93 @@ export class UserInterface {
         this.renderer = renderer;
     }
     
+    // Set the museum shown on the minimap and floor plan and searched for artworks
+    setLayout(layout) {
+        this.layout = layout;
+        this.floorPlan.setLayout(layout, this.cameraControls);
+        this.search.setLayout(layout);
+        this.infoPanel.setLayout(layout);
+        this.inspectMode.setLayout(layout);
+        this.tourPlayer.setLayout(layout);
+    }
+    
+    // Whether the floor plan, search or comparison covers the view
+    isOverlayOpen() {
+        return this.floorPlan.isOpen || this.search.isOpen || this.compareView.isOpen;
+    }
+    
+    // Put the player at a floor position, optionally turned to a yaw
+    moveTo(floorPosition, yaw = null) {
+        // Leaving a close-up inspection, if any, where the player is taken; a tour waits
+        // until resumed
+        this.inspectMode.stop();
+        this.tourPlayer.pause();
+        
+        this.cameraControls.setPosition(
+            floorPosition.clone().add(new THREE.Vector3(0, this.cameraControls.playerHeight, 0))
+        );
+        
+        if (yaw !== null) {
+            this.cameraControls.setRotation(yaw, 0);
+        }
+    }
+    
+    // Move the player to the middle of a room (picked on the floor plan)
+    teleportToRoom(room) {
+        this.moveTo(room.position);
+        this.showNotification(`Moved to ${room.userData.name}`);
+    }
+    
+    // Take the player in front of an artwork picked in the search: where it hangs nearest,
+    // or else in a room generated for it (one showing its themes where possible)
+    async goToArtwork({ image, themes }) {
+        const layout = this.layout;
+        let location = layout.findArtwork(image.id, this.cameraControls.getPosition());
+        
+        if (!location) {
+            this.showNotification(`Hanging ${image.title}...`);
+            const cell = layout.findCellForThemes(themes, this.cameraControls.getPosition());
+            if (!cell) {
+                this.showNotification(`No room nearby to hang ${image.title}`);
+                return;
+            }
+            
+            // Go there first, so the new room is not unloaded as too far away while it is built
+            this.moveTo(layout.planner.getCellPosition(cell));
+            try {
+                location = await layout.hangArtwork(image, cell);
+            } catch (error) {
+                console.error('Error hanging artwork:', error);
+                this.showNotification(`Could not hang ${image.title}: ${error.message}`);
+                return;
+            }
+        }
+        
+        if (!location) {
+            this.showNotification(`No wall space for ${image.title}`);
+            return;
+        }
+        
+        const viewpoint = layout.getArtworkViewpoint(location);
+        this.moveTo(viewpoint.position, viewpoint.yaw);
+        this.showNotification(`${image.title}: ${location.room.userData.name}`);
+    }
+    
+    /**
+     * Play a guided tour
+     * @param {string|Object} source URL of the tour's JSON file, or the tour document itself
+     */
+    async playTour(source) {
+        try {
+            const tour = typeof source === 'string' ? await loadTour(source) : parseTour(source);
+            this.tourPlayer.play(tour);
+            this.showNotification(`Tour: ${tour.title}`);
+        } catch (error) {
+            console.error('Error loading tour:', error);
+            this.showNotification(`Could not start the tour: ${error.message}`);
+        }
+    }
+    
     // Update HUD with current location
     updateLocation(roomName) {
         this.hud.updateLocation(roomName);
@@ -182,8 +363,10 @@ export class UserInterface {
     }
     
     // Update HUD minimap
-    updateMinimap(rooms, playerPosition) {
-        this.hud.updateMinimap(rooms, playerPosition);
+    updateMinimap() {
+        if (this.layout) {
+            this.hud.updateMinimap(this.layout, this.cameraControls.getPosition(), this.cameraControls.yawObject.rotation.y);
+        }
     }
     
     // Show notification
@@ -201,11 +384,30 @@ export class UserInterface {
         this.hud.updatePerformanceStats(fps, objectCount);
     }
     
-    // Main update loop for UI
-    update() {
+    // Whether any movement key is held
+    isPlayerMoving() {
+        const keys = this.cameraControls.keys;
+        return keys.forward || keys.backward || keys.left || keys.right;
+    }
+    
+    // Main update loop for UI (delta: seconds since the last frame)
+    update(delta) {
+        // Move the camera while inspecting an artwork, or else along a guided tour
+        // (which waits meanwhile)
+        this.inspectMode.update(delta);
+        if (!this.inspectMode.isActive) {
+            this.tourPlayer.update(delta);
+        }
+        
         // Update compass
         this.updateCompass();
         
+        // Close the info panel once the player walks away, if configured
+        if (Config.ui.autoCloseInfoPanel && this.isPlayerMoving() &&
+            !this.infoPanel.panel.classList.contains('hidden')) {
+            this.infoPanel.hide();
+        }
+        
         // Other periodic UI updates can be added here
     }
 }
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Seeded pseudo-random number generation for the Virtual Museum
+ *
+ * Every random choice made while building the museum goes through a
+ * SeededRandom so that the same seed always produces the same building.
+ */
+
+/**
+ * Hash an arbitrary seed value (string or number) into a 32-bit unsigned integer
+ * @param {string|number} value Seed value
+ * @returns {number} 32-bit hash
+ */
+export function hashSeed(value) {
+    const text = String(value);
+    let hash = 2166136261; // FNV-1a offset basis
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a short random seed string (used when no seed was requested)
+ * @returns {string} Seed string
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+/**
+ * Resolve the seed for this visit: URL parameter first, then configuration, then a fresh seed
+ * @param {string|number|null} configSeed Seed from Config.museum.seed
+ * @param {string} search URL query string (defaults to the current location)
+ * @returns {string} Seed string
+ */
+export function resolveSeed(configSeed = null, search = window.location.search) {
+    const urlSeed = new URLSearchParams(search).get('seed');
+
+    if (urlSeed) {
+        return urlSeed;
+    }
+
+    if (configSeed !== null && configSeed !== undefined && configSeed !== '') {
+        return String(configSeed);
+    }
+
+    return createRandomSeed();
+}
+
+export class SeededRandom {
+    constructor(seed = createRandomSeed()) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+    }
+
+    /**
+     * Next float in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float between min and max
+     */
+    float(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Random integer between min and max (inclusive)
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Pick a random element from an array
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates algorithm)
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Derive an independent generator for a named sub-stream.
+     * Forking by a stable key (e.g. a grid cell) keeps a choice identical
+     * no matter in which order the player explores the museum.
+     */
+    fork(...keys) {
+        return new SeededRandom(`${this.seed}:${keys.join(':')}`);
+    }
+}
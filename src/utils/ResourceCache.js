@@ -0,0 +1,164 @@
+/**
+ * Reference-counted cache of shared GPU resources
+ *
+ * Rooms and hallways of the same style and size use identical materials,
+ * textures and geometries. Instead of building new ones for every space,
+ * generators acquire them here under a key describing what they are (e.g.
+ * the style and surface of a material, or the type and dimensions of a
+ * geometry). Every acquire adds a reference; release removes one, and the
+ * resource is disposed only when its last user lets go. Materials hold a
+ * reference to their textures, so a texture lives as long as any material
+ * that shows it.
+ *
+ * disposeObject (Utils.js) releases cached resources instead of disposing
+ * them, so spaces built from the cache are unloaded the usual way.
+ */
+
+// Numbers in keys are rounded, so float noise does not split identical resources
+function formatNumber(value) {
+    return +value.toFixed(4);
+}
+
+function formatRepeat(repeat) {
+    return repeat ? `${formatNumber(repeat.x)}x${formatNumber(repeat.y)}` : '';
+}
+
+export class ResourceCache {
+    constructor() {
+        // Key -> { resource, refs, dependencies }
+        this.entries = new Map();
+        
+        // Resource -> key (tells cached resources apart from ones owned by a single object)
+        this.keys = new Map();
+    }
+    
+    get size() {
+        return this.entries.size;
+    }
+    
+    /**
+     * Get a shared resource, creating it on first use
+     * @param {string} key What the resource is; equal keys must describe identical resources
+     * @param {Function} create Builds the resource when it is not cached
+     * @param {Array} dependencies Cached resources the new one uses (released with it);
+     *                             only taken over when the resource is created
+     * @returns {*} The resource (one more reference to it)
+     */
+    acquire(key, create, dependencies = []) {
+        let entry = this.entries.get(key);
+        
+        if (entry) {
+            // Already cached - the references taken for the dependencies are not needed
+            dependencies.forEach(dependency => this.release(dependency));
+        } else {
+            entry = { resource: create(), refs: 0, dependencies };
+            this.entries.set(key, entry);
+            this.keys.set(entry.resource, key);
+        }
+        
+        entry.refs++;
+        return entry.resource;
+    }
+    
+    /**
+     * Give back one reference to a resource, disposing it if that was the last
+     * @param {*} resource Geometry, material or texture
+     * @returns {boolean} Whether the resource is cached (false: the caller owns it)
+     */
+    release(resource) {
+        const key = this.keys.get(resource);
+        if (key === undefined) return false;
+        
+        const entry = this.entries.get(key);
+        entry.refs--;
+        
+        if (entry.refs <= 0) {
+            this.entries.delete(key);
+            this.keys.delete(resource);
+            resource.dispose();
+            entry.dependencies.forEach(dependency => this.release(dependency));
+        }
+        
+        return true;
+    }
+    
+    isCached(resource) {
+        return this.keys.has(resource);
+    }
+    
+    getRefCount(resource) {
+        const key = this.keys.get(resource);
+        return key === undefined ? 0 : this.entries.get(key).refs;
+    }
+    
+    /**
+     * Shared geometry, e.g. getGeometry('PlaneGeometry', 4, 10)
+     * @param {string} type Name of a THREE geometry class
+     * @param {...number} parameters Constructor parameters
+     * @returns {THREE.BufferGeometry} Geometry
+     */
+    getGeometry(type, ...parameters) {
+        const key = `geometry:${type}:${parameters.map(formatNumber).join(',')}`;
+        return this.acquire(key, () => new THREE[type](...parameters));
+    }
+    
+    /**
+     * Shared repeating texture
+     * @param {string} url Image
+     * @param {Object} repeat Times the image repeats ({ x, y }); null for once
+     * @returns {THREE.Texture} Texture
+     */
+    getTexture(url, repeat = null) {
+        const key = `texture:${url}:${formatRepeat(repeat)}`;
+        
+        return this.acquire(key, () => {
+            const texture = new THREE.TextureLoader().load(url);
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            if (repeat) {
+                texture.repeat.set(repeat.x, repeat.y);
+            }
+            return texture;
+        });
+    }
+    
+    /**
+     * Shared material of one surface of an architectural style
+     * @param {Object} styleConfig Style (see ArchitecturalStyles)
+     * @param {string} surface 'floor', 'ceiling', 'wall' or 'accent' (selects the style's
+     *                         <surface>Color, Roughness, Metalness and Texture)
+     * @param {Object} repeat Texture repeat ({ x, y }); only used if the style has a texture
+     * @returns {THREE.MeshStandardMaterial} Material
+     */
+    getSurfaceMaterial(styleConfig, surface, repeat = null) {
+        const textureUrl = styleConfig[`${surface}Texture`];
+        const texture = textureUrl ? this.getTexture(textureUrl, repeat) : null;
+        
+        // Untextured materials look the same at any size
+        const key = `material:${styleConfig.name}:${surface}:${textureUrl ? `${textureUrl}:${formatRepeat(repeat)}` : ''}`;
+        
+        return this.acquire(key, () => {
+            const material = new THREE.MeshStandardMaterial({
+                color: styleConfig[`${surface}Color`],
+                roughness: styleConfig[`${surface}Roughness`],
+                metalness: styleConfig[`${surface}Metalness`]
+            });
+            if (texture) {
+                material.map = texture;
+            }
+            return material;
+        }, texture ? [texture] : []);
+    }
+    
+    /**
+     * Dispose of everything, whoever still uses it
+     */
+    clear() {
+        this.entries.forEach(entry => entry.resource.dispose());
+        this.entries.clear();
+        this.keys.clear();
+    }
+}
+
+// The cache shared by every generator
+export const resourceCache = new ResourceCache();
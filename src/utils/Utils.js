@@ -1,3 +1,5 @@
+import { resourceCache } from './ResourceCache.js';
+
 /**
  * Utility functions for the Virtual Museum
  */
@@ -63,6 +65,39 @@ export function lerpColor(color1, color2, factor) {
     );
 }
 
+/**
+ * Average color of an image
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image Loaded image
+ * @returns {THREE.Color|null} Average color, or null if the image cannot be read
+ *                             (e.g. cross-origin without CORS)
+ */
+export function getAverageColor(image) {
+    // Averaging a small copy is close enough and cheap
+    const sampleSize = 16;
+    
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = sampleSize;
+        canvas.height = sampleSize;
+        
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, sampleSize, sampleSize);
+        const data = context.getImageData(0, 0, sampleSize, sampleSize).data;
+        
+        let r = 0, g = 0, b = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+        }
+        
+        const pixels = data.length / 4;
+        return new THREE.Color(r / pixels / 255, g / pixels / 255, b / pixels / 255);
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Linear interpolation between two values
  * @param {number} a First value
@@ -247,6 +282,55 @@ export function loadTexture(url) {
     });
 }
 
+/**
+ * Geometry as plain typed arrays, so it can be posted between threads
+ * @param {THREE.BufferGeometry} geometry Geometry
+ * @returns {Object} { type, parameters, attributes: { name: { array, itemSize, normalized } }, index, groups }
+ */
+export function geometryToData(geometry) {
+    const attributes = {};
+    for (const [name, attribute] of Object.entries(geometry.attributes)) {
+        attributes[name] = {
+            array: attribute.array,
+            itemSize: attribute.itemSize,
+            normalized: attribute.normalized
+        };
+    }
+    
+    return {
+        type: geometry.type,
+        parameters: geometry.parameters ? { ...geometry.parameters } : null,
+        attributes,
+        index: geometry.index ? geometry.index.array : null,
+        groups: geometry.groups.map(group => ({ ...group }))
+    };
+}
+
+/**
+ * Rebuild a geometry from geometryToData's output (the arrays are used, not copied)
+ * @param {Object} data Geometry data
+ * @returns {THREE.BufferGeometry} Geometry
+ */
+export function geometryFromData(data) {
+    const geometry = new THREE.BufferGeometry();
+    
+    // Keep the type and parameters (generators read e.g. a wall segment's width from them)
+    geometry.type = data.type;
+    if (data.parameters) {
+        geometry.parameters = data.parameters;
+    }
+    
+    for (const [name, attribute] of Object.entries(data.attributes)) {
+        geometry.setAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize, attribute.normalized));
+    }
+    if (data.index) {
+        geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+    }
+    data.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+    
+    return geometry;
+}
+
 /**
  * Dispose of a Three.js object and all its children
  * @param {THREE.Object3D} object Object to dispose
@@ -254,18 +338,26 @@ export function loadTexture(url) {
 export function disposeObject(object) {
     if (!object) return;
     
-    // Traverse and dispose of geometries and materials
+    // Traverse and dispose of geometries and materials (shared ones from the
+    // resource cache are only released; the cache disposes them after their last user)
     object.traverse(child => {
-        if (child.geometry) {
+        if (child.geometry && !resourceCache.release(child.geometry)) {
             child.geometry.dispose();
         }
         
         if (child.material) {
-            if (Array.isArray(child.material)) {
-                child.material.forEach(material => disposeMaterial(material));
-            } else {
-                disposeMaterial(child.material);
-            }
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (!resourceCache.release(material)) {
+                    disposeMaterial(material);
+                }
+            });
+        }
+        
+        // Shadow-casting lights own a shadow map render target
+        if (child.isLight && child.shadow && child.shadow.map) {
+            child.shadow.map.dispose();
+            child.shadow.map = null;
         }
     });
     
@@ -283,7 +375,7 @@ function disposeMaterial(material) {
     // Dispose of material maps and textures
     for (const prop in material) {
         const value = material[prop];
-        if (value && typeof value === 'object' && 'minFilter' in value) {
+        if (value && typeof value === 'object' && 'minFilter' in value && !resourceCache.release(value)) {
             value.dispose();
         }
     }